@@ -1,895 +1,907 @@
-const pa11y = require('pa11y');
-const fs = require('fs').promises;
+#!/usr/bin/env node
+
+const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-const xml2js = require('xml2js');
 const chalk = require('chalk');
 const ora = require('ora');
+const lib = require('./lib');
+
+const {
+  createAudit, assertFormats, writeReports, loadResults, compareWithBaseline, cleanup, describeRule,
+  groupSharedIssues, resolveConfig, SETTINGS, flagName, describeType, AuditError, EXIT_CODES, auditExitCode
+} = lib;
 
-// Configuration constants - can be overridden by environment variables
-const CONFIG = {
-  // Concurrency and performance - reduced for better reliability
-  MAX_CONCURRENT_CHECKS: parseInt(process.env.PA11Y_MAX_CONCURRENT) || 1,
-  BATCH_SIZE: parseInt(process.env.PA11Y_BATCH_SIZE) || 3,
-  DELAY_BETWEEN_REQUESTS: parseInt(process.env.PA11Y_REQUEST_DELAY) || 5000, // 5 seconds
-  
-  // Timeouts - increased for better reliability
-  PAGE_TIMEOUT: parseInt(process.env.PA11Y_PAGE_TIMEOUT) || 90000, // 90 seconds
-  PAGE_WAIT: parseInt(process.env.PA11Y_PAGE_WAIT) || 3000, // 3 seconds
-  NAVIGATION_TIMEOUT: parseInt(process.env.PA11Y_NAV_TIMEOUT) || 90000, // 90 seconds
-  
-  // Retry configuration
-  MAX_RETRIES: parseInt(process.env.PA11Y_MAX_RETRIES) || 3,
-  INITIAL_RETRY_DELAY: parseInt(process.env.PA11Y_RETRY_DELAY) || 5000, // 5 seconds
-  RETRY_MULTIPLIER: parseFloat(process.env.PA11Y_RETRY_MULTIPLIER) || 2,
-  
-  // Browser configuration - optimized for stability
-  BROWSER_ARGS: [
-    '--no-sandbox',
-    '--disable-setuid-sandbox',
-    '--disable-dev-shm-usage',
-    '--disable-accelerated-2d-canvas',
-    '--disable-gpu',
-    '--disable-web-security',
-    '--disable-features=IsolateOrigins,site-per-process',
-    '--disable-blink-features=AutomationControlled',
-    '--disable-extensions',
-    '--disable-plugins',
-    '--disable-images', // Disable images to speed up loading
-    '--disable-background-timer-throttling',
-    '--disable-backgrounding-occluded-windows',
-    '--disable-renderer-backgrounding',
-    '--disable-features=TranslateUI',
-    '--disable-ipc-flooding-protection',
-    '--disable-hang-monitor',
-    '--hide-scrollbars',
-    '--mute-audio',
-    '--disable-default-apps',
-    '--disable-sync',
-  ]
+// The audit in progress, so an interrupted run can point at its checkpoint
+let currentAudit = null;
+
+// Subcommands, their positional arguments and the options each accepts on
+// top of the setting flags (`settings: false` commands take no settings)
+const COMMANDS = {
+  audit: {
+    usage: 'audit [url]',
+    summary: 'Audit every page of a site and write the reports (the default command)',
+    options: [
+      { name: 'resume', description: 'Continue an interrupted audit from its checkpoint' },
+      { name: 'open', description: 'Open the HTML report when the audit finishes' },
+    ],
+  },
+  discover: {
+    usage: 'discover [url]',
+    summary: 'List the URLs an audit would check, after filters and sampling, without checking them',
+    options: [
+      { name: 'output', value: 'file', description: 'Write the URLs to a file, one per line' },
+      { name: 'json', description: 'Print the URLs and where they were found as JSON' },
+    ],
+  },
+  report: {
+    usage: 'report [results.json]',
+    summary: 'Re-render the reports from a saved report.json without rescanning (default: ./report.json)',
+    options: [
+      { name: 'out-dir', value: 'dir', description: 'Directory to write the reports to (default: the current directory)' },
+      { name: 'open', description: 'Open the HTML report when it is written' },
+    ],
+  },
+  diff: {
+    usage: 'diff <baseline.json> [results.json]',
+    summary: 'Compare two saved report.json files; exits with 2 when there are new issues',
+    settings: false,
+    options: [
+      { name: 'limit', value: 'n', description: 'Issues listed per section (default: 10)' },
+    ],
+  },
+  open: {
+    usage: 'open [report.html]',
+    summary: 'Open a report in the default browser (default: ./report.html)',
+    settings: false,
+    options: [],
+  },
 };
 
+// Options every command accepts
+const GLOBAL_OPTIONS = [
+  { name: 'config', value: 'file', description: 'Project config file (default: ./.a11yaudit.json or ./.a11yaudit.js)' },
+  { name: 'help', description: 'Show help for a command' },
+];
+
 /**
- * Process input URL to get the sitemap URL
+ * Split command line arguments into the subcommand, its positional
+ * arguments, its options and setting flags (`--max-concurrent=2`, or
+ * `--gate-new-only` for booleans)
+ *
+ * The command defaults to `audit`, so `node audit.js example.com` works.
  */
-function processSitemapUrl(input) {
-  if (!input) {
-    console.error(chalk.red('\nError: Please provide a WordPress website URL'));
-    console.log(chalk.yellow('\nUsage:'));
-    console.log(chalk.gray('  node audit.js yourwordpresssite.com'));
-    console.log(chalk.gray('  node audit.js https://yourwordpresssite.com'));
-    console.log(chalk.gray('  node audit.js https://yourwordpresssite.com/sitemap_index.xml'));
-    process.exit(1);
-  }
-
-  let url = input.trim();
-  
-  // Add protocol if missing
-  if (!url.startsWith('http://') && !url.startsWith('https://')) {
-    url = 'https://' + url;
-  }
-  
-  // If it already ends with sitemap.xml or sitemap_index.xml, use as is
-  if (url.endsWith('.xml')) {
-    return url;
-  }
-  
-  // Remove trailing slash
-  url = url.replace(/\/$/, '');
-  
-  // Add standard WordPress sitemap path
-  return url + '/sitemap_index.xml';
+function parseArgs(argv) {
+  let command = 'audit';
+  let args = argv;
+  if (argv[0] === 'help' || COMMANDS[argv[0]]) {
+    command = argv[0];
+    args = argv.slice(1);
+  }
+
+  const parsed = { command, positional: [], options: {}, flags: {}, helpTopic: null };
+  if (command === 'help') {
+    parsed.options.help = true;
+    parsed.helpTopic = COMMANDS[args[0]] ? args[0] : null;
+    return parsed;
+  }
+
+  const known = [...COMMANDS[command].options, ...GLOBAL_OPTIONS];
+  args.forEach(arg => {
+    if (arg === '-h') {
+      parsed.options.help = true;
+      return;
+    }
+    if (!arg.startsWith('--')) {
+      parsed.positional.push(arg);
+      return;
+    }
+
+    const [name, ...rest] = arg.slice(2).split('=');
+    const value = rest.length > 0 ? rest.join('=') : true;
+    const option = known.find(candidate => candidate.name === name);
+    if (!option) {
+      parsed.flags[name] = value;
+    } else if (option.value && value === true) {
+      throw new AuditError('INVALID_ARGUMENTS', `--${name} needs a value: --${name}=<${option.value}>`);
+    } else {
+      parsed.options[name] = value;
+    }
+  });
+
+  if (parsed.options.help) {
+    // `<command> --help` or `--help <command>`; a bare `--help` is the overview
+    const topic = args === argv ? parsed.positional[0] : command;
+    parsed.helpTopic = COMMANDS[topic] ? topic : null;
+    return parsed;
+  }
+  if (COMMANDS[command].settings === false && Object.keys(parsed.flags).length > 0) {
+    const names = Object.keys(parsed.flags).map(name => `--${name}`).join(', ');
+    throw new AuditError('INVALID_ARGUMENTS', `Unknown option for ${command}: ${names}`);
+  }
+  return parsed;
 }
 
-// Get website URL from command line
-const inputUrl = process.argv[2];
-const sitemapUrl = processSitemapUrl(inputUrl);
+/**
+ * Print the usage line of every command
+ */
+function printUsage() {
+  console.log(chalk.yellow('\nUsage:'));
+  Object.values(COMMANDS).forEach(({ usage }) => {
+    console.log(chalk.gray(`  node audit.js ${usage} [options]`));
+  });
+  console.log(chalk.gray('\nThe URL can also be set as "site" in .a11yaudit.json. Run node audit.js --help for all options.'));
+}
 
 /**
- * Simple concurrency limiter without external dependencies
+ * Print help for one command, or an overview of all of them
  */
-class ConcurrencyLimiter {
-  constructor(limit) {
-    this.limit = limit;
-    this.running = 0;
-    this.queue = [];
-  }
-
-  async run(fn) {
-    return new Promise((resolve, reject) => {
-      this.queue.push({
-        fn,
-        resolve,
-        reject
-      });
-      this.process();
+function printHelp(name) {
+  const printOptions = options => options.forEach(option => {
+    const flag = option.value ? `--${option.name}=<${option.value}>` : `--${option.name}`;
+    console.log(`  ${flag.padEnd(32)} ${chalk.gray(option.description)}`);
+  });
+
+  if (!name) {
+    console.log(chalk.yellow('Usage:'));
+    console.log('  node audit.js <command> [arguments] [options]\n');
+    console.log(chalk.yellow('Commands:'));
+    Object.entries(COMMANDS).forEach(([command, { usage, summary }]) => {
+      console.log(`  ${usage.padEnd(38)} ${chalk.gray(summary)}`);
     });
+    console.log(chalk.gray('\n  node audit.js example.com is short for node audit.js audit example.com.'));
+    console.log(chalk.gray('  Run node audit.js <command> --help for the options of a command.\n'));
+    return;
   }
 
-  async process() {
-    if (this.running >= this.limit || this.queue.length === 0) {
-      return;
-    }
+  const command = COMMANDS[name];
+  console.log(chalk.yellow('Usage:'));
+  console.log(`  node audit.js ${command.usage} [options]\n`);
+  console.log(chalk.gray(`  ${command.summary}\n`));
+  console.log(chalk.yellow('Options:'));
+  printOptions([...command.options, ...GLOBAL_OPTIONS]);
 
-    this.running++;
-    const { fn, resolve, reject } = this.queue.shift();
-
-    try {
-      const result = await fn();
-      resolve(result);
-    } catch (error) {
-      reject(error);
-    } finally {
-      this.running--;
-      this.process();
-    }
+  if (command.settings !== false) {
+    console.log(chalk.yellow('\nSettings') + chalk.gray(' (override the config file and PA11Y_* environment variables):'));
+    SETTINGS.filter(setting => setting.env).forEach(setting => {
+      const value = setting.type === 'boolean' ? '' : `=<${setting.type}>`;
+      const fallback = Array.isArray(setting.default) ? setting.default.join(',') : setting.default;
+      const description = `${setting.file}: ${describeType(setting)}` +
+        (fallback === null || fallback === '' ? '' : ` (default: ${fallback})`);
+      console.log(`  ${`--${flagName(setting)}${value}`.padEnd(32)} ${chalk.gray(description)}`);
+    });
   }
+  console.log('');
 }
 
-// Create a concurrency limiter
-const limiter = new ConcurrencyLimiter(CONFIG.MAX_CONCURRENT_CHECKS);
+/**
+ * Format milliseconds as e.g. `1h 5m`, `3m 20s` or `12s`
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds >= 3600) {
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  }
+  if (seconds >= 60) {
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+  return `${seconds}s`;
+}
 
-// Track browser instances for cleanup
-const browserInstances = new Set();
+/**
+ * Describe the configured authentication for the configuration banner
+ */
+function describeAuth(config) {
+  const methods = [];
+  if (config.BASIC_AUTH_USER) {
+    methods.push(`basic auth as ${config.BASIC_AUTH_USER}`);
+  }
+  if (config.COOKIES_PATH) {
+    methods.push(`cookies from ${config.COOKIES_PATH}`);
+  }
+  if (config.LOGIN_USER) {
+    methods.push(`login as ${config.LOGIN_USER}`);
+  }
+  return methods;
+}
+
+/**
+ * Describe the enabled quality gates for the configuration banner
+ */
+function describeGates(config) {
+  const gates = [];
+  const isSet = value => value !== null && value !== undefined;
+  if (isSet(config.GATE_MAX_ERRORS)) gates.push(`max ${config.GATE_MAX_ERRORS} errors`);
+  if (isSet(config.GATE_MAX_WARNINGS)) gates.push(`max ${config.GATE_MAX_WARNINGS} warnings`);
+  if (isSet(config.GATE_MAX_FAILED_CHECKS)) gates.push(`max ${config.GATE_MAX_FAILED_CHECKS} failed checks`);
+  if (isSet(config.GATE_MAX_ISSUES_PER_PAGE)) gates.push(`max ${config.GATE_MAX_ISSUES_PER_PAGE} issues per page`);
+  if (config.GATE_FORBIDDEN_CODES.length > 0) gates.push(`forbidden: ${config.GATE_FORBIDDEN_CODES.join(' ')}`);
+  return gates;
+}
 
 /**
- * Cleanup function to close all browser instances
+ * Render audit progress events to the terminal with spinners
  */
-async function cleanup() {
-  console.log(chalk.yellow('\n🧹 Cleaning up browser instances...'));
-  for (const browser of browserInstances) {
-    try {
-      await browser.close();
-    } catch (error) {
-      // Ignore errors during cleanup
+function attachConsoleReporter(audit) {
+  const spinners = new Map();
+  // Stop the spinner started for a URL, or print the outcome when there is
+  // none (e.g. an event for a URL whose spinner already finished)
+  const settleSpinner = (url, method, text) => {
+    const spinner = spinners.get(url) || ora();
+    spinners.delete(url);
+    spinner[method](text);
+  };
+  let multipleViewports = false;
+  const attemptsSuffix = result =>
+    result.attempts > 1 ? chalk.gray(` (${result.attempts} attempts)`) : '';
+  const viewportsSuffix = result =>
+    multipleViewports && result.status === 'success'
+      ? chalk.gray(` (${result.viewports.map(viewport => `${viewport.name}: ${viewport.status === 'success' ? viewport.issues : 'failed'}`).join(', ')})`)
+      : '';
+  const etaSuffix = progress =>
+    progress && progress.remaining > 0 && progress.eta !== null
+      ? chalk.gray(` · ${progress.completed}/${progress.total} done, ~${formatDuration(progress.eta)} left`)
+      : '';
+
+  audit.on('config:deprecated', ({ message }) => {
+    console.warn(chalk.yellow(`⚠️  ${message}`));
+  });
+  audit.on('start', ({ site, config }) => {
+    multipleViewports = config.VIEWPORTS.length > 1;
+    console.log(chalk.gray(`Website: ${site}`));
+    console.log(chalk.gray(`\nConfiguration:`));
+    console.log(chalk.gray(`  - Max concurrent checks: ${config.MAX_CONCURRENT_CHECKS}`));
+    console.log(chalk.gray(`  - Max retries: ${config.MAX_RETRIES}`));
+    console.log(chalk.gray(`  - Page timeout: ${config.PAGE_TIMEOUT/1000}s`));
+    console.log(chalk.gray(`  - Delay between requests: ${config.DELAY_BETWEEN_REQUESTS/1000}s`));
+    console.log(chalk.gray(`  - Throttling on 429/503: ${config.THROTTLE ? `on (up to ${config.THROTTLE_MAX_DELAY/1000}s between pages)` : 'off'}`));
+    console.log(chalk.gray(`  - Standard: ${config.STANDARD} (${config.INCLUDE_LEVELS.join(', ')})`));
+    if (config.IGNORE_CODES.length > 0) {
+      console.log(chalk.gray(`  - Ignored rules: ${config.IGNORE_CODES.join(', ')}`));
     }
-  }
-  browserInstances.clear();
+    console.log(chalk.gray(`  - Runners: ${config.RUNNERS.join(', ')}`));
+    console.log(chalk.gray(`  - Viewports: ${config.VIEWPORTS.join(', ')}`));
+    console.log(chalk.gray(`  - Browsers: ${config.BROWSER_POOL_SIZE} (relaunched every ${config.BROWSER_MAX_PAGES} pages)`));
+    console.log(chalk.gray(`  - Output formats: ${config.OUTPUT_FORMATS.join(', ')}`));
+    if (config.SCREENSHOTS) {
+      const elements = config.SCREENSHOT_MAX_PER_PAGE > 0 ? `up to ${config.SCREENSHOT_MAX_PER_PAGE} elements per page` : 'full pages only';
+      console.log(chalk.gray(`  - Screenshots: ${config.SCREENSHOT_DIR} (${elements})`));
+    }
+    const auth = describeAuth(config);
+    if (auth.length > 0) {
+      console.log(chalk.gray(`  - Authentication: ${auth.join(', ')}`));
+    }
+    if (config.BASELINE_PATH) {
+      console.log(chalk.gray(`  - Baseline: ${config.BASELINE_PATH}` + (config.GATE_NEW_ISSUES_ONLY ? ' (gates on new issues only)' : '')));
+    }
+    const gates = describeGates(config);
+    if (gates.length > 0) {
+      console.log(chalk.gray(`  - Quality gates: ${gates.join(', ')}`));
+    }
+    console.log(chalk.yellow(`\n⚠️  Note: Using conservative settings for maximum reliability\n`));
+    if (config.CRAWL_MODE !== 'always' && config.REST_MODE !== 'only') {
+      console.log(chalk.gray('Looking for the sitemap...\n'));
+    }
+  });
+
+  audit.on('sitemap:probe', ({ url, source }) => {
+    console.log(chalk.gray(`  Trying ${url} (${source})`));
+  });
+  audit.on('sitemap:discovered', ({ sitemapUrl, source }) => {
+    console.log(chalk.green(`\n✓ Sitemap: ${sitemapUrl}`) + chalk.gray(` (found via ${source})\n`));
+  });
+
+  audit.on('auth:login', ({ url, username }) => {
+    console.log(chalk.gray(`Logging in to ${url} as ${username}...`));
+  });
+  audit.on('auth:ready', ({ basic, cookies, source }) => {
+    const parts = [];
+    if (basic) {
+      parts.push('HTTP basic auth');
+    }
+    if (source) {
+      parts.push(`${cookies} session cookies from the ${source}`);
+    }
+    console.log(chalk.green(`✓ Authenticated: ${parts.join(', ')}\n`));
+  });
+
+  audit.on('checkpoint:resume', ({ path, completed, remaining }) => {
+    console.log(chalk.cyan(`⏯️  Resuming from ${path}: ${completed} URLs already checked, ${remaining} remaining\n`));
+  });
+  audit.on('checkpoint:missing', ({ path }) => {
+    console.log(chalk.yellow(`⚠️  No checkpoint found at ${path}, starting a fresh audit\n`));
+  });
+
+  audit.on('sitemap:index', ({ url }) => {
+    spinners.set(url, ora('Fetching sitemap index...').start());
+  });
+  audit.on('sitemap:index:failed', ({ url }) => {
+    settleSpinner(url, 'fail', 'Failed to fetch sitemap index');
+  });
+  audit.on('sitemap:index:done', ({ url, sitemaps, count }) => {
+    settleSpinner(url, 'succeed', sitemaps.length > 0 || count === 0
+      ? `Found ${sitemaps.length} sitemaps`
+      : `Extracted ${count} URLs from ${url}`);
+  });
+  audit.on('sitemap:fetch', ({ url, depth }) => {
+    spinners.set(url, ora({ text: `Fetching ${url}...`, indent: (depth - 1) * 2 }).start());
+  });
+  audit.on('sitemap:fetched', ({ url, type, count, sitemaps }) => {
+    settleSpinner(url, 'succeed', type === 'index'
+      ? `Found ${sitemaps.length} nested sitemaps in ${url}`
+      : `Extracted ${count} URLs from ${url}`);
+  });
+  audit.on('sitemap:skipped', ({ url, reason }) => {
+    const why = reason === 'duplicate' ? 'already visited' : 'maximum sitemap depth reached';
+    console.log(chalk.gray(`  Skipping ${url} (${why})`));
+  });
+  audit.on('sitemap:failed', ({ url }) => {
+    settleSpinner(url, 'warn', `Failed to fetch ${url}`);
+  });
+  audit.on('sitemap:retry', ({ url, attempt, retries, delay }) => {
+    console.warn(chalk.yellow(`Retry ${attempt}/${retries} for ${url} after ${delay}ms`));
+  });
+  audit.on('sitemap:error', ({ url, error }) => {
+    console.error(chalk.red(`Error fetching ${url}:`), error);
+  });
+
+  audit.on('crawl:fallback', ({ reason, url }) => {
+    if (reason) {
+      console.log(chalk.yellow(`\n⚠️  ${reason}`));
+      console.log(chalk.gray(`Crawling links from ${url} instead...\n`));
+    } else {
+      console.log(chalk.gray(`Crawling links from ${url}...\n`));
+    }
+  });
+  let crawlSpinner = null;
+  audit.on('crawl:start', ({ maxDepth, maxPages }) => {
+    crawlSpinner = ora(`Crawling up to ${maxPages} pages, ${maxDepth} links deep...`).start();
+  });
+  audit.on('crawl:page', ({ url, depth, total }) => {
+    crawlSpinner.text = `Crawled ${total} pages (depth ${depth}): ${url}`;
+  });
+  audit.on('crawl:done', ({ count, visited }) => {
+    crawlSpinner.succeed(`Found ${count} pages by crawling links (${visited} fetched)`);
+  });
+
+  let restSpinner = null;
+  audit.on('rest:types', ({ types }) => {
+    restSpinner = ora(`Reading ${types.length} post types from the REST API (${types.join(', ')})...`).start();
+  });
+  audit.on('rest:fetch', ({ type, page, pages }) => {
+    if (restSpinner) {
+      restSpinner.text = `Reading ${type} from the REST API (page ${page}/${pages})...`;
+    }
+  });
+  audit.on('rest:skipped', ({ statuses }) => {
+    console.warn(chalk.yellow(`⚠️  Leaving out ${statuses.join(', ')} content: its preview links need a logged-in browser (set PA11Y_LOGIN_USER or PA11Y_COOKIES)`));
+  });
+  audit.on('rest:failed', ({ type, error }) => {
+    console.warn(chalk.yellow(`\n  Could not read ${type} from the REST API: ${error}`));
+  });
+  audit.on('rest:done', ({ count, added }) => {
+    const extra = added !== count ? `, ${added} not listed in the sitemaps` : '';
+    // No spinner when every requested status was skipped before any request
+    (restSpinner || ora()).succeed(`Found ${count} URLs through the REST API${extra}`);
+    restSpinner = null;
+  });
+  audit.on('rest:unavailable', ({ error }) => {
+    if (restSpinner) {
+      restSpinner.stop();
+      restSpinner = null;
+    }
+    console.warn(chalk.yellow(`⚠️  ${error}; using the sitemap URLs only`));
+  });
+
+  let filtered = false;
+  audit.on('urls:filtered', ({ found, excluded }) => {
+    filtered = true;
+    console.log(chalk.green(`\n✓ Total unique URLs found: ${found}`));
+    const byRule = new Map();
+    excluded.forEach(({ rule }) => {
+      const label = describeRule(rule);
+      byRule.set(label, (byRule.get(label) || 0) + 1);
+    });
+    console.log(chalk.gray(`  Excluded ${excluded.length} URLs:`));
+    byRule.forEach((count, label) => console.log(chalk.gray(`    - ${count} ${label}`)));
+  });
+
+  audit.on('sample:probe', ({ sitemap, probing, total }) => {
+    console.log(chalk.gray(`  Detecting templates in ${sitemap}: fetching ${probing} of ${total} pages`));
+  });
+  audit.on('urls:sampled', ({ mode, population, urls, groups }) => {
+    filtered = true;
+    const by = mode === 'template' ? 'template' : 'sub-sitemap';
+    console.log(chalk.cyan(`\n🎯 Sampling ${urls.length} of ${population} URLs (${groups.length} ${by} groups):`));
+    groups.forEach(group => {
+      const total = `${group.estimated ? '~' : ''}${group.total}`;
+      console.log(chalk.gray(`    - ${group.key}: ${group.sampled.length} of ${total} URLs`));
+    });
+  });
+
+  audit.on('urls', ({ urls }) => {
+    console.log(chalk.green(filtered
+      ? `✓ URLs to audit: ${urls.length}`
+      : `\n✓ Total unique URLs found: ${urls.length}`));
+    console.log(chalk.cyan(`\n🏃 Running accessibility checks on ${urls.length} URLs...\n`));
+  });
+  audit.on('queue:paused', ({ running }) => {
+    const waiting = running > 0 ? `, waiting for ${running} running checks` : '';
+    console.log(chalk.yellow(`\n⏸  Paused${waiting} - press p to resume\n`));
+  });
+  audit.on('queue:resumed', () => {
+    console.log(chalk.cyan('\n▶️  Resumed\n'));
+  });
+  audit.on('queue:cancelled', ({ completed, running }) => {
+    const waiting = running > 0 ? `, finishing ${running} running checks` : '';
+    console.log(chalk.yellow(`\n⏹  Cancelled after ${completed} checks${waiting}\n`));
+  });
+
+  audit.on('browser:recycle', ({ index, reason, pages }) => {
+    const why = reason === 'max pages' ? `after ${pages} pages` : `(${reason})`;
+    console.log(chalk.gray(`  Relaunching browser ${index + 1} ${why}`));
+  });
+
+  audit.on('throttle:slowdown', ({ host, status, delay, retryAfter }) => {
+    const hold = retryAfter !== null ? `, Retry-After ${formatDuration(retryAfter)}` : '';
+    console.warn(chalk.yellow(`🐢 ${host} answered ${status}, slowing down to one page every ${formatDuration(delay)}${hold}`));
+  });
+  audit.on('throttle:recovered', ({ host }) => {
+    console.log(chalk.gray(`  ${host} is responding normally again, back to full speed`));
+  });
+
+  audit.on('screenshot:failed', ({ url, viewport, selector, error }) => {
+    const what = selector ? `the element ${selector} on ${url}` : url;
+    const at = multipleViewports ? ` at ${viewport}` : '';
+    console.warn(chalk.yellow(`⚠️  Unable to screenshot ${what}${at}: ${error}`));
+  });
+
+  audit.on('check:start', ({ url, index, total }) => {
+    spinners.set(url, ora(`[${index}/${total}] Checking ${url}...`).start());
+  });
+  audit.on('check:retry', ({ url, viewport, attempt, maxRetries, delay, error }) => {
+    const at = multipleViewports ? ` at ${viewport}` : '';
+    console.warn(chalk.yellow(`⚠️  Retrying ${url}${at} (attempt ${attempt}/${maxRetries}) after ${delay}ms...`));
+    console.warn(chalk.gray(`   Error: ${error}`));
+  });
+  audit.on('check:done', ({ url, index, total, result, progress }) => {
+    const spinner = spinners.get(url);
+    spinners.delete(url);
+    const label = `[${index}/${total}] ${url}`;
+    const suffix = attemptsSuffix(result) + viewportsSuffix(result) + etaSuffix(progress);
+
+    if (result.status === 'success') {
+      if (result.issues.length === 0) {
+        spinner.succeed(`${label} - No issues found` + suffix);
+      } else {
+        spinner.warn(`${label} - ${result.issues.length} issues found` + suffix);
+      }
+      (result.viewports || []).filter(viewport => viewport.status !== 'success').forEach(viewport => {
+        console.error(chalk.red(`   ❌ Check failed at ${viewport.name}:`), viewport.error);
+      });
+    } else {
+      spinner.fail(`${label} - Check failed` + suffix);
+      console.error(chalk.red(`❌ Error checking ${url} after ${result.attempts} attempts:`), result.error);
+    }
+  });
+
+  return audit;
 }
 
-// Handle process termination
-process.on('SIGINT', async () => {
-  await cleanup();
-  process.exit(0);
-});
+/**
+ * Print what changed since the baseline run
+ */
+function printDelta({ delta }, { limit = 10 } = {}) {
+  if (!delta) {
+    return;
+  }
 
-process.on('SIGTERM', async () => {
-  await cleanup();
-  process.exit(0);
-});
+  console.log(chalk.cyan('\n🔀 Changes since baseline:'));
+  console.log(chalk.red(`   New issues: ${delta.counts.new}`));
+  console.log(chalk.green(`   Fixed issues: ${delta.counts.fixed}`));
+  console.log(chalk.gray(`   Persisting issues: ${delta.counts.persisting}`));
+  if (delta.counts.unverified > 0) {
+    console.log(chalk.yellow(`   Not re-checked (page failed or missing): ${delta.counts.unverified}`));
+  }
+
+  delta.new.slice(0, limit).forEach(({ url, issue }) => {
+    console.log(chalk.red(`   + [${issue.type}] ${issue.code}`) + chalk.gray(` ${url}`));
+  });
+  if (delta.new.length > limit) {
+    console.log(chalk.gray(`     ...and ${delta.new.length - limit} more new issues`));
+  }
+}
 
 /**
- * Delay helper function
+ * Print the issues extrapolated from a sampled audit
  */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function printSampling({ sampling }) {
+  if (!sampling) {
+    return;
+  }
+
+  const { coverage } = sampling;
+  console.log(chalk.cyan('\n🎯 Sampling coverage:'));
+  console.log(chalk.gray(`   Audited ${coverage.audited} pages standing for ${coverage.population} URLs`));
+  console.log(chalk.gray(`   Estimated issues sitewide: ~${coverage.estimatedIssues} (~${coverage.estimatedErrors} errors)`));
 }
 
 /**
- * Fetch and parse XML content with retry
+ * Print the final console summary
  */
-async function fetchXML(url, retries = 2) {
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          'Accept': 'application/xml, text/xml, */*',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Cache-Control': 'no-cache',
-          'Pragma': 'no-cache'
-        },
-        timeout: 30000,
-        maxRedirects: 5
+function printSummary({ summary, results, config, throttling }) {
+  console.log(chalk.cyan('\n📈 Summary:'));
+  console.log(chalk.gray(`   Pages scanned: ${summary.pagesScanned}`));
+  console.log(chalk.green(`   Successful checks: ${summary.successfulChecks}`));
+  console.log(chalk.red(`   Failed checks: ${summary.failedChecks}`));
+  console.log(chalk.yellow(`   Checks with retries: ${summary.retriedChecks}`));
+  if (throttling && throttling.slowdowns > 0) {
+    const statuses = {};
+    throttling.hosts.forEach(host => Object.entries(host.statuses).forEach(([status, count]) => {
+      statuses[status] = (statuses[status] || 0) + count;
+    }));
+    const counts = Object.entries(statuses).map(([status, count]) => `${status} ×${count}`).join(', ');
+    console.log(chalk.yellow(`   Throttled: ${throttling.slowdowns} time${throttling.slowdowns !== 1 ? 's' : ''} (${counts}), waited ${formatDuration(throttling.waited)}`));
+  }
+  console.log(chalk.gray(`   Total issues: ${summary.totalIssues}`));
+
+  if (summary.totalIssues > 0) {
+    console.log(chalk.gray(`   Errors: ${summary.issuesByType.error || 0}`));
+    console.log(chalk.gray(`   Warnings: ${summary.issuesByType.warning || 0}`));
+    if (summary.issuesByType.notice) {
+      console.log(chalk.gray(`   Notices: ${summary.issuesByType.notice}`));
+    }
+
+    if (summary.viewports && Object.keys(summary.viewports).length > 1) {
+      Object.entries(summary.viewports).forEach(([name, totals]) => {
+        console.log(chalk.gray(`   ${name}: ${totals.issues} issues on ${totals.checked} pages` + (totals.failed > 0 ? `, ${totals.failed} failed checks` : '')));
       });
-      const parser = new xml2js.Parser();
-      return await parser.parseStringPromise(response.data);
-    } catch (error) {
-      if (attempt < retries) {
-        const delayMs = 1000 * (attempt + 1);
-        console.warn(chalk.yellow(`Retry ${attempt + 1}/${retries} for ${url} after ${delayMs}ms`));
-        await delay(delayMs);
-      } else {
-        console.error(chalk.red(`Error fetching ${url}:`), error.message);
-        return null;
+      if (summary.mobileOnlyIssues > 0) {
+        console.log(chalk.yellow(`   Mobile-only issues: ${summary.mobileOnlyIssues}`));
       }
     }
+
+    const shared = groupSharedIssues(results, { minPages: config.SHARED_ISSUE_MIN_PAGES });
+    if (shared.length > 0) {
+      const occurrences = shared.reduce((sum, cluster) => sum + cluster.pages.length, 0);
+      console.log(chalk.gray(`   Sitewide issues: ${shared.length} (${occurrences} occurrences, listed once in the report)`));
+    }
   }
 }
 
 /**
- * Extract all URLs from a sitemap
+ * Print which CI quality gates tripped, if any were configured
  */
-function extractUrlsFromSitemap(sitemapData) {
-  const urls = [];
-  
-  if (sitemapData?.urlset?.url) {
-    // Regular sitemap
-    sitemapData.urlset.url.forEach(urlItem => {
-      if (urlItem.loc && urlItem.loc[0]) {
-        urls.push(urlItem.loc[0]);
-      }
-    });
+function printGates({ gates }) {
+  if (gates.passed) {
+    return;
   }
-  
-  return urls;
+
+  const scope = gates.scope === 'new' ? ' (new issues only)' : '';
+  console.log(chalk.red(`\n🚦 Quality gates failed${scope}:`));
+  gates.failures.forEach(failure => {
+    console.log(chalk.red(`   ✖ ${failure.message}`));
+    (failure.pages || []).slice(0, 5).forEach(page => {
+      console.log(chalk.gray(`       ${page.url} (${page.count})`));
+    });
+    if (failure.pages && failure.pages.length > 5) {
+      console.log(chalk.gray(`       ...and ${failure.pages.length - 5} more`));
+    }
+  });
 }
 
 /**
- * Get all sitemaps from sitemap index
+ * Print an AuditError with its hints
  */
-async function getSitemapsFromIndex(indexData) {
-  const sitemaps = [];
-  
-  if (indexData?.sitemapindex?.sitemap) {
-    indexData.sitemapindex.sitemap.forEach(sitemapItem => {
-      if (sitemapItem.loc && sitemapItem.loc[0]) {
-        sitemaps.push(sitemapItem.loc[0]);
-      }
-    });
+function printAuditError(error) {
+  console.error(chalk.red(`\n❌ Error: ${error.message}`));
+  if (['MISSING_URL', 'INVALID_ARGUMENTS'].includes(error.code)) {
+    printUsage();
+    return;
+  }
+  if (error.hints.length > 0) {
+    console.error(chalk.yellow('\nPossible reasons:'));
+    error.hints.forEach((hint, i) => console.error(chalk.gray(`  ${i + 1}. ${hint}`)));
+  }
+  if (error.tried && error.tried.length > 0) {
+    console.error(chalk.yellow('\nLocations tried:'));
+    error.tried.forEach(url => console.error(chalk.gray(`  - ${url}`)));
+  }
+  if (error.code === 'SITEMAP_NOT_FOUND') {
+    console.error(chalk.gray('\nTry specifying the full sitemap URL directly:'));
+    console.error(chalk.gray('  node audit.js https://yourwordpresssite.com/custom-sitemap.xml'));
+    console.error(chalk.gray('\nOr crawl links from the homepage instead:'));
+    console.error(chalk.gray('  node audit.js yourwordpresssite.com --crawl=always'));
   }
-  
-  return sitemaps;
 }
 
 /**
- * Fetch all URLs from the WordPress site
+ * Read a saved results file, turning a missing or unreadable file into an
+ * AuditError
  */
-async function getAllUrls() {
-  const spinner = ora('Fetching sitemap index...').start();
-  const allUrls = new Set(); // Use Set to automatically handle duplicates
-  
+async function readResults(filePath) {
   try {
-    // Fetch sitemap index
-    const indexData = await fetchXML(sitemapUrl);
-    if (!indexData) {
-      spinner.fail('Failed to fetch sitemap index');
-      return [];
-    }
-    
-    // Get all sub-sitemaps
-    const sitemaps = await getSitemapsFromIndex(indexData);
-    spinner.succeed(`Found ${sitemaps.length} sitemaps`);
-    
-    // Fetch each sitemap and extract URLs
-    for (const sitemapUrl of sitemaps) {
-      const subSpinner = ora(`Fetching ${sitemapUrl}...`).start();
-      const sitemapData = await fetchXML(sitemapUrl);
-      
-      if (sitemapData) {
-        const urls = extractUrlsFromSitemap(sitemapData);
-        urls.forEach(url => allUrls.add(url));
-        subSpinner.succeed(`Extracted ${urls.length} URLs from ${sitemapUrl}`);
-      } else {
-        subSpinner.warn(`Failed to fetch ${sitemapUrl}`);
-      }
+    return await loadResults(filePath);
+  } catch (error) {
+    if (error instanceof AuditError) {
+      throw error;
     }
-    
-    // Also check if the main URL is a direct sitemap (not an index)
-    const urls = extractUrlsFromSitemap(indexData);
-    urls.forEach(url => allUrls.add(url));
-    
-    console.log(chalk.green(`\n✓ Total unique URLs found: ${allUrls.size}`));
-    return Array.from(allUrls);
+    throw new AuditError('RESULTS_UNREADABLE', `Unable to read ${filePath}: ${error.message}`, [
+      'No audit has been run in this directory yet',
+      'The path to the results file is wrong',
+    ]);
+  }
+}
+
+/**
+ * Open a file in the default browser
+ */
+async function openInBrowser(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new AuditError('REPORT_NOT_FOUND', `Report ${filePath} does not exist`, [
+      'No audit has been run in this directory yet',
+      'The html output format is not enabled',
+    ]);
+  }
+
+  console.log(chalk.cyan(`\n🌐 Opening ${filePath} in the browser...`));
+  try {
+    // `open` is an ES module
+    const { default: open } = await import('open');
+    await open(path.resolve(filePath));
   } catch (error) {
-    spinner.fail('Error processing sitemaps');
-    console.error(error);
-    return [];
+    console.error(chalk.yellow('Could not open the report automatically:'), error.message);
+    console.log(chalk.gray(`Please open manually: ${path.resolve(filePath)}`));
   }
 }
 
 /**
- * Check if an error is retryable
+ * Let the user pause, resume and cancel the checks from the keyboard, when
+ * attached to a terminal. Returns a function that restores the terminal.
  */
-function isRetryableError(error) {
-  const errorMessage = error.message?.toLowerCase() || '';
-  
-  // List of retryable error patterns
-  const retryablePatterns = [
-    'timeout',
-    'timed out',
-    'navigation timeout',
-    'net::err',
-    'econnreset',
-    'econnrefused',
-    'socket hang up',
-    'empty response',
-    'protocol error',
-    'target closed',
-    'session closed',
-    'page crashed',
-    'abnormal',
-    'failed action',
-    'wait for',
-  ];
-  
-  return retryablePatterns.some(pattern => errorMessage.includes(pattern));
+function attachKeyboardControls(audit) {
+  const { stdin } = process;
+  if (!stdin.isTTY) {
+    return () => {};
+  }
+
+  const onKey = key => {
+    if (key === '\u0003') {
+      // Raw mode swallows Ctrl+C, so raise the signal ourselves
+      process.kill(process.pid, 'SIGINT');
+    } else if (key === 'p') {
+      const progress = audit.progress();
+      if (progress && progress.paused) {
+        audit.resume();
+      } else {
+        audit.pause();
+      }
+    } else if (key === 'c') {
+      audit.cancel();
+    }
+  };
+
+  audit.once('urls', () => {
+    console.log(chalk.gray('Press p to pause or resume, c to cancel (the reports are written for the URLs checked so far)\n'));
+  });
+  stdin.setRawMode(true);
+  stdin.setEncoding('utf8');
+  stdin.on('data', onKey);
+  stdin.resume();
+
+  return () => {
+    stdin.removeListener('data', onKey);
+    stdin.setRawMode(false);
+    stdin.pause();
+  };
 }
 
 /**
- * Run pa11y accessibility checks on a URL with retry logic
+ * `audit`: check every URL and write the reports
  */
-async function runAccessibilityCheck(url, attemptNumber = 1) {
+async function auditCommand({ positional, options, flags }) {
+  const audit = attachConsoleReporter(createAudit({
+    url: positional[0],
+    resume: Boolean(options.resume),
+    configFile: options.config,
+    flags,
+  }));
+  currentAudit = audit;
+  assertFormats(audit.config.OUTPUT_FORMATS);
+  const detachKeyboard = attachKeyboardControls(audit);
+  let result;
   try {
-    // Add some randomness to prevent all checks from hitting at the same time
-    if (attemptNumber > 1) {
-      const jitter = Math.random() * 2000; // 0-2 second random delay
-      await delay(jitter);
-    }
-    
-    const results = await pa11y(url, {
-      standard: 'WCAG2AA',
-      timeout: CONFIG.PAGE_TIMEOUT,
-      wait: CONFIG.PAGE_WAIT,
-      includeWarnings: true,
-      includeNotices: false,
-      chromeLaunchConfig: {
-        args: CONFIG.BROWSER_ARGS,
-        timeout: CONFIG.NAVIGATION_TIMEOUT,
-        handleSIGINT: false,
-        handleSIGTERM: false,
-        handleSIGHUP: false,
-        defaultViewport: {
-          width: 1280,
-          height: 1024
-        },
-        ignoreHTTPSErrors: true,
-      },
-      viewport: {
-        width: 1280,
-        height: 1024,
-        deviceScaleFactor: 1,
-        isMobile: false,
-        hasTouch: false,
-        isLandscape: false,
-      },
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'DNT': '1',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1'
-      },
-      // Don't use actions as they cause failures, use wait instead
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-      ignoreHTTPSErrors: true,
-    });
-    
-    // Track browser instance for cleanup
-    if (results.browser) {
-      browserInstances.add(results.browser);
-    }
-    
-    return {
-      url,
-      issues: results.issues || [],
-      status: 'success',
-      documentTitle: results.documentTitle || url,
-      attempts: attemptNumber
-    };
-  } catch (error) {
-    const isRetryable = isRetryableError(error);
-    
-    if (isRetryable && attemptNumber < CONFIG.MAX_RETRIES) {
-      const retryDelay = CONFIG.INITIAL_RETRY_DELAY * Math.pow(CONFIG.RETRY_MULTIPLIER, attemptNumber - 1);
-      console.warn(
-        chalk.yellow(`⚠️  Retrying ${url} (attempt ${attemptNumber + 1}/${CONFIG.MAX_RETRIES}) after ${retryDelay}ms...`)
-      );
-      console.warn(chalk.gray(`   Error: ${error.message}`));
-      
-      await delay(retryDelay);
-      return runAccessibilityCheck(url, attemptNumber + 1);
+    result = await audit.run();
+  } finally {
+    detachKeyboard();
+  }
+
+  // Generate reports in every configured format
+  console.log(chalk.cyan('\n📊 Generating reports...\n'));
+  const written = await writeReports(result, { formats: result.config.OUTPUT_FORMATS });
+
+  Object.entries(written).forEach(([format, filePath]) => {
+    console.log(chalk.green(`✓ ${format.toUpperCase()} report saved to: ${filePath}`));
+  });
+  if (result.artifacts) {
+    console.log(chalk.green(`✓ Screenshots saved to: ${result.artifacts}`));
+  }
+
+  printDelta(result);
+  printSummary(result);
+  printSampling(result);
+  printGates(result);
+
+  if (options.open && written.html) {
+    await openInBrowser(written.html);
+  }
+
+  if (result.cancelled) {
+    console.log(chalk.yellow(`\n⏹  Audit cancelled after ${result.results.length} of ${result.urls.length} URLs`));
+    if (result.config.CHECKPOINT_PATH) {
+      console.log(chalk.yellow(`💾 Progress saved to ${result.config.CHECKPOINT_PATH}, run again with --resume to continue\n`));
     }
-    
-    console.error(chalk.red(`❌ Error checking ${url} after ${attemptNumber} attempts:`), error.message);
-    return {
-      url,
-      issues: [],
-      status: 'error',
-      error: error.message,
-      documentTitle: url,
-      attempts: attemptNumber,
-      isRetryable
-    };
+    return EXIT_CODES.AUDIT_FAILED;
   }
+
+  const exitCode = auditExitCode(result);
+  if (exitCode === EXIT_CODES.AUDIT_FAILED) {
+    console.log(chalk.red(`\n✗ Audit failed: none of the ${result.results.length} checks succeeded\n`));
+  } else if (exitCode === EXIT_CODES.GATE_FAILED) {
+    console.log(chalk.red('\n✗ Audit complete, quality gates failed\n'));
+  } else {
+    console.log(chalk.green('\n✓ Audit complete!\n'));
+  }
+  return exitCode;
 }
 
 /**
- * Process URLs in batches
+ * `discover`: list the URLs an audit would check
  */
-async function processUrlBatch(urls, startIndex, totalUrls) {
-  const results = [];
-  const promises = urls.map((url, index) => 
-    limiter.run(async () => {
-      const globalIndex = startIndex + index + 1;
-      const spinner = ora(`[${globalIndex}/${totalUrls}] Checking ${url}...`).start();
-      
-      try {
-        const result = await runAccessibilityCheck(url);
-        
-        if (result.status === 'success') {
-          if (result.issues.length === 0) {
-            spinner.succeed(
-              `[${globalIndex}/${totalUrls}] ${url} - No issues found` +
-              (result.attempts > 1 ? chalk.gray(` (${result.attempts} attempts)`) : '')
-            );
-          } else {
-            spinner.warn(
-              `[${globalIndex}/${totalUrls}] ${url} - ${result.issues.length} issues found` +
-              (result.attempts > 1 ? chalk.gray(` (${result.attempts} attempts)`) : '')
-            );
-          }
-        } else {
-          spinner.fail(
-            `[${globalIndex}/${totalUrls}] ${url} - Check failed` +
-            (result.attempts > 1 ? chalk.gray(` (${result.attempts} attempts)`) : '')
-          );
-        }
-        
-        // Add delay between requests to avoid rate limiting
-        await delay(CONFIG.DELAY_BETWEEN_REQUESTS);
-        
-        return result;
-      } catch (error) {
-        spinner.fail(`[${globalIndex}/${totalUrls}] ${url} - Unexpected error`);
-        return {
-          url,
-          issues: [],
-          status: 'error',
-          error: error.message,
-          documentTitle: url,
-          attempts: 1
-        };
-      }
-    })
-  );
-  
-  const batchResults = await Promise.all(promises);
-  results.push(...batchResults);
-  
-  return results;
+async function discoverCommand({ positional, options, flags }) {
+  const audit = createAudit({ url: positional[0], configFile: options.config, flags });
+
+  // Keep stdout clean for the JSON output
+  if (options.json) {
+    const { urls, sources, content, excluded, sampling, sitemapUrl, sitemapSource } = await audit.discover();
+    const pages = urls.map(url => ({ url, sitemap: sources[url] || null, content: content[url] || null }));
+    console.log(JSON.stringify({ sitemapUrl, sitemapSource, count: urls.length, urls: pages, excluded, sampling }, null, 2));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  attachConsoleReporter(audit);
+  const { urls, found } = await audit.discover();
+  console.log(chalk.green(`\n✓ ${urls.length} URLs to audit` + (found !== urls.length ? ` (of ${found} found)` : '') + '\n'));
+
+  if (options.output) {
+    fs.writeFileSync(options.output, urls.join('\n') + '\n');
+    console.log(chalk.green(`✓ URL list saved to: ${path.resolve(options.output)}\n`));
+  } else {
+    urls.forEach(url => console.log(url));
+    console.log('');
+  }
+  return EXIT_CODES.SUCCESS;
 }
 
 /**
- * Generate HTML report from results
+ * `report`: re-render the reports from a saved results file
  */
-function generateHTMLReport(results, totalUrls, domain) {
-  const timestamp = new Date().toLocaleString();
-  const totalIssues = results.reduce((sum, r) => sum + r.issues.length, 0);
-  const failedChecks = results.filter(r => r.status === 'error').length;
-  const successfulChecks = results.filter(r => r.status === 'success').length;
-  
-  // Group issues by type
-  const issuesByType = {
-    error: 0,
-    warning: 0,
-    notice: 0
-  };
-  
-  results.forEach(result => {
-    result.issues.forEach(issue => {
-      issuesByType[issue.type] = (issuesByType[issue.type] || 0) + 1;
-    });
+async function reportCommand({ positional, options, flags }) {
+  const warnings = [];
+  const config = resolveConfig({}, { configFile: options.config, flags, warnings });
+  warnings.forEach(message => console.warn(chalk.yellow(`⚠️  ${message}`)));
+  const source = positional[0] || 'report.json';
+  const outputDir = path.resolve(options['out-dir'] || '.');
+
+  // Re-rendering the results file itself would only restamp it
+  const formats = config.OUTPUT_FORMATS.filter(format => format !== 'json');
+  if (formats.length === 0) {
+    throw new AuditError('INVALID_ARGUMENTS', 'Nothing to render: choose formats other than json, e.g. --outputs=html,sarif');
+  }
+
+  const audit = await readResults(source);
+  console.log(chalk.gray(`Results: ${source} (${audit.site}, ${audit.finishedAt})\n`));
+  fs.mkdirSync(outputDir, { recursive: true });
+  const written = await writeReports(audit, { formats, outputDir });
+  Object.entries(written).forEach(([format, filePath]) => {
+    console.log(chalk.green(`✓ ${format.toUpperCase()} report saved to: ${filePath}`));
   });
-  
-  const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Accessibility Audit Report - ${domain || sitemapUrl}</title>
-    <style>
-        * {
-            box-sizing: border-box;
-        }
-        
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 20px;
-            background: #f5f5f5;
-        }
-        
-        .header {
-            background: #fff;
-            padding: 30px;
-            border-radius: 8px;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-            margin-bottom: 30px;
-        }
-        
-        h1 {
-            margin: 0 0 20px 0;
-            color: #2c3e50;
-        }
-        
-        .summary {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 20px;
-            margin-bottom: 30px;
-        }
-        
-        .stat-card {
-            background: #fff;
-            padding: 20px;
-            border-radius: 8px;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-            text-align: center;
-        }
-        
-        .stat-card h3 {
-            margin: 0 0 10px 0;
-            color: #666;
-            font-size: 14px;
-            text-transform: uppercase;
-        }
-        
-        .stat-card .value {
-            font-size: 36px;
-            font-weight: bold;
-            margin: 0;
-        }
-        
-        .stat-card.error .value { color: #e74c3c; }
-        .stat-card.warning .value { color: #f39c12; }
-        .stat-card.success .value { color: #27ae60; }
-        
-        .page-result {
-            background: #fff;
-            padding: 20px;
-            border-radius: 8px;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-            margin-bottom: 20px;
-        }
-        
-        .page-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 15px;
-            padding-bottom: 15px;
-            border-bottom: 1px solid #eee;
-        }
-        
-        .page-title {
-            font-size: 18px;
-            font-weight: bold;
-            color: #2c3e50;
-            margin: 0;
-        }
-        
-        .page-url {
-            font-size: 14px;
-            color: #666;
-            word-break: break-all;
-        }
-        
-        .issue-count {
-            padding: 5px 15px;
-            border-radius: 20px;
-            font-size: 14px;
-            font-weight: bold;
-        }
-        
-        .issue-count.clean { background: #d4edda; color: #155724; }
-        .issue-count.has-issues { background: #f8d7da; color: #721c24; }
-        .issue-count.error { background: #f8d7da; color: #721c24; }
-        
-        .issues-list {
-            margin-top: 20px;
-        }
-        
-        .issue {
-            padding: 15px;
-            margin-bottom: 10px;
-            border-radius: 6px;
-            border-left: 4px solid;
-        }
-        
-        .issue.error {
-            background: #fee;
-            border-color: #e74c3c;
-        }
-        
-        .issue.warning {
-            background: #fff8e1;
-            border-color: #f39c12;
-        }
-        
-        .issue.notice {
-            background: #e8f5e9;
-            border-color: #4caf50;
-        }
-        
-        .issue-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: flex-start;
-            margin-bottom: 10px;
-        }
-        
-        .issue-type {
-            padding: 2px 8px;
-            border-radius: 4px;
-            font-size: 12px;
-            font-weight: bold;
-            text-transform: uppercase;
-            color: white;
-        }
-        
-        .issue-type.error { background: #e74c3c; }
-        .issue-type.warning { background: #f39c12; }
-        .issue-type.notice { background: #4caf50; }
-        
-        .issue-code {
-            font-size: 12px;
-            color: #666;
-            font-family: monospace;
-        }
-        
-        .issue-message {
-            margin: 10px 0;
-            font-weight: 500;
-        }
-        
-        .issue-context {
-            background: #f8f8f8;
-            padding: 10px;
-            border-radius: 4px;
-            font-family: monospace;
-            font-size: 12px;
-            overflow-x: auto;
-            white-space: pre-wrap;
-            margin: 10px 0;
-        }
-        
-        .issue-selector {
-            font-size: 12px;
-            color: #666;
-            font-family: monospace;
-        }
-        
-        .no-issues {
-            text-align: center;
-            padding: 40px;
-            color: #666;
-        }
-        
-        .error-message {
-            background: #fee;
-            padding: 15px;
-            border-radius: 6px;
-            border-left: 4px solid #e74c3c;
-            color: #721c24;
-        }
-        
-        .retry-info {
-            font-size: 12px;
-            color: #666;
-            margin-top: 5px;
-        }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>Accessibility Audit Report</h1>
-        <p><strong>Site:</strong> ${domain || 'Unknown'}</p>
-        <p><strong>Generated:</strong> ${timestamp}</p>
-        <p><strong>Standard:</strong> WCAG 2.1 Level AA</p>
-        <p><strong>Configuration:</strong> Max ${CONFIG.MAX_RETRIES} retries, ${CONFIG.PAGE_TIMEOUT/1000}s timeout, ${CONFIG.MAX_CONCURRENT_CHECKS} concurrent checks</p>
-    </div>
-    
-    <div class="summary">
-        <div class="stat-card">
-            <h3>Pages Scanned</h3>
-            <p class="value">${totalUrls}</p>
-        </div>
-        <div class="stat-card success">
-            <h3>Successful Checks</h3>
-            <p class="value">${successfulChecks}</p>
-        </div>
-        <div class="stat-card error">
-            <h3>Failed Checks</h3>
-            <p class="value">${failedChecks}</p>
-        </div>
-        <div class="stat-card">
-            <h3>Total Issues</h3>
-            <p class="value">${totalIssues}</p>
-        </div>
-        <div class="stat-card error">
-            <h3>Errors</h3>
-            <p class="value">${issuesByType.error || 0}</p>
-        </div>
-        <div class="stat-card warning">
-            <h3>Warnings</h3>
-            <p class="value">${issuesByType.warning || 0}</p>
-        </div>
-    </div>
-    
-    ${results.map(result => `
-        <div class="page-result">
-            <div class="page-header">
-                <div>
-                    <h2 class="page-title">${result.documentTitle}</h2>
-                    <p class="page-url">${result.url}</p>
-                    ${result.attempts > 1 ? `<p class="retry-info">Completed after ${result.attempts} attempts</p>` : ''}
-                </div>
-                ${result.status === 'error' 
-                    ? '<span class="issue-count error">Check Failed</span>'
-                    : result.issues.length === 0 
-                        ? '<span class="issue-count clean">No Issues</span>'
-                        : `<span class="issue-count has-issues">${result.issues.length} Issue${result.issues.length !== 1 ? 's' : ''}</span>`
-                }
-            </div>
-            
-            ${result.status === 'error'
-                ? `<div class="error-message">Error: ${result.error}</div>`
-                : result.issues.length === 0
-                    ? '<div class="no-issues">✓ No accessibility issues found</div>'
-                    : `<div class="issues-list">
-                        ${result.issues.map(issue => `
-                            <div class="issue ${issue.type}">
-                                <div class="issue-header">
-                                    <span class="issue-type ${issue.type}">${issue.type}</span>
-                                    <span class="issue-code">${issue.code}</span>
-                                </div>
-                                <div class="issue-message">${issue.message}</div>
-                                ${issue.context ? `<div class="issue-context">${escapeHtml(issue.context)}</div>` : ''}
-                                ${issue.selector ? `<div class="issue-selector">Selector: ${issue.selector}</div>` : ''}
-                            </div>
-                        `).join('')}
-                    </div>`
-            }
-        </div>
-    `).join('')}
-</body>
-</html>`;
-  
-  return html;
+
+  if (options.open && written.html) {
+    await openInBrowser(written.html);
+  }
+  console.log('');
+  return EXIT_CODES.SUCCESS;
 }
 
 /**
- * Escape HTML special characters
+ * `diff`: compare two saved results files
  */
-function escapeHtml(text) {
-  const map = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#039;'
-  };
-  return text.replace(/[&<>"']/g, m => map[m]);
+async function diffCommand({ positional, options }) {
+  const [baselinePath, currentPath = 'report.json'] = positional;
+  if (!baselinePath) {
+    throw new AuditError('INVALID_ARGUMENTS', 'Please provide the baseline results file to compare against');
+  }
+  const limit = options.limit === undefined ? 10 : parseInt(options.limit, 10);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new AuditError('INVALID_ARGUMENTS', `--limit must be an integer >= 0, got ${options.limit}`);
+  }
+
+  const [baseline, current] = await Promise.all([readResults(baselinePath), readResults(currentPath)]);
+  const delta = compareWithBaseline(current.results, baseline);
+
+  console.log(chalk.gray(`Baseline: ${baselinePath} (${baseline.site}, ${baseline.finishedAt})`));
+  console.log(chalk.gray(`Current:  ${currentPath} (${current.site}, ${current.finishedAt})`));
+  printDelta({ delta }, { limit });
+
+  delta.fixed.slice(0, limit).forEach(({ url, issue }) => {
+    console.log(chalk.green(`   - [${issue.type}] ${issue.code}`) + chalk.gray(` ${url}`));
+  });
+  if (delta.fixed.length > limit) {
+    console.log(chalk.gray(`     ...and ${delta.fixed.length - limit} more fixed issues`));
+  }
+  console.log('');
+
+  return delta.counts.new > 0 ? EXIT_CODES.GATE_FAILED : EXIT_CODES.SUCCESS;
 }
 
+/**
+ * `open`: open a report in the browser
+ */
+async function openCommand({ positional }) {
+  await openInBrowser(positional[0] || 'report.html');
+  console.log('');
+  return EXIT_CODES.SUCCESS;
+}
+
+const HANDLERS = {
+  audit: auditCommand,
+  discover: discoverCommand,
+  report: reportCommand,
+  diff: diffCommand,
+  open: openCommand,
+};
+
 /**
  * Main function
  */
-async function main() {
-  console.log(chalk.cyan('\n🔍 WordPress Accessibility Audit (Enhanced)\n'));
-  
-  // Extract domain from sitemap URL for display
-  let domain;
-  try {
-    const url = new URL(sitemapUrl);
-    domain = url.hostname;
-  } catch (e) {
-    domain = sitemapUrl;
-  }
-  
-  console.log(chalk.gray(`Website: ${domain}`));
-  console.log(chalk.gray(`Sitemap: ${sitemapUrl}`));
-  console.log(chalk.gray(`\nConfiguration:`));
-  console.log(chalk.gray(`  - Max concurrent checks: ${CONFIG.MAX_CONCURRENT_CHECKS}`));
-  console.log(chalk.gray(`  - Batch size: ${CONFIG.BATCH_SIZE}`));
-  console.log(chalk.gray(`  - Max retries: ${CONFIG.MAX_RETRIES}`));
-  console.log(chalk.gray(`  - Page timeout: ${CONFIG.PAGE_TIMEOUT/1000}s`));
-  console.log(chalk.gray(`  - Delay between requests: ${CONFIG.DELAY_BETWEEN_REQUESTS/1000}s`));
-  console.log(chalk.yellow(`\n⚠️  Note: Using conservative settings for maximum reliability\n`));
-  
-  // First, verify the sitemap exists
-  console.log(chalk.gray('Verifying sitemap accessibility...\n'));
-  try {
-    await axios.head(sitemapUrl, { timeout: 10000 });
-  } catch (error) {
-    console.error(chalk.red('\n❌ Error: Unable to access sitemap at ' + sitemapUrl));
-    console.error(chalk.yellow('\nPossible reasons:'));
-    console.error(chalk.gray('  1. The website does not have a sitemap at the standard location'));
-    console.error(chalk.gray('  2. The website URL is incorrect'));
-    console.error(chalk.gray('  3. The website is not accessible'));
-    console.error(chalk.gray('\nTry specifying the full sitemap URL directly:'));
-    console.error(chalk.gray(`  node audit.js ${sitemapUrl.replace('/sitemap_index.xml', '/sitemap.xml')}`));
-    process.exit(1);
-  }
-  
-  // Get all URLs from sitemap
-  const urls = await getAllUrls();
-  
-  if (urls.length === 0) {
-    console.error(chalk.red('\n❌ No URLs found in the sitemap'));
-    console.error(chalk.yellow('\nThe sitemap exists but contains no URLs.'));
-    console.error(chalk.gray('This might happen if:'));
-    console.error(chalk.gray('  1. The sitemap is empty'));
-    console.error(chalk.gray('  2. The sitemap format is not standard'));
-    console.error(chalk.gray('  3. The website uses a different sitemap structure'));
-    process.exit(1);
-  }
-  
-  console.log(chalk.cyan(`\n🏃 Running accessibility checks on ${urls.length} URLs...\n`));
-  
-  // Process URLs in batches
-  const results = [];
-  const batches = Math.ceil(urls.length / CONFIG.BATCH_SIZE);
-  
-  for (let i = 0; i < batches; i++) {
-    const startIdx = i * CONFIG.BATCH_SIZE;
-    const endIdx = Math.min(startIdx + CONFIG.BATCH_SIZE, urls.length);
-    const batch = urls.slice(startIdx, endIdx);
-    
-    console.log(chalk.cyan(`\n📦 Processing batch ${i + 1}/${batches} (URLs ${startIdx + 1}-${endIdx})...\n`));
-    
-    const batchResults = await processUrlBatch(batch, startIdx, urls.length);
-    results.push(...batchResults);
-    
-    // Add delay between batches
-    if (i < batches - 1) {
-      console.log(chalk.gray(`\n⏳ Waiting before next batch...\n`));
-      await delay(CONFIG.DELAY_BETWEEN_REQUESTS * 2);
-    }
+async function main(argv = process.argv.slice(2)) {
+  const parsed = parseArgs(argv);
+  if (!(parsed.command === 'discover' && parsed.options.json)) {
+    console.log(chalk.cyan('\n🔍 WordPress Accessibility Audit (Enhanced)\n'));
   }
-  
-  // Clean up browser instances
-  await cleanup();
-  
-  // Generate HTML report
-  console.log(chalk.cyan('\n📊 Generating HTML report...\n'));
-  const htmlReport = generateHTMLReport(results, urls.length, domain);
-  
-  // Save report
-  const reportPath = path.join(process.cwd(), 'report.html');
-  await fs.writeFile(reportPath, htmlReport);
-  
-  console.log(chalk.green(`✓ Report saved to: ${reportPath}`));
-  
-  // Summary
-  const totalIssues = results.reduce((sum, r) => sum + r.issues.length, 0);
-  const failedChecks = results.filter(r => r.status === 'error').length;
-  const successfulChecks = results.filter(r => r.status === 'success').length;
-  const retriedChecks = results.filter(r => r.attempts > 1).length;
-  
-  console.log(chalk.cyan('\n📈 Summary:'));
-  console.log(chalk.gray(`   Pages scanned: ${urls.length}`));
-  console.log(chalk.green(`   Successful checks: ${successfulChecks}`));
-  console.log(chalk.red(`   Failed checks: ${failedChecks}`));
-  console.log(chalk.yellow(`   Checks with retries: ${retriedChecks}`));
-  console.log(chalk.gray(`   Total issues: ${totalIssues}`));
-  
-  if (totalIssues > 0) {
-    const issueTypes = {};
-    results.forEach(r => {
-      r.issues.forEach(issue => {
-        issueTypes[issue.type] = (issueTypes[issue.type] || 0) + 1;
-      });
+
+  if (parsed.options.help) {
+    printHelp(parsed.helpTopic);
+    return EXIT_CODES.SUCCESS;
+  }
+  return HANDLERS[parsed.command](parsed);
+}
+
+if (require.main === module) {
+  // Handle process termination
+  const onSignal = async () => {
+    console.log(chalk.yellow('\n🧹 Cleaning up browser instances...'));
+    await cleanup();
+    const checkpointPath = currentAudit && currentAudit.config.CHECKPOINT_PATH;
+    if (checkpointPath && fs.existsSync(checkpointPath)) {
+      console.log(chalk.yellow(`💾 Progress saved to ${checkpointPath}, run again with --resume to continue`));
+    }
+    process.exit(EXIT_CODES.AUDIT_FAILED);
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  main()
+    .then(code => process.exit(code))
+    .catch(async error => {
+      if (error instanceof AuditError) {
+        printAuditError(error);
+      } else {
+        console.error(chalk.red('Unexpected error:'), error);
+      }
+      await cleanup();
+      process.exit(EXIT_CODES.AUDIT_FAILED);
     });
-    console.log(chalk.gray(`   Errors: ${issueTypes.error || 0}`));
-    console.log(chalk.gray(`   Warnings: ${issueTypes.warning || 0}`));
-  }
-  
-  console.log(chalk.green('\n✓ Audit complete!\n'));
-  
-  // Exit explicitly to ensure all processes are terminated
-  process.exit(0);
 }
 
-// Run the main function
-main().catch(error => {
-  console.error(chalk.red('Unexpected error:'), error);
-  cleanup().then(() => process.exit(1));
-});
\ No newline at end of file
+module.exports = { ...lib, main, parseArgs, attachConsoleReporter };
@@ -1,11 +1,12 @@
 /**
- * Example of how to use the audit script programmatically
+ * Example of how to use the audit library programmatically
  * This can be useful for CI/CD pipelines or automated testing
  */
 
-const { exec } = require('child_process');
+const fs = require('fs').promises;
 const path = require('path');
 const chalk = require('chalk');
+const { createAudit, generateHTMLReport, AuditError } = require('./audit');
 
 // Get website URL from command line arguments
 const websiteUrl = process.argv[2];
@@ -18,32 +19,38 @@ if (!websiteUrl) {
   process.exit(1);
 }
 
-const scriptPath = path.join(__dirname, 'audit.js');
+async function run() {
+  console.log('Starting accessibility audit...');
+  console.log(`Target website: ${websiteUrl}`);
 
-console.log('Starting accessibility audit...');
-console.log(`Target website: ${websiteUrl}`);
+  // Override any CONFIG value for this run only
+  const audit = createAudit({
+    url: websiteUrl,
+    config: { MAX_CONCURRENT_CHECKS: 2 }
+  });
+
+  // Progress events stream in while the audit runs
+  audit.on('urls', ({ urls }) => console.log(`Found ${urls.length} URLs`));
+  audit.on('check:done', ({ index, total, result }) => {
+    console.log(`[${index}/${total}] ${result.url}: ${result.status}, ${result.issues.length} issues`);
+  });
+
+  const result = await audit.run();
+
+  const reportPath = path.join(__dirname, 'report.html');
+  await fs.writeFile(reportPath, generateHTMLReport(result));
 
-// Run the audit
-const auditProcess = exec(`node "${scriptPath}" "${websiteUrl}"`, (error, stdout, stderr) => {
-  if (error) {
-    console.error('Audit failed:', error);
-    process.exit(1);
-  }
-  
-  if (stderr) {
-    console.error('Audit stderr:', stderr);
-  }
-  
-  console.log(stdout);
   console.log('\nAudit completed successfully!');
-  console.log('Report saved to: report.html');
-});
+  console.log(`Errors: ${result.summary.issuesByType.error}, warnings: ${result.summary.issuesByType.warning}`);
+  console.log(`Report saved to: ${reportPath}`);
 
-// Stream output in real-time
-auditProcess.stdout.on('data', (data) => {
-  process.stdout.write(data);
-});
+  // Fail the pipeline when any page has errors
+  return result.summary.issuesByType.error > 0 ? 1 : 0;
+}
 
-auditProcess.stderr.on('data', (data) => {
-  process.stderr.write(data);
-});
+run()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Audit failed:', error instanceof AuditError ? error.message : error);
+    process.exit(1);
+  });
@@ -0,0 +1,487 @@
+const EventEmitter = require('events');
+const { resolveConfig } = require('./config');
+const { AuditError } = require('./errors');
+const { WorkQueue } = require('./queue');
+const { crawlSitemaps } = require('./sitemap');
+const { createUrlFilter } = require('./filters');
+const { assertSampleMode, sampleUrls, extrapolateCoverage } = require('./sampling');
+const { normalizeInputUrl, discoverSitemap } = require('./discovery');
+const { crawlLinks } = require('./crawler');
+const { discoverRestContent } = require('./rest');
+const { runAccessibilityCheck, createBrowserPool, createThrottle } = require('./checker');
+const { basicAuth, createSession } = require('./auth');
+const { resolveViewports, mergeViewportResults } = require('./viewports');
+const { createScreenshots } = require('./screenshots');
+const { summarizeResults } = require('./summary');
+const { evaluateGates } = require('./gates');
+const { compareWithBaseline, onlyNewIssues } = require('./baseline');
+const { issueFingerprint } = require('./fingerprint');
+const { loadResults } = require('./outputs');
+const { Checkpoint, checkSettings, changedSettings } = require('./checkpoint');
+const { getDomain } = require('./utils');
+
+/**
+ * Check one URL under each viewport profile in turn, turning unexpected
+ * failures into error results, and merge the outcomes into one result
+ */
+async function checkUrl(url, { config, emit, pool, throttle, session, viewports = resolveViewports(config), screenshots = null }) {
+  const checkStart = Date.now();
+  const checks = [];
+  for (const viewport of viewports) {
+    let result;
+    try {
+      result = await runAccessibilityCheck(url, { config, emit, pool, throttle, session, viewport, screenshots });
+    } catch (error) {
+      result = {
+        url,
+        issues: [],
+        status: 'error',
+        error: error.message,
+        documentTitle: url,
+        attempts: 1
+      };
+    }
+    checks.push({ viewport, result });
+  }
+
+  const result = mergeViewportResults(url, checks);
+  result.duration = Date.now() - checkStart;
+  return result;
+}
+
+/**
+ * Load the baseline results to compare against, if one was configured
+ */
+async function loadBaseline(options, config) {
+  if (options.baseline) {
+    return options.baseline;
+  }
+  if (!config.BASELINE_PATH) {
+    return null;
+  }
+
+  try {
+    return await loadResults(config.BASELINE_PATH);
+  } catch (error) {
+    if (error instanceof AuditError) {
+      throw error;
+    }
+    throw new AuditError('BASELINE_UNREADABLE', `Unable to read baseline ${config.BASELINE_PATH}: ${error.message}`);
+  }
+}
+
+/**
+ * Find the URLs listed in the site's sitemaps, falling back to crawling
+ * links from the homepage when there is no usable sitemap
+ */
+async function findSitemapUrls(input, config, emit) {
+  const auth = basicAuth(config);
+  const crawl = async reason => {
+    const { url, isSitemap } = normalizeInputUrl(input);
+    const startUrl = isSitemap ? new URL(url).origin + '/' : url + '/';
+    emit('crawl:fallback', { reason, url: startUrl });
+
+    const { urls } = await crawlLinks(startUrl, {
+      maxDepth: config.CRAWL_MAX_DEPTH,
+      maxPages: config.CRAWL_MAX_PAGES,
+      concurrency: config.CRAWL_CONCURRENCY,
+      auth,
+      emit
+    });
+    return { urls, sitemapUrl: null, sitemapSource: 'link crawl', sitemaps: [], sources: {} };
+  };
+
+  if (config.CRAWL_MODE === 'always') {
+    return crawl(null);
+  }
+
+  let discovered;
+  try {
+    discovered = await discoverSitemap(input, emit, { auth });
+  } catch (error) {
+    if (config.CRAWL_MODE === 'off' || !['SITEMAP_NOT_FOUND', 'SITEMAP_UNREACHABLE'].includes(error.code)) {
+      throw error;
+    }
+    return crawl(error.message);
+  }
+
+  // Get all URLs from the sitemap and any nested sitemap indexes
+  const { sitemapUrl, source: sitemapSource } = discovered;
+  const { urls, sitemaps, sources } = await crawlSitemaps(sitemapUrl, { maxDepth: config.SITEMAP_MAX_DEPTH, auth, emit });
+  if (urls.length === 0 && config.CRAWL_MODE !== 'off') {
+    return crawl(`No URLs found in ${sitemapUrl}`);
+  }
+  return { urls, sitemapUrl, sitemapSource, sitemaps, sources };
+}
+
+/**
+ * Find the URLs to audit from the sitemaps and/or the WordPress REST API
+ *
+ * Resolves to `{ urls, sitemapUrl, sitemapSource, sitemaps, sources,
+ * content }`, where content holds the REST metadata of each URL found
+ * through the REST API.
+ */
+async function findUrls(input, config, emit) {
+  const discoverRest = () => {
+    const { url, isSitemap } = normalizeInputUrl(input);
+    return discoverRestContent(isSitemap ? new URL(url).origin : url, {
+      // An application password replaces the basic auth credentials
+      auth: config.REST_USER && config.REST_PASSWORD
+        ? { username: config.REST_USER, password: config.REST_PASSWORD }
+        : basicAuth(config),
+      // Preview links of unpublished content need a logged-in browser
+      previews: Boolean(config.LOGIN_USER || config.COOKIES_PATH),
+      types: config.REST_TYPES,
+      statuses: config.REST_STATUSES,
+      emit
+    });
+  };
+
+  if (config.REST_MODE === 'only') {
+    const { urls, sources, content } = await discoverRest();
+    emit('rest:done', { count: urls.length, added: urls.length });
+    return { urls, sitemapUrl: null, sitemapSource: 'REST API', sitemaps: [], sources, content };
+  }
+
+  const found = await findSitemapUrls(input, config, emit);
+  if (config.REST_MODE !== 'merge') {
+    return { ...found, content: {} };
+  }
+
+  // Content missing from the sitemaps (noindex pages, drafts) is appended
+  let rest;
+  try {
+    rest = await discoverRest();
+  } catch (error) {
+    emit('rest:unavailable', { error: error.message });
+    return { ...found, content: {} };
+  }
+
+  const listed = new Set(found.urls);
+  const added = rest.urls.filter(url => !listed.has(url));
+  added.forEach(url => {
+    found.sources[url] = rest.sources[url];
+  });
+  emit('rest:done', { count: rest.urls.length, added: added.length });
+  return { ...found, urls: [...found.urls, ...added], content: rest.content };
+}
+
+/**
+ * Find the URLs to audit, then apply the URL filters and sampling
+ *
+ * Resolves to `{ urls, found, sitemapUrl, sitemapSource, sitemaps, sources,
+ * content, excluded, sampling }`, where found counts the URLs discovered
+ * before filtering.
+ */
+async function selectUrls(input, config, filter, emit) {
+  // Find the URLs from the sitemap, or by crawling links without one
+  const { urls: found, sitemapUrl, sitemapSource, sitemaps, sources, content } = await findUrls(input, config, emit);
+  if (found.length === 0) {
+    throw sitemapUrl
+      ? new AuditError('NO_URLS', 'No URLs found in the sitemap', [
+        'The sitemap is empty',
+        'The sitemap format is not standard',
+        'The website uses a different sitemap structure',
+      ])
+      : new AuditError('NO_URLS', 'No pages found by crawling links from the homepage', [
+        'The website is not accessible',
+        'The homepage does not respond with HTML',
+      ]);
+  }
+
+  // Drop URLs excluded by the include/exclude rules
+  let { kept: urls, excluded } = filter.apply(found, sources);
+  if (filter.active) {
+    emit('urls:filtered', { found: found.length, kept: urls.length, excluded });
+  }
+  if (urls.length === 0) {
+    throw new AuditError('ALL_URLS_EXCLUDED', `All ${found.length} URLs were excluded by the URL filters`, [
+      'The include rules do not match any URL',
+      'The exclude rules are too broad',
+    ]);
+  }
+
+  // Audit a representative sample instead of every URL
+  let sampling = null;
+  if (config.SAMPLE_MODE) {
+    sampling = await sampleUrls(urls, sources, config, emit);
+    urls = sampling.urls;
+    emit('urls:sampled', sampling);
+  }
+
+  return { urls, found: found.length, sitemapUrl, sitemapSource, sitemaps, sources, content, excluded, sampling };
+}
+
+/**
+ * Emit an event on the audit and pass it to `options.onEvent` when provided
+ */
+function createEmitter(audit) {
+  return (event, payload) => {
+    if (typeof audit.options.onEvent === 'function') {
+      audit.options.onEvent(event, payload);
+    }
+    audit.emit(event, payload);
+  };
+}
+
+/**
+ * A single site audit. Emits progress events while `run()` is in flight:
+ *
+ *   config:deprecated, start, checkpoint:resume, checkpoint:missing, sitemap:probe,
+ *   sitemap:discovered, sitemap:*, crawl:*, rest:*, urls:filtered,
+ *   sample:probe, urls:sampled, urls, browser:launch, browser:recycle,
+ *   check:start, check:retry, check:done, screenshot:failed,
+ *   throttle:slowdown, throttle:recovered, queue:paused, queue:resumed,
+ *   queue:cancelled, complete
+ *
+ * The configuration is resolved and validated on construction, from the
+ * project config file (`options.configFile` or `.a11yaudit.json`), the
+ * environment, CLI `options.flags` and `options.config` overrides; the site
+ * URL falls back to the config file's `site`. Deprecated settings are
+ * ignored and reported through `config:deprecated` once the audit starts.
+ *
+ * `discover()` stops after finding the URLs, emitting the discovery events
+ * only. `run()` never exits the process; unrecoverable problems reject with an
+ * AuditError.
+ */
+class Audit extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.configWarnings = [];
+    this.config = resolveConfig(options.config, { configFile: options.configFile, flags: options.flags, warnings: this.configWarnings });
+    this.queue = null;
+  }
+
+  /**
+   * Stop starting new checks until `resume()`; running checks finish
+   */
+  pause() {
+    if (this.queue) {
+      this.queue.pause();
+    }
+  }
+
+  resume() {
+    if (this.queue) {
+      this.queue.resume();
+    }
+  }
+
+  /**
+   * Skip the URLs not checked yet; `run()` then resolves with the results so
+   * far and `cancelled: true`
+   */
+  cancel() {
+    if (this.queue) {
+      this.queue.cancel();
+    }
+  }
+
+  /**
+   * Checks completed, running and remaining, with the estimated time left
+   */
+  progress() {
+    return this.queue ? this.queue.progress() : null;
+  }
+
+  /**
+   * Find the URLs an audit would check, without checking them
+   *
+   * Resolves to `{ site, url, urls, found, sitemapUrl, sitemapSource,
+   * sitemaps, sources, content, excluded, sampling }`.
+   */
+  async discover() {
+    const emit = createEmitter(this);
+    const { config } = this;
+    this.configWarnings.forEach(message => emit('config:deprecated', { message }));
+
+    const input = this.options.url || config.SITE_URL;
+    const { url: siteUrl } = normalizeInputUrl(input);
+    const filter = createUrlFilter(config);
+    assertSampleMode(config.SAMPLE_MODE);
+
+    const selected = await selectUrls(input, config, filter, emit);
+    return { site: getDomain(siteUrl), url: siteUrl, ...selected };
+  }
+
+  async run() {
+    const emit = createEmitter(this);
+    const { config } = this;
+    this.configWarnings.forEach(message => emit('config:deprecated', { message }));
+
+    const input = this.options.url || config.SITE_URL;
+    const { url: siteUrl } = normalizeInputUrl(input);
+    const site = getDomain(siteUrl);
+    let startedAt = new Date().toISOString();
+    emit('start', { site, url: siteUrl, config });
+
+    const checkpointPath = this.options.checkpoint === false ? null : (this.options.checkpoint || config.CHECKPOINT_PATH);
+    const checkpoint = checkpointPath ? new Checkpoint(checkpointPath) : null;
+    const pool = createBrowserPool(config, emit);
+    const throttle = createThrottle(config, emit);
+    const queue = new WorkQueue({ concurrency: config.MAX_CONCURRENT_CHECKS, delayAfter: config.DELAY_BETWEEN_REQUESTS, emit });
+    this.queue = queue;
+
+    try {
+      // Load the baseline and URL filters up front so mistakes fail before the scan
+      const baseline = await loadBaseline(this.options, config);
+      const filter = createUrlFilter(config);
+      assertSampleMode(config.SAMPLE_MODE);
+      const viewports = resolveViewports(config);
+
+      // Check the credentials and log in once; every check reuses the session
+      const session = await createSession(config, { siteUrl, pool, emit });
+
+      // Pick up where an interrupted run left off
+      const previous = this.options.resume && checkpoint ? await checkpoint.load() : null;
+      if (this.options.resume && !previous) {
+        emit('checkpoint:missing', { path: checkpointPath });
+      }
+      if (previous && previous.siteUrl !== siteUrl) {
+        throw new AuditError(
+          'CHECKPOINT_MISMATCH',
+          `Checkpoint ${checkpointPath} belongs to ${previous.siteUrl}, not ${siteUrl}`
+        );
+      }
+      // Results checked with other settings would not match the rest of the report
+      const changed = previous ? changedSettings(previous.settings, config) : [];
+      if (changed.length) {
+        throw new AuditError(
+          'CHECKPOINT_MISMATCH',
+          `Checkpoint ${checkpointPath} was saved with different ${changed.join(', ')}; resume with the same settings or audit again without --resume`,
+          [
+            'The command line flags differ from the interrupted run',
+            'The config file or environment changed since the run was interrupted',
+          ],
+          { changed }
+        );
+      }
+
+      let urls;
+      let sitemapUrl;
+      let sitemapSource;
+      let sitemaps;
+      let sources;
+      let content;
+      let excluded;
+      let sampling;
+      const results = [];
+      if (previous) {
+        // Reuse the saved URL list so the final report matches an uninterrupted run
+        urls = previous.urls;
+        startedAt = previous.startedAt;
+        ({ sitemapUrl, sitemapSource, sitemaps, sources, excluded, sampling } = previous);
+        content = previous.content || {};
+        previous.completed.forEach((result, index) => {
+          results[index] = result;
+        });
+        emit('checkpoint:resume', {
+          path: checkpointPath,
+          completed: previous.completed.size,
+          remaining: urls.length - previous.completed.size
+        });
+      } else {
+        // Find the URLs to audit, filtered and sampled
+        ({ urls, sitemapUrl, sitemapSource, sitemaps, sources, content, excluded, sampling } = await selectUrls(input, config, filter, emit));
+        if (checkpoint) {
+          await checkpoint.start({
+            siteUrl, sitemapUrl, sitemapSource, sitemaps, sources, content, excluded, sampling,
+            settings: checkSettings(config), startedAt, urls
+          });
+        }
+      }
+      emit('urls', { urls, sitemaps });
+
+      // Screenshots of a resumed run go to the folder it started in
+      const screenshots = createScreenshots(config, startedAt);
+
+      // Check the remaining URLs, each slot starting the next URL as soon as
+      // it is free; results stream out (and into the checkpoint) as they finish
+      const pending = urls
+        .map((url, index) => ({ url, index }))
+        .filter(({ index }) => !results[index]);
+      const { cancelled } = await queue.run(pending, ({ url, index }) => {
+        emit('check:start', { url, index: index + 1, total: urls.length });
+        return checkUrl(url, { config, emit, pool, throttle, session, viewports, screenshots });
+      }, async ({ url, index }, result) => {
+        results[index] = result;
+        if (checkpoint) {
+          await checkpoint.record(index, result);
+        }
+        emit('check:done', { url, index: index + 1, total: urls.length, result, progress: queue.progress() });
+      });
+
+      // A cancelled audit reports the URLs checked so far; the checkpoint is
+      // kept so it can be resumed
+      const checked = cancelled ? results.filter(Boolean) : results;
+      checked.forEach(result => {
+        result.sitemap = sources[result.url] || null;
+        result.content = content[result.url] || null;
+        result.issues.forEach(issue => {
+          issue.fingerprint = issueFingerprint(result.url, issue);
+        });
+      });
+      const delta = baseline ? compareWithBaseline(checked, baseline) : null;
+      const gateScope = delta && config.GATE_NEW_ISSUES_ONLY ? 'new' : 'all';
+      const gateResults = gateScope === 'new' ? onlyNewIssues(checked) : checked;
+
+      const audit = {
+        site,
+        sitemapUrl,
+        sitemapSource,
+        sitemaps,
+        excluded,
+        sampling: sampling ? { ...sampling, coverage: extrapolateCoverage(sampling, checked) } : null,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        standard: config.STANDARD,
+        runners: config.RUNNERS,
+        viewports,
+        config,
+        urls,
+        results: checked,
+        summary: summarizeResults(checked),
+        delta,
+        gates: { ...evaluateGates(gateResults, config), scope: gateScope },
+        throttling: throttle ? throttle.summary() : null,
+        artifacts: screenshots ? screenshots.dir : null,
+        cancelled,
+      };
+      if (checkpoint && !cancelled) {
+        await checkpoint.remove();
+      }
+      emit('complete', audit);
+      return audit;
+    } finally {
+      // Close the shared browsers
+      await pool.close();
+    }
+  }
+}
+
+/**
+ * Create an audit without starting it, so listeners can be attached first
+ */
+function createAudit(options) {
+  return new Audit(options);
+}
+
+/**
+ * Audit every URL in a WordPress site's sitemap
+ *
+ * Resolves to the structured results object. Progress events (see `Audit`)
+ * are passed to `options.onEvent(event, payload)` when provided.
+ */
+async function auditSite(options = {}) {
+  return createAudit(options).run();
+}
+
+/**
+ * Find the URLs an audit of the site would check, without checking them
+ */
+async function discoverUrls(options = {}) {
+  return createAudit(options).discover();
+}
+
+module.exports = { Audit, createAudit, auditSite, discoverUrls, checkUrl };
@@ -0,0 +1,324 @@
+const fs = require('fs');
+const axios = require('axios');
+const { AuditError } = require('./errors');
+
+const noop = () => {};
+
+/**
+ * HTTP basic auth credentials from the config, in the `{ username, password }`
+ * shape axios and puppeteer's `page.authenticate()` take, or null
+ */
+function basicAuth(config) {
+  return config.BASIC_AUTH_USER && config.BASIC_AUTH_PASSWORD
+    ? { username: config.BASIC_AUTH_USER, password: config.BASIC_AUTH_PASSWORD }
+    : null;
+}
+
+/**
+ * The WordPress login page: LOGIN_URL (absolute, or relative to the site), or
+ * wp-login.php on the site, which may be installed in a subdirectory
+ *
+ * `siteUrl` is the audited URL: the site, or a sitemap in its root.
+ */
+function loginUrl(config, siteUrl) {
+  const base = /\.xml(\.gz)?$/i.test(siteUrl) ? siteUrl : siteUrl.replace(/\/?$/, '/');
+  return new URL(config.LOGIN_URL || 'wp-login.php', base).href;
+}
+
+/**
+ * Whether a URL is the WordPress login page (wp-login.php, or the configured
+ * login URL on sites that moved it)
+ */
+function isLoginPage(url, configuredUrl = null) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (error) {
+    return false;
+  }
+  if (/\/wp-login\.php$/.test(pathname)) {
+    return true;
+  }
+  return Boolean(configuredUrl) && pathname === new URL(configuredUrl).pathname;
+}
+
+/**
+ * Normalise one cookie from a JSON export (puppeteer's `page.cookies()`,
+ * browser extensions, Playwright storage state) into puppeteer's format
+ */
+function normalizeCookie(cookie, index, filePath) {
+  if (!cookie || typeof cookie.name !== 'string' || cookie.value === undefined) {
+    throw new AuditError('INVALID_COOKIES', `Cookie ${index + 1} in ${filePath} needs a name and a value`);
+  }
+
+  const normalized = {
+    name: cookie.name,
+    value: String(cookie.value),
+    path: cookie.path || '/',
+    expires: cookie.expires ?? cookie.expirationDate ?? -1,
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure),
+  };
+  if (cookie.domain) {
+    normalized.domain = cookie.domain;
+  }
+  if (['Strict', 'Lax', 'None'].includes(cookie.sameSite)) {
+    normalized.sameSite = cookie.sameSite;
+  }
+  return normalized;
+}
+
+/**
+ * Parse a cookie jar: a JSON array of cookies (or an object with a `cookies`
+ * array), or a Netscape cookies.txt file as written by curl and browser
+ * extensions
+ */
+function parseCookieFile(content, filePath) {
+  const text = content.trim();
+
+  if (text.startsWith('[') || text.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new AuditError('INVALID_COOKIES', `Cookie file ${filePath} is not valid JSON: ${error.message}`);
+    }
+    const cookies = Array.isArray(data) ? data : data.cookies;
+    if (!Array.isArray(cookies)) {
+      throw new AuditError('INVALID_COOKIES', `Cookie file ${filePath} does not contain a list of cookies`);
+    }
+    return cookies.map((cookie, index) => normalizeCookie(cookie, index, filePath));
+  }
+
+  const cookies = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const httpOnly = line.startsWith('#HttpOnly_');
+    if (line.trim() === '' || (line.startsWith('#') && !httpOnly)) {
+      return;
+    }
+
+    const fields = (httpOnly ? line.slice('#HttpOnly_'.length) : line).split('\t');
+    if (fields.length !== 7) {
+      throw new AuditError('INVALID_COOKIES', `Line ${index + 1} of ${filePath} is not a cookies.txt entry`, [
+        'The file is neither JSON nor a tab-separated Netscape cookies.txt file',
+      ]);
+    }
+    const [domain, , cookiePath, secure, expires, name, value] = fields;
+    cookies.push({
+      name,
+      value,
+      domain,
+      path: cookiePath,
+      // 0 marks a session cookie
+      expires: parseInt(expires, 10) || -1,
+      httpOnly,
+      secure: secure.toUpperCase() === 'TRUE',
+    });
+  });
+  return cookies;
+}
+
+/**
+ * Load the cookie jar, dropping expired cookies. Cookies without a domain
+ * are set for the audited site.
+ */
+async function loadCookieJar(filePath, siteUrl) {
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new AuditError('COOKIES_UNREADABLE', `Unable to read cookie file ${filePath}: ${error.message}`);
+  }
+
+  const cookies = parseCookieFile(content, filePath);
+  const now = Date.now() / 1000;
+  const valid = cookies
+    .filter(cookie => cookie.expires <= 0 || cookie.expires > now)
+    .map(cookie => (cookie.domain ? cookie : { ...cookie, url: siteUrl }));
+
+  if (cookies.length === 0) {
+    throw new AuditError('INVALID_COOKIES', `Cookie file ${filePath} contains no cookies`);
+  }
+  if (valid.length === 0) {
+    throw new AuditError('COOKIES_EXPIRED', `All ${cookies.length} cookies in ${filePath} have expired`, [
+      'The cookies were exported from a session that has since ended; log in again and export them afresh',
+    ]);
+  }
+  return valid;
+}
+
+/**
+ * Check the basic auth credentials against the site before the audit starts
+ */
+async function verifyBasicAuth(siteUrl, basic) {
+  let status;
+  try {
+    const response = await axios.get(siteUrl, {
+      auth: basic,
+      timeout: 30000,
+      maxRedirects: 5,
+      validateStatus: () => true,
+    });
+    status = response.status;
+  } catch (error) {
+    // Unreachable sites are reported by URL discovery
+    return;
+  }
+
+  if (status === 401) {
+    throw new AuditError('AUTH_FAILED', `${siteUrl} rejected the HTTP basic auth credentials for ${basic.username}`, [
+      'The user name or password is wrong (PA11Y_BASIC_AUTH_USER, PA11Y_BASIC_AUTH_PASSWORD)',
+    ], { url: siteUrl });
+  }
+}
+
+/**
+ * Log in through the WordPress login form once, resolving to the session
+ * cookies
+ *
+ * Runs in a page of the browser pool. A missing form, an error shown by
+ * WordPress or a response without the `wordpress_logged_in_*` cookie all
+ * reject with LOGIN_FAILED.
+ */
+async function logIn(pool, { url, username, password, basic = null, cookies = [], timeout = 90000 }) {
+  return pool.withPage(async (browser, page) => {
+    if (basic) {
+      await page.authenticate(basic);
+    }
+    if (cookies.length > 0) {
+      await page.setCookie(...cookies);
+    }
+
+    let response;
+    try {
+      response = await page.goto(url, { waitUntil: 'load', timeout });
+    } catch (error) {
+      throw new AuditError('LOGIN_FAILED', `Unable to open the login page ${url}: ${error.message}`, [], { url });
+    }
+    if (response && !response.ok()) {
+      throw new AuditError('LOGIN_FAILED', `The login page ${url} responded with HTTP ${response.status()}`, [
+        'The site moved its login page (set PA11Y_LOGIN_URL)',
+      ], { url });
+    }
+    if (!(await page.$('#loginform'))) {
+      throw new AuditError('LOGIN_FAILED', `No WordPress login form found at ${url}`, [
+        'The site moved its login page (set PA11Y_LOGIN_URL)',
+        'A CAPTCHA or two-factor prompt replaces the login form, which cannot be scripted (export a cookie file for PA11Y_COOKIES instead)',
+      ], { url });
+    }
+
+    await page.type('#user_login', username);
+    await page.type('#user_pass', password);
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: 'load', timeout }),
+      page.click('#wp-submit'),
+    ]);
+
+    const session = await page.cookies();
+    if (!session.some(cookie => cookie.name.startsWith('wordpress_logged_in_'))) {
+      const message = await page.$eval('#login_error', element => element.textContent.trim()).catch(() => null);
+      throw new AuditError('LOGIN_FAILED', `Logging in as ${username} at ${url} failed${message ? `: ${message}` : ''}`, [
+        'The user name or password is wrong (PA11Y_LOGIN_USER, PA11Y_LOGIN_PASSWORD)',
+        'A CAPTCHA, two-factor or security plugin blocks scripted logins (export a cookie file for PA11Y_COOKIES instead)',
+      ], { url });
+    }
+    return session;
+  });
+}
+
+/**
+ * Set up the authentication for an audit's checks, or resolve to null when
+ * none is configured
+ *
+ * Basic auth credentials are verified against the site, the cookie jar is
+ * loaded and the login form is submitted once; its session cookies are
+ * reused by every check. Resolves to `{ basic, cookies, loginUrl }`.
+ */
+async function createSession(config, { siteUrl, pool, emit = noop }) {
+  const basic = basicAuth(config);
+  if (!basic && !config.COOKIES_PATH && !config.LOGIN_USER) {
+    return null;
+  }
+
+  if (basic) {
+    await verifyBasicAuth(siteUrl, basic);
+  }
+
+  let cookies = config.COOKIES_PATH ? await loadCookieJar(config.COOKIES_PATH, siteUrl) : [];
+  if (config.LOGIN_USER) {
+    const url = loginUrl(config, siteUrl);
+    emit('auth:login', { url, username: config.LOGIN_USER });
+    cookies = [...cookies, ...await logIn(pool, {
+      url,
+      username: config.LOGIN_USER,
+      password: config.LOGIN_PASSWORD,
+      basic,
+      cookies,
+      timeout: config.NAVIGATION_TIMEOUT,
+    })];
+  }
+
+  const session = { basic, cookies, loginUrl: config.LOGIN_URL ? loginUrl(config, siteUrl) : null };
+  emit('auth:ready', {
+    basic: Boolean(basic),
+    cookies: cookies.length,
+    source: config.LOGIN_USER ? 'login' : config.COOKIES_PATH ? 'cookie file' : null,
+  });
+  return session;
+}
+
+/**
+ * Authenticate a fresh page with the session before a check loads it
+ */
+async function applySession(page, session) {
+  if (session.basic) {
+    await page.authenticate(session.basic);
+  }
+  if (session.cookies.length > 0) {
+    await page.setCookie(...session.cookies);
+  }
+}
+
+/**
+ * Request headers carrying the session, for checks run without a shared
+ * browser page
+ */
+function sessionHeaders(session, url) {
+  const headers = {};
+  if (session.basic) {
+    const { username, password } = session.basic;
+    headers['Authorization'] = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+
+  const { hostname } = new URL(url);
+  const cookies = session.cookies.filter(cookie => {
+    if (cookie.url) {
+      return new URL(cookie.url).hostname === hostname;
+    }
+    const domain = cookie.domain.replace(/^\./, '');
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  });
+  if (cookies.length > 0) {
+    headers['Cookie'] = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+  return headers;
+}
+
+/**
+ * Error for a check that ended on the login page instead of the audited page
+ */
+function loginRedirectError(url, finalUrl) {
+  return new Error(`Redirected to the login page (${finalUrl}) instead of ${url}: the session is not valid for this page`);
+}
+
+module.exports = {
+  basicAuth,
+  loginUrl,
+  isLoginPage,
+  parseCookieFile,
+  loadCookieJar,
+  createSession,
+  applySession,
+  sessionHeaders,
+  loginRedirectError,
+};
@@ -0,0 +1,82 @@
+const { issueFingerprint } = require('./fingerprint');
+
+/**
+ * Compare this run's results against a previous run's results
+ *
+ * Every current issue is tagged with its `fingerprint` and a `baseline`
+ * status of `new` or `persisting`. Baseline issues that no longer appear on
+ * a page that was checked successfully are `fixed`; baseline issues on pages
+ * that failed or were not checked this time are `unverified`.
+ */
+function compareWithBaseline(results, baseline) {
+  // Fingerprints can repeat on a page, so count occurrences
+  const remaining = new Map();
+  baseline.results.forEach(result => {
+    result.issues.forEach(issue => {
+      const fingerprint = issue.fingerprint || issueFingerprint(result.url, issue);
+      remaining.set(fingerprint, (remaining.get(fingerprint) || 0) + 1);
+    });
+  });
+
+  const newIssues = [];
+  let persisting = 0;
+  results.forEach(result => {
+    result.issues.forEach(issue => {
+      issue.fingerprint = issue.fingerprint || issueFingerprint(result.url, issue);
+      const count = remaining.get(issue.fingerprint) || 0;
+      if (count > 0) {
+        remaining.set(issue.fingerprint, count - 1);
+        issue.baseline = 'persisting';
+        persisting++;
+      } else {
+        issue.baseline = 'new';
+        newIssues.push({ url: result.url, issue });
+      }
+    });
+  });
+
+  const checkedUrls = new Set(results.filter(r => r.status === 'success').map(r => r.url));
+  const fixed = [];
+  const unverified = [];
+  baseline.results.forEach(result => {
+    result.issues.forEach(issue => {
+      const fingerprint = issue.fingerprint || issueFingerprint(result.url, issue);
+      const count = remaining.get(fingerprint) || 0;
+      if (count === 0) {
+        return;
+      }
+      remaining.set(fingerprint, count - 1);
+      const entry = { url: result.url, issue: { ...issue, fingerprint } };
+      (checkedUrls.has(result.url) ? fixed : unverified).push(entry);
+    });
+  });
+
+  return {
+    baseline: {
+      site: baseline.site,
+      sitemapUrl: baseline.sitemapUrl,
+      finishedAt: baseline.finishedAt,
+    },
+    counts: {
+      new: newIssues.length,
+      fixed: fixed.length,
+      persisting,
+      unverified: unverified.length,
+    },
+    new: newIssues,
+    fixed,
+    unverified,
+  };
+}
+
+/**
+ * Copy of the results keeping only issues that are new since the baseline
+ */
+function onlyNewIssues(results) {
+  return results.map(result => ({
+    ...result,
+    issues: result.issues.filter(issue => issue.baseline === 'new')
+  }));
+}
+
+module.exports = { compareWithBaseline, onlyNewIssues };
@@ -0,0 +1,217 @@
+const puppeteer = require('puppeteer');
+
+const noop = () => {};
+
+// Errors that mean the browser itself is gone, not just the page
+const CRASH_PATTERNS = [
+  'target closed',
+  'session closed',
+  'page crashed',
+  'browser has disconnected',
+  'websocket is not open',
+  'connection closed',
+];
+
+// Pools still open, so their browsers can be killed if the process exits
+// without closing them
+const openPools = new Set();
+
+/**
+ * Check if an error means the browser crashed or disconnected
+ */
+function isBrowserCrash(error) {
+  const message = (error && error.message ? error.message : '').toLowerCase();
+  return CRASH_PATTERNS.some(pattern => message.includes(pattern));
+}
+
+/**
+ * A fixed number of long-lived Chrome browsers shared by all checks
+ *
+ * Browsers are launched on demand, up to `size`, and each check gets a fresh
+ * page on the least busy one. A browser is recycled (closed once its open
+ * pages finish, and relaunched for the next check) after it crashes or
+ * disconnects, and after serving `maxPagesPerBrowser` pages to keep Chrome's
+ * memory in check.
+ *
+ * Emits `browser:launch` and `browser:recycle` through `emit`.
+ */
+class BrowserPool {
+  constructor({ size = 1, maxPagesPerBrowser = 50, launchOptions = {}, emit = noop } = {}) {
+    this.size = size;
+    this.maxPagesPerBrowser = maxPagesPerBrowser;
+    this.launchOptions = launchOptions;
+    this.emit = emit;
+    // The current browser of each slot, or null until one is launched
+    this.slots = new Array(size).fill(null);
+    // Every browser still running, including recycled ones finishing pages
+    this.browsers = new Set();
+    this.closed = false;
+    openPools.add(this);
+  }
+
+  /**
+   * Launch a browser into a slot
+   */
+  launch(index) {
+    const entry = { index, browser: null, ready: null, active: 0, served: 0, retired: false };
+    entry.ready = puppeteer.launch(this.launchOptions).then(browser => {
+      entry.browser = browser;
+      browser.on('disconnected', () => this.retire(entry, 'disconnected'));
+      const child = browser.process();
+      this.emit('browser:launch', { index, pid: child ? child.pid : null });
+      return browser;
+    });
+
+    this.slots[index] = entry;
+    this.browsers.add(entry);
+    entry.ready.catch(() => {
+      // Let the next check try launching again
+      this.browsers.delete(entry);
+      if (this.slots[index] === entry) {
+        this.slots[index] = null;
+      }
+    });
+    return entry;
+  }
+
+  /**
+   * Pick the browser for the next page: an idle one, a new one while there
+   * are free slots, or else the least busy one
+   */
+  pick() {
+    const running = this.slots.filter(Boolean);
+    const idle = running.find(entry => entry.active === 0);
+    if (idle) {
+      return idle;
+    }
+
+    const free = this.slots.indexOf(null);
+    if (free !== -1) {
+      return this.launch(free);
+    }
+    return running.reduce((least, entry) => (entry.active < least.active ? entry : least));
+  }
+
+  /**
+   * Run `fn(browser, page)` on a fresh page, closing the page afterwards
+   */
+  async withPage(fn) {
+    if (this.closed) {
+      throw new Error('The browser pool is closed');
+    }
+
+    const entry = this.pick();
+    entry.active++;
+    let page = null;
+    let crashed = false;
+    try {
+      const browser = await entry.ready;
+      page = await browser.newPage();
+      return await fn(browser, page);
+    } catch (error) {
+      crashed = isBrowserCrash(error) || Boolean(entry.browser && !entry.browser.isConnected());
+      throw error;
+    } finally {
+      if (page && !page.isClosed()) {
+        await page.close().catch(noop);
+      }
+      this.release(entry, crashed);
+    }
+  }
+
+  /**
+   * Return a browser after a check, recycling it when it is due
+   */
+  release(entry, crashed) {
+    entry.active--;
+    entry.served++;
+    if (crashed) {
+      this.retire(entry, 'crashed');
+    } else if (entry.served >= this.maxPagesPerBrowser) {
+      this.retire(entry, 'max pages');
+    }
+
+    if (entry.retired && entry.active === 0) {
+      this.dispose(entry);
+    }
+  }
+
+  /**
+   * Stop handing out a browser; it is closed once its open pages finish
+   */
+  retire(entry, reason) {
+    if (entry.retired || this.closed) {
+      return;
+    }
+
+    entry.retired = true;
+    if (this.slots[entry.index] === entry) {
+      this.slots[entry.index] = null;
+    }
+    this.emit('browser:recycle', { index: entry.index, reason, pages: entry.served });
+    if (entry.active === 0) {
+      this.dispose(entry);
+    }
+  }
+
+  /**
+   * Close a browser, killing its process if Chrome does not respond
+   */
+  async dispose(entry) {
+    if (!this.browsers.delete(entry)) {
+      return;
+    }
+    entry.retired = true;
+
+    let browser;
+    try {
+      browser = await entry.ready;
+    } catch (error) {
+      return;
+    }
+    try {
+      await browser.close();
+    } catch (error) {
+      const child = browser.process();
+      if (child) {
+        child.kill('SIGKILL');
+      }
+    }
+  }
+
+  /**
+   * Close every browser; the pool cannot be used afterwards
+   */
+  async close() {
+    this.closed = true;
+    openPools.delete(this);
+    this.slots.fill(null);
+    await Promise.all([...this.browsers].map(entry => this.dispose(entry)));
+  }
+
+  /**
+   * Kill every browser process synchronously, for process exit
+   */
+  kill() {
+    this.browsers.forEach(entry => {
+      const child = entry.browser && entry.browser.process();
+      if (child && child.exitCode === null) {
+        child.kill('SIGKILL');
+      }
+    });
+  }
+}
+
+/**
+ * Close every open browser pool
+ */
+async function closeBrowserPools() {
+  await Promise.all([...openPools].map(pool => pool.close()));
+}
+
+// Never leave orphaned Chrome processes behind, even on process.exit()
+process.on('exit', () => {
+  openPools.forEach(pool => pool.kill());
+});
+
+module.exports = { BrowserPool, isBrowserCrash, closeBrowserPools };
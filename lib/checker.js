@@ -0,0 +1,283 @@
+const pa11y = require('pa11y');
+const puppeteer = require('puppeteer');
+const { CONFIG } = require('./config');
+const { delay } = require('./utils');
+const { resolveElementPaths, mergeRunnerIssues } = require('./runners');
+const { isIgnored } = require('./standards');
+const { BrowserPool, closeBrowserPools } = require('./browser-pool');
+const { THROTTLE_STATUSES, HostThrottle, throttledError, watchDocument } = require('./throttle');
+const { isLoginPage, applySession, sessionHeaders, loginRedirectError } = require('./auth');
+const { VIEWPORT_PROFILES } = require('./viewports');
+const { captureScreenshots } = require('./screenshots');
+
+const noop = () => {};
+
+/**
+ * Cleanup function to close all browser instances
+ */
+async function cleanup() {
+  await closeBrowserPools();
+}
+
+/**
+ * Chrome launch options, shared by the browser pool and one-off checks
+ */
+function chromeLaunchConfig(config) {
+  return {
+    args: config.BROWSER_ARGS,
+    timeout: config.NAVIGATION_TIMEOUT,
+    handleSIGINT: false,
+    handleSIGTERM: false,
+    handleSIGHUP: false,
+    defaultViewport: {
+      width: VIEWPORT_PROFILES.desktop.width,
+      height: VIEWPORT_PROFILES.desktop.height
+    },
+    ignoreHTTPSErrors: true,
+  };
+}
+
+/**
+ * Create the pool of shared browsers for an audit
+ */
+function createBrowserPool(config, emit = noop) {
+  return new BrowserPool({
+    size: config.BROWSER_POOL_SIZE,
+    maxPagesPerBrowser: config.BROWSER_MAX_PAGES,
+    launchOptions: chromeLaunchConfig(config),
+    emit
+  });
+}
+
+/**
+ * Create the per-host throttle for an audit, or null when it is disabled
+ */
+function createThrottle(config, emit = noop) {
+  if (!config.THROTTLE) {
+    return null;
+  }
+  return new HostThrottle({
+    maxDelay: config.THROTTLE_MAX_DELAY,
+    maxRetryAfter: config.THROTTLE_MAX_RETRY_AFTER,
+    emit
+  });
+}
+
+/**
+ * Run `fn(browser, page)` in a browser launched for one check and closed
+ * after it
+ */
+async function withOwnBrowser(config, fn) {
+  const browser = await puppeteer.launch(chromeLaunchConfig(config));
+  try {
+    const page = await browser.newPage();
+    return await fn(browser, page);
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Error for a page that answered with an HTTP error status (a 404 page, a
+ * server error) instead of its content
+ */
+function httpError(url, status) {
+  const error = new Error(`HTTP ${status} from ${url}: the server answered with an error page`);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check if an error is retryable
+ */
+function isRetryableError(error) {
+  // The host asked us to slow down; the throttle spaces out the retry
+  if (THROTTLE_STATUSES.includes(error.status)) {
+    return true;
+  }
+
+  const errorMessage = error.message?.toLowerCase() || '';
+
+  // List of retryable error patterns
+  const retryablePatterns = [
+    'timeout',
+    'timed out',
+    'navigation timeout',
+    'net::err',
+    'econnreset',
+    'econnrefused',
+    'socket hang up',
+    'empty response',
+    'protocol error',
+    'target closed',
+    'session closed',
+    'page crashed',
+    'abnormal',
+    'failed action',
+    'wait for',
+  ];
+
+  return retryablePatterns.some(pattern => errorMessage.includes(pattern));
+}
+
+/**
+ * The issues a check reports: ignored codes dropped, and issues found by
+ * several runners merged
+ */
+function reportedIssues(issues, config, elementPaths) {
+  return mergeRunnerIssues((issues || []).filter(issue => !isIgnored(issue.code, config.IGNORE_CODES)), elementPaths);
+}
+
+/**
+ * Run pa11y accessibility checks on a URL with retry logic
+ *
+ * With a `pool` the check runs in a page of one of its shared browsers;
+ * without one a browser is launched (and closed) for this check alone. A page
+ * whose document answers with an HTTP error status fails instead of being
+ * audited. With a `throttle` the page load waits for its host's turn, and its
+ * responses are watched for 429 and 503. With a `session` (see
+ * createSession) the page is loaded with its credentials and cookies; a page
+ * that answers 401 or ends on the login page fails instead of being audited.
+ * `viewport` is the profile (see resolveViewports) the page is emulated at.
+ * With `screenshots` (see createScreenshots) the page is screenshotted before
+ * it is closed: the result gets the full-page `screenshot` and its issues the
+ * highlighted crop of their element.
+ */
+async function runAccessibilityCheck(url, { config = CONFIG, emit = noop, pool = null, throttle = null, session = null, viewport = { name: 'desktop', ...VIEWPORT_PROFILES.desktop }, screenshots = null } = {}, attemptNumber = 1) {
+  try {
+    // Add some randomness to prevent all checks from hitting at the same time
+    if (attemptNumber > 1) {
+      const jitter = Math.random() * 2000; // 0-2 second random delay
+      await delay(jitter);
+    }
+
+    const options = {
+      standard: config.STANDARD,
+      runners: config.RUNNERS,
+      timeout: config.PAGE_TIMEOUT,
+      wait: config.PAGE_WAIT,
+      includeWarnings: config.INCLUDE_LEVELS.includes('warning'),
+      includeNotices: config.INCLUDE_LEVELS.includes('notice'),
+      // pa11y matches exact codes (and disables ignored axe rules); prefixes
+      // are filtered below
+      ignore: config.IGNORE_CODES,
+      chromeLaunchConfig: chromeLaunchConfig(config),
+      viewport: {
+        width: viewport.width,
+        height: viewport.height,
+        deviceScaleFactor: viewport.deviceScaleFactor,
+        isMobile: viewport.isMobile,
+        hasTouch: viewport.hasTouch,
+        isLandscape: viewport.isLandscape,
+      },
+      headers: {
+        'User-Agent': viewport.userAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'DNT': '1',
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1',
+        // Pool pages are authenticated directly instead
+        ...(session && !pool ? sessionHeaders(session, url) : {})
+      },
+      // Don't use actions as they cause failures, use wait instead
+      userAgent: viewport.userAgent,
+      ignoreHTTPSErrors: true,
+    };
+    if (throttle) {
+      await throttle.wait(url);
+    }
+    const checkPage = async (browser, page) => {
+      const watcher = throttle ? throttle.watch(page) : watchDocument(page);
+      try {
+        // A one-off browser's page carries the session in its request headers
+        if (session && pool) {
+          await applySession(page, session);
+        }
+        const pageResults = await pa11y(url, { ...options, browser, page });
+        // Don't audit the host's "too many requests" page as if it were the content
+        const status = watcher.status();
+        if (throttle && THROTTLE_STATUSES.includes(status)) {
+          throw throttledError(url, status);
+        }
+        // ...nor the login page of a page that needs another session
+        if (session && status === 401) {
+          throw new Error(`HTTP 401 Unauthorized from ${url}: the credentials were not accepted for this page`);
+        }
+        if (session && isLoginPage(page.url(), session.loginUrl) && !isLoginPage(url, session.loginUrl)) {
+          throw loginRedirectError(url, page.url());
+        }
+        // ...nor a 404 or any other error page
+        if (status >= 400) {
+          throw httpError(url, status);
+        }
+
+        // Runners write selectors differently; compare the elements they find
+        const elementPaths = config.RUNNERS.length > 1
+          ? await resolveElementPaths(page, pageResults.issues || []).catch(() => undefined)
+          : undefined;
+        const issues = reportedIssues(pageResults.issues, config, elementPaths);
+        let screenshot = null;
+        if (screenshots) {
+          // A screenshot that fails doesn't fail the check
+          screenshot = await captureScreenshots(page, url, issues, { ...screenshots, viewport: viewport.name, emit })
+            .catch(error => {
+              emit('screenshot:failed', { url, viewport: viewport.name, selector: null, error: error.message });
+              return null;
+            });
+        }
+        return { documentTitle: pageResults.documentTitle, issues, screenshot };
+      } finally {
+        watcher.stop();
+      }
+    };
+    const results = pool
+      ? await pool.withPage(checkPage)
+      : await withOwnBrowser(config, checkPage);
+
+    return {
+      url,
+      issues: results.issues,
+      status: 'success',
+      documentTitle: results.documentTitle || url,
+      screenshot: results.screenshot,
+      attempts: attemptNumber
+    };
+  } catch (error) {
+    const isRetryable = isRetryableError(error);
+
+    if (isRetryable && attemptNumber < config.MAX_RETRIES) {
+      const retryDelay = config.INITIAL_RETRY_DELAY * Math.pow(config.RETRY_MULTIPLIER, attemptNumber - 1);
+      emit('check:retry', {
+        url,
+        viewport: viewport.name,
+        attempt: attemptNumber + 1,
+        maxRetries: config.MAX_RETRIES,
+        delay: retryDelay,
+        error: error.message
+      });
+
+      await delay(retryDelay);
+      return runAccessibilityCheck(url, { config, emit, pool, throttle, session, viewport, screenshots }, attemptNumber + 1);
+    }
+
+    return {
+      url,
+      issues: [],
+      status: 'error',
+      error: error.message,
+      documentTitle: url,
+      attempts: attemptNumber,
+      isRetryable
+    };
+  }
+}
+
+module.exports = {
+  cleanup,
+  createBrowserPool,
+  createThrottle,
+  isRetryableError,
+  runAccessibilityCheck,
+};
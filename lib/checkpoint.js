@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+const { AuditError } = require('./errors');
+
+const CHECKPOINT_VERSION = 1;
+
+// Settings that change what a check reports; results checked with other
+// values cannot be mixed into the same report
+const CHECK_SETTINGS = ['VIEWPORTS', 'STANDARD', 'RUNNERS', 'INCLUDE_LEVELS', 'IGNORE_CODES'];
+
+/**
+ * The check settings a run is saved with
+ */
+function checkSettings(config) {
+  return Object.fromEntries(CHECK_SETTINGS.map(name => [name, config[name]]));
+}
+
+/**
+ * Names of the check settings that differ from the ones a checkpoint was
+ * saved with (none for checkpoints saved without them)
+ */
+function changedSettings(saved, config) {
+  if (!saved) {
+    return [];
+  }
+  const current = checkSettings(config);
+  return CHECK_SETTINGS.filter(name => JSON.stringify(saved[name]) !== JSON.stringify(current[name]));
+}
+
+/**
+ * Append-only checkpoint of a running audit
+ *
+ * The file is JSON lines: a header with the site, its sitemap, the check
+ * settings and the full URL list, then one line per completed URL. A truncated last line (the process died
+ * mid-write) is ignored on load.
+ */
+class Checkpoint {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Read a previous run's checkpoint, or null when there is none
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Partially written line from an interrupted run
+      }
+    }
+
+    const [header, ...records] = entries;
+    if (!header || header.type !== 'header' || header.version !== CHECKPOINT_VERSION) {
+      throw new AuditError('INVALID_CHECKPOINT', `Checkpoint ${this.filePath} is not a valid checkpoint file`);
+    }
+
+    // Keyed by position in the URL list
+    const completed = new Map();
+    records
+      .filter(record => record.type === 'result')
+      .forEach(record => completed.set(record.index, record.result));
+
+    return { ...header, completed };
+  }
+
+  /**
+   * Start a fresh checkpoint for this run
+   */
+  async start({ siteUrl, sitemapUrl, sitemapSource, sitemaps, sources, content, excluded, sampling, settings, startedAt, urls }) {
+    const header = {
+      type: 'header',
+      version: CHECKPOINT_VERSION,
+      siteUrl,
+      sitemapUrl,
+      sitemapSource,
+      sitemaps,
+      sources,
+      content,
+      excluded,
+      sampling,
+      settings,
+      startedAt,
+      urls
+    };
+    return this.enqueue(() => fs.writeFile(this.filePath, JSON.stringify(header) + '\n'));
+  }
+
+  /**
+   * Record one completed URL; writes are serialised so lines never interleave
+   */
+  async record(index, result) {
+    const line = JSON.stringify({ type: 'result', index, result }) + '\n';
+    return this.enqueue(() => fs.appendFile(this.filePath, line));
+  }
+
+  /**
+   * Chain a write after the previous one; a failed write still rejects for
+   * its caller but does not block the writes queued behind it
+   */
+  enqueue(write) {
+    const result = this.writes.then(write);
+    this.writes = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Delete the checkpoint once the run has completed
+   */
+  async remove() {
+    await this.writes;
+    try {
+      await fs.unlink(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = { Checkpoint, checkSettings, changedSettings };
@@ -0,0 +1,58 @@
+const { normalizeContext } = require('./fingerprint');
+
+const DEFAULT_MIN_PAGES = 3;
+
+/**
+ * Key identifying the same issue on different pages: code, selector and
+ * normalised context, but not the URL
+ */
+function componentKey(issue) {
+  return [issue.code, issue.selector || '', normalizeContext(issue.context)].join('\n');
+}
+
+/**
+ * Find issues repeated across pages, such as a missing label in the theme
+ * header
+ *
+ * Issues are clustered by `componentKey`; clusters found on at least
+ * `minPages` pages are returned as shared components, most widespread first.
+ * Each has the issue's `code`, `type`, `message`, `selector` and `context`
+ * plus the `pages` it was found on, the `viewports` it was found under and
+ * whether it was `mobileOnly` on every page, and a `screenshot` of the
+ * element from the first page that has one.
+ */
+function groupSharedIssues(results, { minPages = DEFAULT_MIN_PAGES } = {}) {
+  const clusters = new Map();
+
+  results
+    .filter(result => result.status === 'success')
+    .forEach(result => {
+      result.issues.forEach(issue => {
+        const key = componentKey(issue);
+        if (!clusters.has(key)) {
+          const { code, type, message, selector, context, runners, duplicates } = issue;
+          clusters.set(key, { key, code, type, message, selector, context, runners, duplicates, viewports: [], mobileOnly: true, screenshot: null, pages: [] });
+        }
+        const cluster = clusters.get(key);
+        (issue.viewports || []).forEach(viewport => {
+          if (!cluster.viewports.includes(viewport)) {
+            cluster.viewports.push(viewport);
+          }
+        });
+        cluster.mobileOnly = cluster.mobileOnly && Boolean(issue.mobileOnly);
+        cluster.screenshot = cluster.screenshot || issue.screenshot || null;
+        if (cluster.pages[cluster.pages.length - 1] !== result.url) {
+          cluster.pages.push(result.url);
+        }
+      });
+    });
+
+  const typeOrder = { error: 0, warning: 1, notice: 2 };
+  return Array.from(clusters.values())
+    .filter(cluster => cluster.pages.length >= Math.max(minPages, 2))
+    .sort((a, b) =>
+      b.pages.length - a.pages.length || (typeOrder[a.type] ?? 3) - (typeOrder[b.type] ?? 3)
+    );
+}
+
+module.exports = { DEFAULT_MIN_PAGES, componentKey, groupSharedIssues };
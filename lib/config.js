@@ -0,0 +1,499 @@
+const fs = require('fs');
+const path = require('path');
+const { AuditError } = require('./errors');
+const { STANDARDS, ISSUE_LEVELS } = require('./standards');
+const { RUNNERS } = require('./runners');
+const { SAMPLE_MODES } = require('./sampling');
+const { CRAWL_MODES } = require('./crawler');
+const { REST_MODES } = require('./rest');
+
+// Project config files looked up in the working directory, in order
+const CONFIG_FILES = ['.a11yaudit.json', '.a11yaudit.js'];
+
+// Browser configuration - optimized for stability
+const DEFAULT_BROWSER_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--disable-gpu',
+  '--disable-web-security',
+  '--disable-features=IsolateOrigins,site-per-process',
+  '--disable-blink-features=AutomationControlled',
+  '--disable-extensions',
+  '--disable-plugins',
+  '--disable-images', // Disable images to speed up loading
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding',
+  '--disable-features=TranslateUI',
+  '--disable-ipc-flooding-protection',
+  '--disable-hang-monitor',
+  '--hide-scrollbars',
+  '--mute-audio',
+  '--disable-default-apps',
+  '--disable-sync',
+];
+
+/**
+ * Every setting: its CONFIG key, its path in the project config file, its
+ * environment variable (the CLI flag is derived from it, e.g.
+ * PA11Y_MAX_CONCURRENT is --max-concurrent) and its schema.
+ *
+ * Types are `int`, `number`, `boolean`, `string`, `list`, `path` (a file
+ * path, or off) and `object` (config file only). `nullable` settings may be
+ * null (disabled), `values` limits strings and list items to a fixed set.
+ * `requires` names a setting that must be set along with this one, and
+ * `secret` values are masked in reports.
+ */
+const SETTINGS = [
+  // Site to audit when none is given on the command line
+  { key: 'SITE_URL', file: 'site', env: 'PA11Y_SITE', type: 'string', nullable: true, default: null },
+
+  // Concurrency and performance - reduced for better reliability
+  { key: 'MAX_CONCURRENT_CHECKS', file: 'concurrency.maxConcurrent', env: 'PA11Y_MAX_CONCURRENT', type: 'int', min: 1, default: 1 },
+  { key: 'DELAY_BETWEEN_REQUESTS', file: 'concurrency.requestDelay', env: 'PA11Y_REQUEST_DELAY', type: 'int', min: 0, default: 5000 },
+
+  // Adaptive per-host throttling - slow down on 429/503 and honour Retry-After
+  { key: 'THROTTLE', file: 'throttle.enabled', env: 'PA11Y_THROTTLE', type: 'boolean', default: true },
+  { key: 'THROTTLE_MAX_DELAY', file: 'throttle.maxDelay', env: 'PA11Y_THROTTLE_MAX_DELAY', type: 'int', min: 0, default: 60000 },
+  { key: 'THROTTLE_MAX_RETRY_AFTER', file: 'throttle.maxRetryAfter', env: 'PA11Y_MAX_RETRY_AFTER', type: 'int', min: 0, default: 300000 },
+
+  // Timeouts (ms) - increased for better reliability
+  { key: 'PAGE_TIMEOUT', file: 'timeouts.page', env: 'PA11Y_PAGE_TIMEOUT', type: 'int', min: 1, default: 90000 },
+  { key: 'PAGE_WAIT', file: 'timeouts.wait', env: 'PA11Y_PAGE_WAIT', type: 'int', min: 0, default: 3000 },
+  { key: 'NAVIGATION_TIMEOUT', file: 'timeouts.navigation', env: 'PA11Y_NAV_TIMEOUT', type: 'int', min: 1, default: 90000 },
+
+  // What to test - the WCAG standard, the issue levels to report, rule codes
+  // to ignore (exact codes or prefixes) and the pa11y runners
+  { key: 'STANDARD', file: 'test.standard', env: 'PA11Y_STANDARD', type: 'string', values: Object.keys(STANDARDS), default: 'WCAG2AA' },
+  { key: 'INCLUDE_LEVELS', file: 'test.levels', env: 'PA11Y_LEVELS', type: 'list', values: ISSUE_LEVELS, default: ['error', 'warning'] },
+  { key: 'IGNORE_CODES', file: 'test.ignore', env: 'PA11Y_IGNORE', type: 'list', default: [] },
+  { key: 'RUNNERS', file: 'test.runners', env: 'PA11Y_RUNNERS', type: 'list', values: RUNNERS, minItems: 1, default: ['htmlcs'] },
+
+  // Viewports - each URL is checked under each named profile (mobile, tablet,
+  // desktop, or a custom profile defined in the config file)
+  { key: 'VIEWPORTS', file: 'viewports.use', env: 'PA11Y_VIEWPORTS', type: 'list', minItems: 1, default: ['desktop'] },
+  { key: 'VIEWPORT_PROFILES', file: 'viewports.profiles', env: null, type: 'object', default: {} },
+
+  // Retry policy
+  { key: 'MAX_RETRIES', file: 'retry.maxRetries', env: 'PA11Y_MAX_RETRIES', type: 'int', min: 1, default: 3 },
+  { key: 'INITIAL_RETRY_DELAY', file: 'retry.initialDelay', env: 'PA11Y_RETRY_DELAY', type: 'int', min: 0, default: 5000 },
+  { key: 'RETRY_MULTIPLIER', file: 'retry.multiplier', env: 'PA11Y_RETRY_MULTIPLIER', type: 'number', min: 1, default: 2 },
+
+  // Discovery - nested sitemap depth, REST API and link crawling
+  { key: 'SITEMAP_MAX_DEPTH', file: 'discovery.sitemapDepth', env: 'PA11Y_SITEMAP_DEPTH', type: 'int', min: 0, default: 5 },
+  { key: 'REST_MODE', file: 'discovery.rest', env: 'PA11Y_REST', type: 'string', values: REST_MODES, default: 'off' },
+  { key: 'REST_USER', file: 'discovery.restUser', env: 'PA11Y_REST_USER', type: 'string', nullable: true, default: null },
+  { key: 'REST_PASSWORD', file: 'discovery.restPassword', env: 'PA11Y_REST_PASSWORD', type: 'string', nullable: true, secret: true, default: null },
+  { key: 'REST_TYPES', file: 'discovery.restTypes', env: 'PA11Y_REST_TYPES', type: 'list', default: [] },
+  { key: 'REST_STATUSES', file: 'discovery.restStatuses', env: 'PA11Y_REST_STATUSES', type: 'list', default: [] },
+  { key: 'CRAWL_MODE', file: 'discovery.crawl', env: 'PA11Y_CRAWL', type: 'string', values: CRAWL_MODES, default: 'auto' },
+  { key: 'CRAWL_MAX_DEPTH', file: 'discovery.crawlDepth', env: 'PA11Y_CRAWL_DEPTH', type: 'int', min: 0, default: 3 },
+  { key: 'CRAWL_MAX_PAGES', file: 'discovery.crawlMaxPages', env: 'PA11Y_CRAWL_MAX_PAGES', type: 'int', min: 1, default: 500 },
+  { key: 'CRAWL_CONCURRENCY', file: 'discovery.crawlConcurrency', env: 'PA11Y_CRAWL_CONCURRENCY', type: 'int', min: 1, default: 2 },
+
+  // Authentication - HTTP basic auth (also used for URL discovery), a cookie
+  // jar file, and/or a wp-login.php form login whose session every check reuses
+  { key: 'BASIC_AUTH_USER', file: 'auth.basicUser', env: 'PA11Y_BASIC_AUTH_USER', type: 'string', nullable: true, requires: 'BASIC_AUTH_PASSWORD', default: null },
+  { key: 'BASIC_AUTH_PASSWORD', file: 'auth.basicPassword', env: 'PA11Y_BASIC_AUTH_PASSWORD', type: 'string', nullable: true, requires: 'BASIC_AUTH_USER', secret: true, default: null },
+  { key: 'COOKIES_PATH', file: 'auth.cookies', env: 'PA11Y_COOKIES', type: 'path', default: null },
+  { key: 'LOGIN_USER', file: 'auth.loginUser', env: 'PA11Y_LOGIN_USER', type: 'string', nullable: true, requires: 'LOGIN_PASSWORD', default: null },
+  { key: 'LOGIN_PASSWORD', file: 'auth.loginPassword', env: 'PA11Y_LOGIN_PASSWORD', type: 'string', nullable: true, requires: 'LOGIN_USER', secret: true, default: null },
+  { key: 'LOGIN_URL', file: 'auth.loginUrl', env: 'PA11Y_LOGIN_URL', type: 'string', nullable: true, default: null },
+
+  // URL filters - globs (or regex:<expression>) matched against page URLs,
+  // and globs matched against the file name of the sub-sitemap a URL came from
+  { key: 'INCLUDE_URLS', file: 'filters.include', env: 'PA11Y_INCLUDE', type: 'list', default: [] },
+  { key: 'EXCLUDE_URLS', file: 'filters.exclude', env: 'PA11Y_EXCLUDE', type: 'list', default: [] },
+  { key: 'INCLUDE_SITEMAPS', file: 'filters.includeSitemaps', env: 'PA11Y_INCLUDE_SITEMAPS', type: 'list', default: [] },
+  { key: 'EXCLUDE_SITEMAPS', file: 'filters.excludeSitemaps', env: 'PA11Y_EXCLUDE_SITEMAPS', type: 'list', default: [] },
+
+  // Sampling - audit a few URLs per sub-sitemap or per detected template
+  { key: 'SAMPLE_MODE', file: 'sampling.mode', env: 'PA11Y_SAMPLE', type: 'string', values: SAMPLE_MODES, nullable: true, default: null },
+  { key: 'SAMPLE_SIZE', file: 'sampling.size', env: 'PA11Y_SAMPLE_SIZE', type: 'int', min: 1, default: 3 },
+  { key: 'SAMPLE_PROBE_LIMIT', file: 'sampling.probeLimit', env: 'PA11Y_SAMPLE_PROBE_LIMIT', type: 'int', min: 1, default: 50 },
+  { key: 'SAMPLE_PROBE_CONCURRENCY', file: 'sampling.probeConcurrency', env: 'PA11Y_SAMPLE_PROBE_CONCURRENCY', type: 'int', min: 1, default: 4 },
+
+  // Reports - formats written at the end of a run, and how many pages an
+  // issue must appear on to be reported once as sitewide
+  { key: 'OUTPUT_FORMATS', file: 'outputs.formats', env: 'PA11Y_OUTPUTS', type: 'list', values: ['html', 'json', 'sarif', 'junit'], minItems: 1, default: ['html', 'json'] },
+  { key: 'SHARED_ISSUE_MIN_PAGES', file: 'outputs.sharedMinPages', env: 'PA11Y_SHARED_MIN_PAGES', type: 'int', min: 2, default: 3 },
+
+  // Screenshots - a full-page screenshot and a highlighted crop of each
+  // flagged element, saved per run under the artifacts folder
+  { key: 'SCREENSHOTS', file: 'screenshots.enabled', env: 'PA11Y_SCREENSHOTS', type: 'boolean', default: false },
+  { key: 'SCREENSHOT_DIR', file: 'screenshots.dir', env: 'PA11Y_SCREENSHOT_DIR', type: 'string', default: 'report-artifacts' },
+  { key: 'SCREENSHOT_MAX_PER_PAGE', file: 'screenshots.maxPerPage', env: 'PA11Y_SCREENSHOT_MAX_PER_PAGE', type: 'int', min: 0, default: 50 },
+
+  // CI quality gates - null disables a gate, 0 is a valid limit
+  { key: 'GATE_MAX_ERRORS', file: 'gates.maxErrors', env: 'PA11Y_MAX_ERRORS', type: 'int', min: 0, nullable: true, default: null },
+  { key: 'GATE_MAX_WARNINGS', file: 'gates.maxWarnings', env: 'PA11Y_MAX_WARNINGS', type: 'int', min: 0, nullable: true, default: null },
+  { key: 'GATE_MAX_FAILED_CHECKS', file: 'gates.maxFailedChecks', env: 'PA11Y_MAX_FAILED_CHECKS', type: 'int', min: 0, nullable: true, default: null },
+  { key: 'GATE_MAX_ISSUES_PER_PAGE', file: 'gates.maxIssuesPerPage', env: 'PA11Y_MAX_ISSUES_PER_PAGE', type: 'int', min: 0, nullable: true, default: null },
+  { key: 'GATE_FORBIDDEN_CODES', file: 'gates.forbiddenCodes', env: 'PA11Y_FORBIDDEN_CODES', type: 'list', default: [] },
+  { key: 'GATE_NEW_ISSUES_ONLY', file: 'gates.newIssuesOnly', env: 'PA11Y_GATE_NEW_ONLY', type: 'boolean', default: false },
+
+  // Checkpoint file written as URLs complete, used by --resume
+  { key: 'CHECKPOINT_PATH', file: 'checkpoint', env: 'PA11Y_CHECKPOINT', type: 'path', default: 'report.checkpoint.jsonl' },
+
+  // Baseline comparison - path to a previous run's report.json
+  { key: 'BASELINE_PATH', file: 'baseline', env: 'PA11Y_BASELINE', type: 'path', default: null },
+
+  // Shared browsers - how many Chrome instances checks share, and how many
+  // pages each serves before it is relaunched
+  { key: 'BROWSER_POOL_SIZE', file: 'browser.poolSize', env: 'PA11Y_BROWSERS', type: 'int', min: 1, default: 1 },
+  { key: 'BROWSER_MAX_PAGES', file: 'browser.maxPages', env: 'PA11Y_BROWSER_MAX_PAGES', type: 'int', min: 1, default: 50 },
+
+  // Chrome launch arguments; no environment variable since they contain commas
+  { key: 'BROWSER_ARGS', file: 'browser.args', env: null, type: 'list', default: DEFAULT_BROWSER_ARGS },
+];
+
+// Environment variables that are not settings themselves
+const OTHER_ENV = ['PA11Y_CONFIG'];
+
+// Settings that no longer have an effect, and what replaced them; they are
+// ignored with a warning so existing configs and scripts keep working
+const DEPRECATED_SETTINGS = [
+  {
+    file: 'concurrency.batchSize',
+    env: 'PA11Y_BATCH_SIZE',
+    reason: 'URLs are checked in one continuous queue now, set concurrency.maxConcurrent (PA11Y_MAX_CONCURRENT) instead',
+  },
+];
+
+/**
+ * CLI flag for a setting, derived from its environment variable
+ */
+function flagName(setting) {
+  return setting.env ? setting.env.replace(/^PA11Y_/, '').toLowerCase().replace(/_/g, '-') : null;
+}
+
+/**
+ * Describe a setting's schema for error messages
+ */
+function describeType(setting) {
+  const parts = [];
+  switch (setting.type) {
+    case 'int':
+      parts.push(`an integer >= ${setting.min}`);
+      break;
+    case 'number':
+      parts.push(`a number >= ${setting.min}`);
+      break;
+    case 'boolean':
+      parts.push('true or false');
+      break;
+    case 'list':
+      parts.push(setting.values ? `a list of ${setting.values.join(', ')}` : 'a list of strings');
+      break;
+    case 'path':
+      parts.push('a file path or off');
+      break;
+    case 'object':
+      parts.push('an object');
+      break;
+    default:
+      parts.push(setting.values ? `one of ${setting.values.join(', ')}` : 'a string');
+  }
+  if (setting.nullable) {
+    parts.push('or null');
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Convert a raw value to the setting's type, throwing a message when it does
+ * not fit the schema
+ *
+ * Strings (from the environment or CLI flags) are parsed; values from the
+ * config file or programmatic overrides must already have the right type.
+ */
+function coerce(setting, raw, fromString) {
+  const fail = () => {
+    throw new Error(`must be ${describeType(setting)}, got ${JSON.stringify(raw)}`);
+  };
+
+  let value = raw;
+  if (fromString) {
+    const text = String(raw).trim();
+    if (setting.nullable && ['off', 'none', 'null'].includes(text.toLowerCase())) {
+      return null;
+    }
+    switch (setting.type) {
+      case 'int':
+        value = /^-?\d+$/.test(text) ? parseInt(text, 10) : NaN;
+        break;
+      case 'number':
+        value = /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+        break;
+      case 'boolean':
+        value = ['true', '1', 'yes'].includes(text.toLowerCase())
+          ? true
+          : ['false', '0', 'no'].includes(text.toLowerCase()) ? false : fail();
+        break;
+      case 'list':
+        value = text.split(',').map(item => item.trim()).filter(Boolean);
+        break;
+      case 'path':
+        value = text.toLowerCase() === 'off' ? null : text;
+        break;
+      default:
+        value = text;
+    }
+  }
+
+  if (value === null && (setting.nullable || setting.type === 'path')) {
+    return null;
+  }
+  switch (setting.type) {
+    case 'int':
+      if (!Number.isInteger(value) || value < setting.min) fail();
+      break;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value) || value < setting.min) fail();
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') fail();
+      break;
+    case 'list':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) fail();
+      if (setting.values && value.some(item => !setting.values.includes(item))) fail();
+      if (setting.minItems && value.length < setting.minItems) fail();
+      break;
+    case 'path':
+      if (value === false) return null;
+      if (typeof value !== 'string' || value === '') fail();
+      break;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) fail();
+      break;
+    default:
+      if (typeof value !== 'string') fail();
+      if (setting.values && !setting.values.includes(value)) fail();
+  }
+  return value;
+}
+
+/**
+ * Closest known name, to suggest a fix for a typo
+ */
+function suggest(name, known) {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  };
+
+  const best = known
+    .map(candidate => ({ candidate, score: distance(name.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.score - b.score)[0];
+  return best && best.score <= Math.max(2, Math.floor(name.length / 4)) ? ` (did you mean ${best.candidate}?)` : '';
+}
+
+/**
+ * Flatten the nested config file object into `{ 'section.key': value }`,
+ * reporting keys the schema does not know and deprecated ones
+ */
+function flattenConfigFile(data, problems, warnings) {
+  const known = SETTINGS.map(setting => setting.file);
+  const sections = new Set(known.filter(key => key.includes('.')).map(key => key.split('.')[0]));
+  const values = {};
+
+  const visit = (object, prefix) => {
+    Object.entries(object).forEach(([name, value]) => {
+      const key = prefix + name;
+      const deprecated = DEPRECATED_SETTINGS.find(setting => setting.file === key);
+      if (known.includes(key)) {
+        values[key] = value;
+      } else if (deprecated) {
+        warnings.push(`${key} is ignored: ${deprecated.reason}`);
+      } else if (!prefix && sections.has(name) && value && typeof value === 'object' && !Array.isArray(value)) {
+        visit(value, `${name}.`);
+      } else if (!prefix && sections.has(name)) {
+        problems.push(`${key} must be an object`);
+      } else {
+        const candidates = prefix
+          ? known.filter(candidate => candidate.startsWith(prefix))
+          : [...sections, ...known.filter(candidate => !candidate.includes('.'))];
+        problems.push(`Unknown setting ${key}${suggest(key, candidates)}`);
+      }
+    });
+  };
+
+  if ((data === null || typeof data !== 'object' || Array.isArray(data)) && data !== undefined) {
+    problems.push('The config file must contain an object');
+    return values;
+  }
+  visit(data || {}, '');
+  return values;
+}
+
+/**
+ * Find the project config file: an explicit path, PA11Y_CONFIG, or
+ * .a11yaudit.json / .a11yaudit.js in the working directory
+ */
+function findConfigFile({ configFile, env = process.env, cwd = process.cwd() } = {}) {
+  const explicit = configFile || env.PA11Y_CONFIG;
+  if (explicit) {
+    const filePath = path.resolve(cwd, explicit);
+    if (!fs.existsSync(filePath)) {
+      throw new AuditError('CONFIG_NOT_FOUND', `Config file ${explicit} does not exist`);
+    }
+    return filePath;
+  }
+
+  const found = CONFIG_FILES.map(name => path.join(cwd, name)).find(filePath => fs.existsSync(filePath));
+  return found || null;
+}
+
+/**
+ * Read a .json or .js project config file
+ */
+function readConfigFile(filePath) {
+  try {
+    if (filePath.endsWith('.js')) {
+      delete require.cache[require.resolve(filePath)];
+      return require(filePath);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new AuditError('INVALID_CONFIG', `Unable to read config file ${filePath}: ${error.message}`, [], { path: filePath });
+  }
+}
+
+/**
+ * Build the configuration from its layers, lowest priority first: defaults,
+ * the project config file, environment variables, CLI flags and programmatic
+ * overrides (CONFIG keys)
+ *
+ * Every value is checked against the schema; all problems are collected and
+ * reported together in one INVALID_CONFIG error. With `strict: false`
+ * invalid and unknown values are skipped instead. Deprecated settings are
+ * ignored, with a message added to `warnings`.
+ */
+function buildConfig({ fileData, filePath, env = {}, flags = {}, overrides = {}, strict = true, warnings = [] }) {
+  const problems = [];
+  const config = {};
+  SETTINGS.forEach(setting => {
+    config[setting.key] = Array.isArray(setting.default) ? setting.default.slice() : setting.default;
+  });
+
+  const apply = (setting, raw, fromString, source) => {
+    try {
+      config[setting.key] = coerce(setting, raw, fromString);
+    } catch (error) {
+      problems.push(`${source} ${error.message}`);
+    }
+  };
+
+  // Project config file
+  if (fileData !== undefined) {
+    const values = flattenConfigFile(fileData, problems, warnings);
+    SETTINGS.forEach(setting => {
+      if (values[setting.file] !== undefined) {
+        apply(setting, values[setting.file], false, `${setting.file} in ${path.basename(filePath)}`);
+      }
+    });
+  }
+
+  // Environment variables; empty ones count as unset
+  const knownEnv = [...SETTINGS.map(setting => setting.env).filter(Boolean), ...OTHER_ENV];
+  Object.keys(env)
+    .filter(name => name.startsWith('PA11Y_') && !knownEnv.includes(name))
+    .forEach(name => {
+      const deprecated = DEPRECATED_SETTINGS.find(setting => setting.env === name);
+      if (deprecated) {
+        warnings.push(`${name} is ignored: ${deprecated.reason}`);
+      } else {
+        problems.push(`Unknown environment variable ${name}${suggest(name, knownEnv)}`);
+      }
+    });
+  SETTINGS.forEach(setting => {
+    if (setting.env && env[setting.env] !== undefined && env[setting.env] !== '') {
+      apply(setting, env[setting.env], true, setting.env);
+    }
+  });
+
+  // CLI flags
+  const knownFlags = SETTINGS.map(flagName).filter(Boolean).map(name => `--${name}`);
+  Object.entries(flags).forEach(([name, raw]) => {
+    const setting = SETTINGS.find(candidate => flagName(candidate) === name);
+    const deprecated = DEPRECATED_SETTINGS.find(candidate => flagName(candidate) === name);
+    if (deprecated) {
+      warnings.push(`--${name} is ignored: ${deprecated.reason}`);
+      return;
+    }
+    if (!setting) {
+      problems.push(`Unknown option --${name}${suggest(`--${name}`, knownFlags)}`);
+      return;
+    }
+    apply(setting, raw === true && setting.type === 'boolean' ? 'true' : raw, true, `--${name}`);
+  });
+
+  // Programmatic overrides
+  Object.entries(overrides || {}).forEach(([key, raw]) => {
+    const setting = SETTINGS.find(candidate => candidate.key === key);
+    if (!setting) {
+      problems.push(`Unknown config key ${key}${suggest(key, SETTINGS.map(candidate => candidate.key))}`);
+      return;
+    }
+    apply(setting, raw, false, key);
+  });
+
+  // Settings that only work together, e.g. a user name and its password
+  SETTINGS.filter(setting => setting.requires && config[setting.key] !== null).forEach(setting => {
+    const required = SETTINGS.find(candidate => candidate.key === setting.requires);
+    if (config[required.key] === null) {
+      problems.push(`${setting.file} (${setting.env}) is set but ${required.file} (${required.env}) is not`);
+    }
+  });
+
+  if (strict && problems.length > 0) {
+    throw new AuditError(
+      'INVALID_CONFIG',
+      `Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`,
+      [],
+      { path: filePath || null, problems }
+    );
+  }
+  return config;
+}
+
+// Configuration from the defaults and environment variables - can be
+// overridden per run through resolveConfig
+const CONFIG = buildConfig({ env: process.env, strict: false });
+
+/**
+ * Resolve the configuration for a run: defaults, then the project config
+ * file, environment variables, CLI flags and finally `overrides`
+ *
+ * Messages about deprecated settings, which are ignored, are pushed onto the
+ * `warnings` array when one is given.
+ */
+function resolveConfig(overrides = {}, { configFile, flags = {}, env = process.env, cwd = process.cwd(), warnings = [] } = {}) {
+  const filePath = findConfigFile({ configFile, env, cwd });
+  const fileData = filePath ? readConfigFile(filePath) : undefined;
+  return buildConfig({ fileData, filePath, env, flags, overrides, warnings });
+}
+
+/**
+ * Copy of a configuration with secret values (passwords) masked, for reports
+ */
+function redactConfig(config) {
+  const redacted = { ...config };
+  SETTINGS.filter(setting => setting.secret && redacted[setting.key]).forEach(setting => {
+    redacted[setting.key] = '********';
+  });
+  return redacted;
+}
+
+module.exports = { CONFIG, CONFIG_FILES, SETTINGS, flagName, describeType, findConfigFile, resolveConfig, redactConfig };
@@ -0,0 +1,161 @@
+const axios = require('axios');
+const { ConcurrencyLimiter } = require('./limiter');
+const { DESKTOP_USER_AGENT } = require('./viewports');
+
+const noop = () => {};
+
+const CRAWL_MODES = ['auto', 'always', 'off'];
+
+// Links to files rather than pages
+const ASSET_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif|svg|ico|bmp|pdf|zip|gz|rar|7z|mp3|wav|ogg|mp4|m4v|mov|avi|webm|docx?|xlsx?|pptx?|odt|csv|css|js|json|xml|txt|rss|woff2?|ttf|otf|eot)$/i;
+
+// WordPress admin, login and API endpoints, feeds and comment reply links
+const SKIPPED_PATHS = /\/(wp-admin|wp-json)(\/|$)|\/(wp-login|xmlrpc|wp-cron)\.php|\/feed\/?$/i;
+const SKIPPED_QUERY = /[?&](replytocom|share|ical|download)=/i;
+
+/**
+ * Extract the `href` of every `<a>` element, resolved against the page URL
+ * (or its `<base href>`)
+ */
+function extractLinks(html, pageUrl) {
+  const source = String(html);
+  const base = source.match(/<base\s[^>]*href\s*=\s*["']([^"']+)["']/i);
+  let baseUrl = pageUrl;
+  try {
+    baseUrl = base ? new URL(base[1], pageUrl).href : pageUrl;
+  } catch (error) {
+    // Ignore a malformed <base>
+  }
+
+  const links = [];
+  const pattern = /<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const href = (match[1] || match[2] || match[3] || '').replace(/&amp;/g, '&').trim();
+    try {
+      links.push(new URL(href, baseUrl).href);
+    } catch (error) {
+      // Skip links that are not valid URLs
+    }
+  }
+  return links;
+}
+
+/**
+ * Normalise a link into a crawlable page URL on the given origin, or null
+ * when it should be skipped
+ */
+function toPageUrl(link, origin) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    return null;
+  }
+
+  if (url.origin !== origin) {
+    return null;
+  }
+  if (ASSET_EXTENSIONS.test(url.pathname) || SKIPPED_PATHS.test(url.pathname) || SKIPPED_QUERY.test(url.search)) {
+    return null;
+  }
+
+  url.hash = '';
+  return url.href;
+}
+
+/**
+ * Fetch a page, resolving to its final URL and HTML, or null when it is not
+ * an HTML page
+ */
+async function fetchPage(url, timeout, auth = null) {
+  const response = await axios.get(url, {
+    headers: {
+      'User-Agent': DESKTOP_USER_AGENT,
+      'Accept': 'text/html,application/xhtml+xml'
+    },
+    timeout,
+    maxRedirects: 5,
+    responseType: 'text',
+    ...(auth ? { auth } : {})
+  });
+
+  const contentType = String(response.headers['content-type'] || '');
+  if (contentType && !/html/i.test(contentType)) {
+    return null;
+  }
+
+  const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+  return { url: finalUrl, html: response.data };
+}
+
+/**
+ * Discover a site's pages by following internal links from the homepage
+ *
+ * Breadth-first over same-origin `<a href>` links, up to `maxDepth` clicks
+ * from the start page and `maxPages` pages in total. Assets, wp-admin,
+ * wp-login and feeds are skipped, and only URLs that respond with HTML are
+ * kept. Resolves to `{ urls, visited }`, where visited counts every page
+ * fetched. `auth` holds HTTP basic auth credentials for sites behind a
+ * password.
+ */
+async function crawlLinks(startUrl, { maxDepth = 3, maxPages = 500, concurrency = 2, timeout = 30000, auth = null, emit = noop } = {}) {
+  const limiter = new ConcurrencyLimiter(concurrency);
+  const urls = [];
+  const seen = new Set([startUrl]);
+  let origin = new URL(startUrl).origin;
+  let level = [startUrl];
+  let visited = 0;
+
+  emit('crawl:start', { url: startUrl, maxDepth, maxPages });
+
+  for (let depth = 0; depth <= maxDepth && level.length > 0 && urls.length < maxPages; depth++) {
+    const pages = await Promise.all(level.map(url => limiter.run(async () => {
+      try {
+        return await fetchPage(url, timeout, auth);
+      } catch (error) {
+        emit('crawl:failed', { url, depth, error: error.message });
+        return null;
+      } finally {
+        visited++;
+      }
+    })));
+
+    const next = [];
+    pages.forEach(page => {
+      if (!page || urls.length >= maxPages) {
+        return;
+      }
+
+      // Follow the homepage's redirect (http to https, bare domain to www)
+      if (depth === 0) {
+        origin = new URL(page.url).origin;
+      }
+      const pageUrl = toPageUrl(page.url, origin);
+      if (!pageUrl || urls.includes(pageUrl)) {
+        return;
+      }
+      seen.add(pageUrl);
+      urls.push(pageUrl);
+
+      const links = depth < maxDepth ? extractLinks(page.html, page.url) : [];
+      let found = 0;
+      links.forEach(link => {
+        const url = toPageUrl(link, origin);
+        if (url && !seen.has(url) && urls.length + next.length < maxPages) {
+          seen.add(url);
+          next.push(url);
+          found++;
+        }
+      });
+      emit('crawl:page', { url: pageUrl, depth, found, total: urls.length });
+    });
+
+    level = next;
+  }
+
+  emit('crawl:done', { url: startUrl, count: urls.length, visited });
+  return { urls, visited };
+}
+
+module.exports = { CRAWL_MODES, extractLinks, toPageUrl, crawlLinks };
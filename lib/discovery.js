@@ -0,0 +1,132 @@
+const axios = require('axios');
+const { AuditError } = require('./errors');
+const { XML_HEADERS, fetchSitemapText } = require('./sitemap');
+
+const noop = () => {};
+
+// Well-known WordPress sitemap locations, tried in order after robots.txt
+const KNOWN_SITEMAPS = [
+  { path: '/wp-sitemap.xml', source: 'WordPress core' },
+  { path: '/sitemap_index.xml', source: 'Yoast SEO / Rank Math' },
+  { path: '/sitemap.xml', source: 'All in One SEO' },
+];
+
+/**
+ * Normalise user input into a site or sitemap URL
+ *
+ * Adds https:// when no protocol is given and drops the trailing slash.
+ * `isSitemap` is true when the input already points at an XML sitemap
+ * (`.xml` or `.xml.gz`).
+ */
+function normalizeInputUrl(input) {
+  if (!input || !String(input).trim()) {
+    throw new AuditError('MISSING_URL', 'Please provide a WordPress website URL');
+  }
+
+  let url = String(input).trim();
+
+  // Add protocol if missing
+  if (!url.startsWith('http://') && !url.startsWith('https://')) {
+    url = 'https://' + url;
+  }
+
+  // If it already points at a sitemap (plain or gzipped), use as is
+  if (/\.xml(\.gz)?$/i.test(url)) {
+    return { url, isSitemap: true };
+  }
+
+  // Remove trailing slash
+  return { url: url.replace(/\/$/, ''), isSitemap: false };
+}
+
+/**
+ * Read `Sitemap:` directives from the site's robots.txt
+ */
+async function getRobotsSitemaps(siteUrl, auth = null) {
+  const robotsUrl = new URL('/robots.txt', siteUrl).href;
+
+  try {
+    const response = await axios.get(robotsUrl, {
+      headers: { ...XML_HEADERS, 'Accept': 'text/plain, */*' },
+      timeout: 10000,
+      maxRedirects: 5,
+      responseType: 'text',
+      ...(auth ? { auth } : {})
+    });
+
+    return String(response.data)
+      .split(/\r?\n/)
+      .map(line => line.match(/^\s*sitemap\s*:\s*(\S+)/i))
+      .filter(Boolean)
+      .map(match => new URL(match[1], robotsUrl).href);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Check that a URL responds with a sitemap or sitemap index
+ */
+async function probeSitemap(url, auth = null) {
+  try {
+    const xml = await fetchSitemapText(url, { timeout: 10000, auth });
+    return /<(urlset|sitemapindex)[\s>]/.test(xml);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the site's sitemap
+ *
+ * An explicit sitemap URL is used as is. Otherwise robots.txt `Sitemap:`
+ * directives are tried first, then the well-known WordPress, Yoast, Rank Math
+ * and AIOSEO locations. Resolves to `{ sitemapUrl, source, tried }`.
+ * `auth` holds HTTP basic auth credentials for sites behind a password.
+ */
+async function discoverSitemap(input, emit = noop, { auth = null } = {}) {
+  const { url, isSitemap } = normalizeInputUrl(input);
+
+  const candidates = isSitemap
+    ? [{ url, source: 'provided URL' }]
+    : [
+      ...(await getRobotsSitemaps(url, auth)).map(sitemap => ({ url: sitemap, source: 'robots.txt' })),
+      ...KNOWN_SITEMAPS.map(({ path, source }) => ({ url: url + path, source })),
+    ];
+
+  const tried = [];
+  for (const candidate of candidates) {
+    if (tried.includes(candidate.url)) {
+      continue;
+    }
+    tried.push(candidate.url);
+    emit('sitemap:probe', candidate);
+
+    if (await probeSitemap(candidate.url, auth)) {
+      const discovered = { sitemapUrl: candidate.url, source: candidate.source, tried };
+      emit('sitemap:discovered', discovered);
+      return discovered;
+    }
+  }
+
+  if (isSitemap) {
+    throw new AuditError('SITEMAP_UNREACHABLE', `Unable to access sitemap at ${url}`, [
+      'The sitemap URL is incorrect',
+      'The website is not accessible',
+    ], { url, tried });
+  }
+
+  throw new AuditError('SITEMAP_NOT_FOUND', `No sitemap found for ${url}`, [
+    'robots.txt has no Sitemap: directive',
+    'The website does not have a sitemap at any standard WordPress location',
+    'The website is not accessible',
+  ], { url, tried });
+}
+
+module.exports = {
+  KNOWN_SITEMAPS,
+  normalizeInputUrl,
+  getRobotsSitemaps,
+  probeSitemap,
+  discoverSitemap,
+};
@@ -0,0 +1,18 @@
+/**
+ * Error raised when an audit cannot run (bad input, unreachable sitemap, ...)
+ *
+ * `code` is a stable identifier callers can switch on, `hints` holds
+ * human-readable suggestions the CLI prints underneath the message and
+ * `details` is merged onto the error for context (e.g. the offending URL).
+ */
+class AuditError extends Error {
+  constructor(code, message, hints = [], details = {}) {
+    super(message);
+    this.name = 'AuditError';
+    this.code = code;
+    this.hints = hints;
+    Object.assign(this, details);
+  }
+}
+
+module.exports = { AuditError };
@@ -0,0 +1,135 @@
+const { AuditError } = require('./errors');
+
+/**
+ * Convert a glob into a regular expression. `**` matches anything, `*`
+ * anything but a slash and `?` a single character.
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Compile a filter pattern into a predicate
+ *
+ * `regex:<expression>` is a case-insensitive regular expression tested
+ * against the whole string. Anything else is a glob; for URLs a glob without
+ * `://` is matched against the path and query only (e.g. `/tag/**`).
+ */
+function compilePattern(pattern, { pathOnly = false } = {}) {
+  if (pattern.startsWith('regex:')) {
+    const regex = new RegExp(pattern.slice('regex:'.length), 'i');
+    return value => regex.test(value);
+  }
+
+  const regex = globToRegExp(pattern);
+  if (pathOnly && !pattern.includes('://')) {
+    return value => {
+      try {
+        const { pathname, search } = new URL(value);
+        return regex.test(pathname + search);
+      } catch (error) {
+        return regex.test(value);
+      }
+    };
+  }
+  return value => regex.test(value);
+}
+
+/**
+ * File name of a sitemap URL, e.g. `author-sitemap.xml`
+ */
+function sitemapName(sitemapUrl) {
+  try {
+    return new URL(sitemapUrl).pathname.split('/').pop();
+  } catch (error) {
+    return sitemapUrl || '';
+  }
+}
+
+/**
+ * Build the URL filter from the configured include/exclude rules
+ *
+ * URL rules match the page URL; sitemap rules match the file name of the
+ * sub-sitemap the URL was found in (e.g. `post_tag-sitemap*.xml`). A URL is
+ * audited when it matches at least one include rule (if any are set) and no
+ * exclude rule.
+ */
+function createUrlFilter(config) {
+  const compile = (type, patterns, options) =>
+    (patterns || []).map(pattern => {
+      try {
+        return { type, pattern, test: compilePattern(pattern, options) };
+      } catch (error) {
+        throw new AuditError('INVALID_FILTER', `Invalid ${type} pattern ${pattern}: ${error.message}`);
+      }
+    });
+
+  const includes = [
+    ...compile('include-url', config.INCLUDE_URLS, { pathOnly: true }),
+    ...compile('include-sitemap', config.INCLUDE_SITEMAPS),
+  ];
+  const excludes = [
+    ...compile('exclude-url', config.EXCLUDE_URLS, { pathOnly: true }),
+    ...compile('exclude-sitemap', config.EXCLUDE_SITEMAPS),
+  ];
+
+  const matches = (rule, url, sitemap) =>
+    rule.type.endsWith('-url') ? rule.test(url) : rule.test(sitemapName(sitemap));
+
+  return {
+    active: includes.length > 0 || excludes.length > 0,
+
+    /**
+     * Split URLs into the ones to audit and the excluded ones with the rule
+     * that excluded each of them
+     */
+    apply(urls, sources = {}) {
+      const kept = [];
+      const excluded = [];
+
+      urls.forEach(url => {
+        const sitemap = sources[url] || null;
+        if (includes.length > 0 && !includes.some(rule => matches(rule, url, sitemap))) {
+          excluded.push({ url, sitemap, rule: { type: 'include', pattern: null } });
+          return;
+        }
+        const rule = excludes.find(candidate => matches(candidate, url, sitemap));
+        if (rule) {
+          excluded.push({ url, sitemap, rule: { type: rule.type, pattern: rule.pattern } });
+          return;
+        }
+        kept.push(url);
+      });
+
+      return { kept, excluded };
+    }
+  };
+}
+
+/**
+ * Human-readable description of the rule that excluded a URL
+ */
+function describeRule(rule) {
+  switch (rule.type) {
+    case 'include': return 'not matched by any include rule';
+    case 'exclude-url': return `URL matches ${rule.pattern}`;
+    case 'exclude-sitemap': return `sitemap matches ${rule.pattern}`;
+    default: return rule.pattern || rule.type;
+  }
+}
+
+module.exports = { globToRegExp, compilePattern, sitemapName, createUrlFilter, describeRule };
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+/**
+ * Normalise an issue's HTML context so cosmetic churn between runs (whitespace,
+ * cache-busting asset versions, nonces) does not change its fingerprint
+ */
+function normalizeContext(context) {
+  return (context || '')
+    .replace(/([?&](?:ver|v|_wpnonce|nonce)=)[^"'&\s>]*/gi, '$1')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*(<|>)\s*/g, '$1')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Stable fingerprint identifying the same issue across runs
+ */
+function issueFingerprint(url, issue) {
+  return crypto
+    .createHash('sha256')
+    .update([url, issue.code, issue.selector || '', normalizeContext(issue.context)].join('\n'))
+    .digest('hex');
+}
+
+module.exports = { normalizeContext, issueFingerprint };
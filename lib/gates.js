@@ -0,0 +1,90 @@
+const { summarizeResults } = require('./summary');
+
+// Process exit codes used by the CLI
+const EXIT_CODES = {
+  SUCCESS: 0,
+  AUDIT_FAILED: 1, // the audit could not run
+  GATE_FAILED: 2, // the audit ran but a quality gate threshold was exceeded
+};
+
+/**
+ * Whether an issue code matches a forbidden code exactly or as a prefix
+ * (e.g. `WCAG2AA.Principle1.Guideline1_1` matches every 1.1.x technique)
+ */
+function codeMatches(code, forbidden) {
+  return code === forbidden || code.startsWith(forbidden + '.');
+}
+
+/**
+ * Check results against the configured CI quality gates
+ *
+ * A gate whose limit is null is disabled. Returns whether every gate passed
+ * and one failure entry per gate that tripped.
+ */
+function evaluateGates(results, config) {
+  const summary = summarizeResults(results);
+  const failures = [];
+
+  const checkMax = (gate, limit, actual, label) => {
+    if (limit !== null && limit !== undefined && actual > limit) {
+      failures.push({ gate, limit, actual, message: `${label}: ${actual} (max ${limit})` });
+    }
+  };
+
+  checkMax('maxErrors', config.GATE_MAX_ERRORS, summary.issuesByType.error || 0, 'Errors');
+  checkMax('maxWarnings', config.GATE_MAX_WARNINGS, summary.issuesByType.warning || 0, 'Warnings');
+  checkMax('maxFailedChecks', config.GATE_MAX_FAILED_CHECKS, summary.failedChecks, 'Failed checks');
+
+  const perPageLimit = config.GATE_MAX_ISSUES_PER_PAGE;
+  if (perPageLimit !== null && perPageLimit !== undefined) {
+    const pages = results
+      .filter(result => result.issues.length > perPageLimit)
+      .map(result => ({ url: result.url, count: result.issues.length }));
+    if (pages.length > 0) {
+      failures.push({
+        gate: 'maxIssuesPerPage',
+        limit: perPageLimit,
+        actual: Math.max(...pages.map(page => page.count)),
+        pages,
+        message: `${pages.length} page${pages.length !== 1 ? 's' : ''} exceed ${perPageLimit} issues`
+      });
+    }
+  }
+
+  const forbiddenCodes = config.GATE_FORBIDDEN_CODES || [];
+  forbiddenCodes.forEach(forbidden => {
+    const pages = results
+      .filter(result => result.issues.some(issue => codeMatches(issue.code, forbidden)))
+      .map(result => ({
+        url: result.url,
+        count: result.issues.filter(issue => codeMatches(issue.code, forbidden)).length
+      }));
+    if (pages.length > 0) {
+      failures.push({
+        gate: 'forbiddenCodes',
+        code: forbidden,
+        actual: pages.reduce((sum, page) => sum + page.count, 0),
+        pages,
+        message: `Forbidden issue ${forbidden} found on ${pages.length} page${pages.length !== 1 ? 's' : ''}`
+      });
+    }
+  });
+
+  return { passed: failures.length === 0, failures };
+}
+
+/**
+ * The CLI exit code for a finished audit
+ *
+ * An audit that was cancelled, or in which no page could be checked (e.g.
+ * Chrome would not start), did not run, whatever gates are configured.
+ */
+function auditExitCode(audit) {
+  const checked = audit.results.filter(result => result.status === 'success').length;
+  if (audit.cancelled || checked === 0) {
+    return EXIT_CODES.AUDIT_FAILED;
+  }
+  return audit.gates.passed ? EXIT_CODES.SUCCESS : EXIT_CODES.GATE_FAILED;
+}
+
+module.exports = { EXIT_CODES, evaluateGates, auditExitCode };
@@ -0,0 +1,92 @@
+const { Audit, createAudit, auditSite, discoverUrls } = require('./auditor');
+const { CONFIG, SETTINGS, flagName, describeType, resolveConfig, redactConfig } = require('./config');
+const { AuditError } = require('./errors');
+const { ConcurrencyLimiter } = require('./limiter');
+const { fetchXML, extractUrlsFromSitemap, getSitemapsFromIndex, crawlSitemaps, getAllUrls } = require('./sitemap');
+const { normalizeInputUrl, discoverSitemap } = require('./discovery');
+const { crawlLinks } = require('./crawler');
+const { discoverRestContent } = require('./rest');
+const { createUrlFilter, describeRule } = require('./filters');
+const { sampleUrls, detectTemplate, extrapolateCoverage } = require('./sampling');
+const { runAccessibilityCheck, isRetryableError, createBrowserPool, createThrottle, cleanup } = require('./checker');
+const { BrowserPool, isBrowserCrash } = require('./browser-pool');
+const { HostThrottle, parseRetryAfter } = require('./throttle');
+const { createSession, parseCookieFile, loadCookieJar, isLoginPage } = require('./auth');
+const { VIEWPORT_PROFILES, resolveViewports, mergeViewportResults } = require('./viewports');
+const { createScreenshots, captureScreenshots } = require('./screenshots');
+const { generateHTMLReport, escapeHtml } = require('./report-html');
+const { generateJSONReport, parseJSONReport, RESULTS_SCHEMA_VERSION } = require('./report-json');
+const { generateSARIFReport } = require('./report-sarif');
+const { generateJUnitReport } = require('./report-junit');
+const { REPORTERS, assertFormats, writeReports, loadResults } = require('./outputs');
+const { summarizeResults } = require('./summary');
+const { EXIT_CODES, evaluateGates, auditExitCode } = require('./gates');
+const { compareWithBaseline } = require('./baseline');
+const { issueFingerprint, normalizeContext } = require('./fingerprint');
+const { groupSharedIssues } = require('./components');
+
+module.exports = {
+  auditSite,
+  discoverUrls,
+  createAudit,
+  Audit,
+  AuditError,
+  CONFIG,
+  SETTINGS,
+  flagName,
+  describeType,
+  resolveConfig,
+  redactConfig,
+  ConcurrencyLimiter,
+  normalizeInputUrl,
+  discoverSitemap,
+  crawlLinks,
+  discoverRestContent,
+  createUrlFilter,
+  describeRule,
+  sampleUrls,
+  detectTemplate,
+  extrapolateCoverage,
+  fetchXML,
+  extractUrlsFromSitemap,
+  getSitemapsFromIndex,
+  crawlSitemaps,
+  getAllUrls,
+  runAccessibilityCheck,
+  createBrowserPool,
+  BrowserPool,
+  isBrowserCrash,
+  createThrottle,
+  HostThrottle,
+  parseRetryAfter,
+  createSession,
+  parseCookieFile,
+  loadCookieJar,
+  isLoginPage,
+  VIEWPORT_PROFILES,
+  resolveViewports,
+  mergeViewportResults,
+  createScreenshots,
+  captureScreenshots,
+  isRetryableError,
+  cleanup,
+  generateHTMLReport,
+  escapeHtml,
+  generateJSONReport,
+  parseJSONReport,
+  RESULTS_SCHEMA_VERSION,
+  generateSARIFReport,
+  generateJUnitReport,
+  REPORTERS,
+  assertFormats,
+  writeReports,
+  loadResults,
+  summarizeResults,
+  EXIT_CODES,
+  auditExitCode,
+  evaluateGates,
+  compareWithBaseline,
+  issueFingerprint,
+  normalizeContext,
+  groupSharedIssues,
+};
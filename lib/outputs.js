@@ -0,0 +1,58 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { AuditError } = require('./errors');
+const { generateHTMLReport } = require('./report-html');
+const { generateJSONReport, parseJSONReport } = require('./report-json');
+const { generateSARIFReport } = require('./report-sarif');
+const { generateJUnitReport } = require('./report-junit');
+
+// Output formats and the file each one is written to
+const REPORTERS = {
+  html: { filename: 'report.html', render: generateHTMLReport },
+  json: { filename: 'report.json', render: generateJSONReport },
+  sarif: { filename: 'report.sarif', render: generateSARIFReport },
+  junit: { filename: 'report.junit.xml', render: generateJUnitReport },
+};
+
+const DEFAULT_FORMATS = ['html', 'json'];
+
+/**
+ * Fail early on report formats we cannot render
+ */
+function assertFormats(formats) {
+  const unknown = formats.filter(format => !REPORTERS[format]);
+  if (unknown.length > 0) {
+    throw new AuditError(
+      'UNKNOWN_FORMAT',
+      `Unknown report format: ${unknown.join(', ')} (supported: ${Object.keys(REPORTERS).join(', ')})`
+    );
+  }
+}
+
+/**
+ * Render and save the requested report formats, returning the written paths
+ *
+ * Reports link screenshots relative to `outputDir`.
+ */
+async function writeReports(audit, { formats = DEFAULT_FORMATS, outputDir = process.cwd() } = {}) {
+  assertFormats(formats);
+  const written = {};
+
+  for (const format of formats) {
+    const reporter = REPORTERS[format];
+    const filePath = path.join(outputDir, reporter.filename);
+    await fs.writeFile(filePath, reporter.render(audit, { baseDir: outputDir }));
+    written[format] = filePath;
+  }
+
+  return written;
+}
+
+/**
+ * Load a saved results file so it can be re-rendered without rescanning
+ */
+async function loadResults(filePath) {
+  return parseJSONReport(await fs.readFile(filePath, 'utf8'));
+}
+
+module.exports = { REPORTERS, DEFAULT_FORMATS, assertFormats, writeReports, loadResults };
@@ -0,0 +1,142 @@
+const { ConcurrencyLimiter } = require('./limiter');
+const { delay } = require('./utils');
+
+const noop = () => {};
+
+/**
+ * A streaming work queue on top of ConcurrencyLimiter
+ *
+ * Every slot picks up the next item as soon as it is free, so one slow item
+ * never holds up the others. `onDone(item, result)` runs as each item
+ * finishes, then the slot waits `delayAfter` ms to space out requests.
+ *
+ * The queue can be paused (running items finish, no new ones start),
+ * resumed, and cancelled (items not started yet are skipped). `progress()`
+ * estimates the time left from the throughput so far, not counting time
+ * spent paused. Emits `queue:paused`, `queue:resumed` and `queue:cancelled`
+ * through `emit`.
+ */
+class WorkQueue {
+  constructor({ concurrency = 1, delayAfter = 0, emit = noop } = {}) {
+    this.limiter = new ConcurrencyLimiter(concurrency);
+    this.delayAfter = delayAfter;
+    this.emit = emit;
+    this.total = 0;
+    this.completed = 0;
+    this.running = 0;
+    this.skipped = 0;
+    this.paused = false;
+    this.cancelled = false;
+    this.startedAt = null;
+    this.pausedAt = null;
+    this.pausedFor = 0;
+    // Slots waiting for the queue to resume
+    this.waiting = [];
+  }
+
+  /**
+   * Stop starting new items; running items still finish
+   */
+  pause() {
+    if (this.paused || this.cancelled) {
+      return;
+    }
+    this.paused = true;
+    this.pausedAt = Date.now();
+    this.emit('queue:paused', this.progress());
+  }
+
+  /**
+   * Start items again after a pause
+   */
+  resume() {
+    if (!this.paused) {
+      return;
+    }
+    this.unpause();
+    this.emit('queue:resumed', this.progress());
+  }
+
+  /**
+   * Skip every item that has not started; running items still finish
+   */
+  cancel() {
+    if (this.cancelled) {
+      return;
+    }
+    this.cancelled = true;
+    this.unpause();
+    this.emit('queue:cancelled', this.progress());
+  }
+
+  unpause() {
+    if (this.paused) {
+      this.pausedFor += Date.now() - this.pausedAt;
+      this.paused = false;
+      this.pausedAt = null;
+    }
+    this.waiting.splice(0).forEach(resolve => resolve());
+  }
+
+  /**
+   * Counts so far and the estimated milliseconds left (null until the first
+   * item finishes)
+   */
+  progress() {
+    const now = this.pausedAt || Date.now();
+    const elapsed = this.startedAt ? now - this.startedAt - this.pausedFor : 0;
+    const remaining = this.total - this.completed - this.skipped;
+    const eta = this.completed > 0 && !this.cancelled
+      ? Math.round((elapsed / this.completed) * remaining)
+      : null;
+
+    return {
+      total: this.total,
+      completed: this.completed,
+      running: this.running,
+      remaining,
+      elapsed,
+      eta,
+      paused: this.paused,
+      cancelled: this.cancelled,
+    };
+  }
+
+  /**
+   * Run `worker(item)` for every item, resolving once all have finished or
+   * been skipped
+   */
+  async run(items, worker, onDone = noop) {
+    this.total += items.length;
+    this.startedAt = this.startedAt || Date.now();
+
+    await Promise.all(items.map(item => this.limiter.run(async () => {
+      if (this.paused) {
+        await new Promise(resolve => this.waiting.push(resolve));
+      }
+      if (this.cancelled) {
+        this.skipped++;
+        return;
+      }
+
+      this.running++;
+      let result;
+      try {
+        result = await worker(item);
+      } finally {
+        this.running--;
+      }
+      this.completed++;
+      await onDone(item, result);
+
+      // Space out requests, unless nothing else will run
+      if (this.delayAfter > 0 && !this.cancelled && this.completed + this.skipped < this.total) {
+        await delay(this.delayAfter);
+      }
+    })));
+
+    return { completed: this.completed, skipped: this.skipped, cancelled: this.cancelled };
+  }
+}
+
+module.exports = { WorkQueue };
@@ -0,0 +1,914 @@
+const path = require('path');
+const { summarizeResults } = require('./summary');
+const { describeRule } = require('./filters');
+const { componentKey, groupSharedIssues } = require('./components');
+const { describeStandard } = require('./standards');
+
+// Display names of the pa11y runners
+const RUNNER_LABELS = {
+  htmlcs: 'HTML_CodeSniffer',
+  axe: 'axe-core'
+};
+
+/**
+ * Label an issue with the engines that reported it
+ */
+function renderRunners(runners) {
+  if (!runners || runners.length === 0) {
+    return '';
+  }
+  return `<span class="issue-runners">${runners.map(runner => escapeHtml(RUNNER_LABELS[runner] || runner)).join(' + ')}</span>`;
+}
+
+/**
+ * List the viewports an issue was found under, flagging mobile-only issues;
+ * nothing when the audit used a single viewport
+ */
+function renderViewports(viewports, mobileOnly, multiple) {
+  if (!multiple || !viewports || viewports.length === 0) {
+    return '';
+  }
+  return `<span class="issue-viewports">${viewports.map(escapeHtml).join(' + ')}</span>`
+    + (mobileOnly ? '<span class="issue-badge mobile-only">Mobile only</span>' : '');
+}
+
+/**
+ * Link to a screenshot from the report, relative to the folder the report is
+ * written to
+ */
+function screenshotHref(filePath, baseDir) {
+  return path.relative(baseDir, path.resolve(filePath)).split(path.sep).map(encodeURIComponent).join('/');
+}
+
+/**
+ * Thumbnail of an issue's highlighted element, linking to the full image
+ */
+function renderScreenshot(issue, baseDir) {
+  if (!issue.screenshot) {
+    return '';
+  }
+  const href = screenshotHref(issue.screenshot, baseDir);
+  const alt = `Screenshot of the flagged element${issue.selector ? ` ${issue.selector}` : ''}, outlined in red`;
+  return `<a class="issue-screenshot" href="${href}" target="_blank"><img src="${href}" alt="${escapeHtml(alt)}" loading="lazy"></a>`;
+}
+
+/**
+ * Link to a page's full-page screenshots, one per viewport
+ */
+function renderPageScreenshots(result, baseDir) {
+  const shots = (result.viewports || []).filter(viewport => viewport.screenshot);
+  if (shots.length === 0) {
+    return result.screenshot
+      ? `<p class="page-screenshots"><a href="${screenshotHref(result.screenshot, baseDir)}" target="_blank">Full-page screenshot</a></p>`
+      : '';
+  }
+  if (shots.length === 1) {
+    return `<p class="page-screenshots"><a href="${screenshotHref(shots[0].screenshot, baseDir)}" target="_blank">Full-page screenshot</a></p>`;
+  }
+  const links = shots.map(viewport => `<a href="${screenshotHref(viewport.screenshot, baseDir)}" target="_blank">${escapeHtml(viewport.name)}</a>`);
+  return `<p class="page-screenshots">Full-page screenshots: ${links.join(' &middot; ')}</p>`;
+}
+
+/**
+ * Render how a page fared under each viewport, when it was checked under
+ * more than one
+ */
+function renderPageViewports(viewports) {
+  if (!viewports || viewports.length < 2) {
+    return '';
+  }
+  const parts = viewports.map(viewport => viewport.status === 'success'
+    ? `${escapeHtml(viewport.name)}: ${viewport.issues} issue${viewport.issues !== 1 ? 's' : ''}`
+    : `<span class="viewport-failed">${escapeHtml(viewport.name)}: check failed (${escapeHtml(viewport.error || 'unknown error')})</span>`);
+  return `<p class="page-viewports">${parts.join(' &middot; ')}</p>`;
+}
+
+/**
+ * Render the totals per viewport, when more than one was checked
+ */
+function renderViewportSummary(viewports, totals, mobileOnlyIssues) {
+  if (!viewports || viewports.length < 2) {
+    return '';
+  }
+
+  return `
+    <div class="delta sampling">
+        <h2>Viewports</h2>
+        <p class="delta-meta">
+            Every page was checked under each viewport. Issues found under several viewports are listed once per page,
+            tagged with the viewports they appeared under.${mobileOnlyIssues > 0 ? ` ${mobileOnlyIssues} issue${mobileOnlyIssues !== 1 ? 's' : ''} only appeared on mobile viewports and ${mobileOnlyIssues !== 1 ? 'are' : 'is'} marked <span class="issue-badge mobile-only">Mobile only</span>.` : ''}
+        </p>
+        <table>
+            <thead><tr><th>Viewport</th><th>Size</th><th>Pages checked</th><th>Failed checks</th><th>Issues</th></tr></thead>
+            <tbody>
+                ${viewports.map(viewport => {
+                  const total = totals[viewport.name] || { checked: 0, failed: 0, issues: 0 };
+                  return `
+                <tr>
+                    <td>${escapeHtml(viewport.name)}${viewport.isMobile ? ' (mobile)' : ''}</td>
+                    <td>${viewport.width}&times;${viewport.height} @${viewport.deviceScaleFactor}x${viewport.hasTouch ? ', touch' : ''}</td>
+                    <td>${total.checked}</td>
+                    <td>${total.failed}</td>
+                    <td>${total.issues}</td>
+                </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    </div>`;
+}
+
+/**
+ * List the codes other engines reported for a merged issue
+ */
+function renderDuplicates(duplicates) {
+  if (!duplicates || duplicates.length === 0) {
+    return '';
+  }
+  const codes = duplicates.map(duplicate => `${escapeHtml(duplicate.code)} (${escapeHtml(RUNNER_LABELS[duplicate.runner] || duplicate.runner)})`);
+  return `<div class="issue-selector">Also reported as: ${codes.join(', ')}</div>`;
+}
+
+/**
+ * Render a list of issues from the baseline delta
+ */
+function renderDeltaList(title, entries) {
+  if (entries.length === 0) {
+    return '';
+  }
+
+  return `
+        <h3>${title}</h3>
+        <ul class="delta-list">
+            ${entries.map(({ url, issue }) => `
+                <li>
+                    <span class="issue-type ${escapeHtml(issue.type)}">${escapeHtml(issue.type)}</span>
+                    <span class="issue-code">${escapeHtml(issue.code)}</span>
+                    <div class="issue-message">${escapeHtml(issue.message)}</div>
+                    <div class="page-url">${escapeHtml(url)}${issue.selector ? ` &mdash; ${escapeHtml(issue.selector)}` : ''}</div>
+                </li>
+            `).join('')}
+        </ul>`;
+}
+
+/**
+ * Render the "changes since baseline" section that leads the report
+ */
+function renderDelta(delta) {
+  if (!delta) {
+    return '';
+  }
+
+  const comparedWith = delta.baseline.finishedAt
+    ? new Date(delta.baseline.finishedAt).toLocaleString()
+    : 'an earlier run';
+
+  return `
+    <div class="delta">
+        <h2>Changes Since Baseline</h2>
+        <p class="delta-meta">Compared with the audit from ${comparedWith}</p>
+        <div class="summary">
+            <div class="stat-card error">
+                <h3>New Issues</h3>
+                <p class="value">${delta.counts.new}</p>
+            </div>
+            <div class="stat-card success">
+                <h3>Fixed Issues</h3>
+                <p class="value">${delta.counts.fixed}</p>
+            </div>
+            <div class="stat-card">
+                <h3>Persisting Issues</h3>
+                <p class="value">${delta.counts.persisting}</p>
+            </div>
+            ${delta.counts.unverified > 0 ? `
+            <div class="stat-card warning">
+                <h3>Not Re-checked</h3>
+                <p class="value">${delta.counts.unverified}</p>
+            </div>` : ''}
+        </div>
+        ${renderDeltaList('New Issues', delta.new)}
+        ${renderDeltaList('Fixed Issues', delta.fixed)}
+    </div>`;
+}
+
+/**
+ * Render the list of sitemaps that were read, with their URL counts
+ */
+function renderSitemaps(sitemaps) {
+  if (!sitemaps || sitemaps.length === 0) {
+    return '';
+  }
+
+  const describe = sitemap => {
+    switch (sitemap.type) {
+      case 'index': return `${sitemap.sitemaps || 0} sitemaps` + (sitemap.count ? `, ${sitemap.count} URLs` : '');
+      case 'urlset': return `${sitemap.count} URLs`;
+      case 'failed': return 'Failed to fetch';
+      default: return sitemap.reason === 'duplicate' ? 'Skipped (already visited)' : 'Skipped (too deep)';
+    }
+  };
+
+  return `
+    <details class="sitemaps">
+        <summary>Sitemaps read (${sitemaps.length})</summary>
+        <table>
+            <thead><tr><th>Sitemap</th><th>Contents</th></tr></thead>
+            <tbody>
+                ${sitemaps.map(sitemap => `
+                <tr class="${sitemap.type}">
+                    <td style="padding-left: ${10 + sitemap.depth * 20}px">${escapeHtml(sitemap.url)}</td>
+                    <td>${describe(sitemap)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    </details>`;
+}
+
+/**
+ * Render the URLs left out by the include/exclude rules
+ */
+function renderExcluded(excluded) {
+  if (!excluded || excluded.length === 0) {
+    return '';
+  }
+
+  return `
+    <details class="sitemaps">
+        <summary>Excluded URLs (${excluded.length})</summary>
+        <table>
+            <thead><tr><th>URL</th><th>Excluded because</th></tr></thead>
+            <tbody>
+                ${excluded.map(entry => `
+                <tr>
+                    <td>${escapeHtml(entry.url)}</td>
+                    <td>${escapeHtml(describeRule(entry.rule))}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    </details>`;
+}
+
+/**
+ * Render the sampling coverage: what each sample group stands for and the
+ * issues extrapolated to the whole site
+ */
+function renderSampling(sampling) {
+  if (!sampling || !sampling.coverage) {
+    return '';
+  }
+
+  const { coverage } = sampling;
+  const by = sampling.mode === 'template' ? 'Template' : 'Sub-sitemap';
+
+  return `
+    <div class="delta sampling">
+        <h2>Sampling Coverage</h2>
+        <p class="delta-meta">
+            ${coverage.audited} pages audited as a sample of ${coverage.population} URLs.
+            Site totals below are estimates (~) extrapolated from the sample.
+        </p>
+        <div class="summary">
+            <div class="stat-card">
+                <h3>Estimated Issues</h3>
+                <p class="value">~${coverage.estimatedIssues}</p>
+            </div>
+            <div class="stat-card error">
+                <h3>Estimated Errors</h3>
+                <p class="value">~${coverage.estimatedErrors}</p>
+            </div>
+        </div>
+        <table>
+            <thead><tr><th>${by}</th><th>URLs</th><th>Audited</th><th>Issues per page</th><th>Estimated issues</th></tr></thead>
+            <tbody>
+                ${coverage.groups.map(group => `
+                <tr>
+                    <td>${escapeHtml(group.key)}</td>
+                    <td>${group.estimated ? '~' : ''}${group.total}</td>
+                    <td>${group.audited}</td>
+                    <td>${group.avgIssues}</td>
+                    <td>~${group.estimatedIssues}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    </div>`;
+}
+
+/**
+ * Render how often hosts asked the audit to slow down (429/503) and how long
+ * it waited for them
+ */
+function renderThrottling(throttling) {
+  if (!throttling || throttling.slowdowns === 0) {
+    return '';
+  }
+
+  const seconds = ms => `${Math.round(ms / 1000)}s`;
+
+  return `
+    <div class="delta sampling">
+        <h2>Rate Limiting</h2>
+        <p class="delta-meta">
+            Throttling kicked in ${throttling.slowdowns} time${throttling.slowdowns !== 1 ? 's' : ''}:
+            the site answered 429 Too Many Requests or 503 Service Unavailable, so page loads were
+            slowed down (${seconds(throttling.waited)} spent waiting in total). Throttled pages were retried.
+        </p>
+        <table>
+            <thead><tr><th>Host</th><th>Slowdowns</th><th>Statuses</th><th>Retry-After</th><th>Longest delay</th><th>Waited</th></tr></thead>
+            <tbody>
+                ${throttling.hosts.map(host => `
+                <tr>
+                    <td>${escapeHtml(host.host)}</td>
+                    <td>${host.slowdowns}</td>
+                    <td>${Object.entries(host.statuses).map(([status, count]) => `${status} &times;${count}`).join(', ')}</td>
+                    <td>${host.retryAfter}</td>
+                    <td>${seconds(host.maxDelay)}</td>
+                    <td>${seconds(host.waited)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    </div>`;
+}
+
+/**
+ * Render the REST API metadata of a page found through the REST API
+ */
+function renderContentMeta(content) {
+  if (!content) {
+    return '';
+  }
+
+  const parts = [escapeHtml(content.type)];
+  if (content.status !== 'publish') {
+    parts.push(`<span class="content-status">${escapeHtml(content.status)}</span>`);
+  }
+  if (content.author !== null) {
+    parts.push(typeof content.author === 'number' ? `by user #${content.author}` : `by ${escapeHtml(content.author)}`);
+  }
+  if (content.modified) {
+    parts.push(`modified ${new Date(content.modified).toLocaleDateString()}`);
+  }
+  return `<p class="content-meta">${parts.join(' &middot; ')}</p>`;
+}
+
+/**
+ * Render the issues repeated across many pages once, with the pages they were
+ * found on
+ */
+function renderSharedIssues(shared, pagesChecked, multipleViewports, baseDir) {
+  if (shared.length === 0) {
+    return '';
+  }
+
+  return `
+    <div class="delta shared">
+        <h2>Sitewide / Template Issues (${shared.length})</h2>
+        <p class="delta-meta">
+            These issues appear on many pages, usually in the theme header, footer or a shared template.
+            They are listed once here and left out of the page sections below.
+        </p>
+        <div class="issues-list">
+            ${shared.map(cluster => `
+                <div class="issue ${escapeHtml(cluster.type)}">
+                    <div class="issue-header">
+                        <span>
+                            <span class="issue-type ${escapeHtml(cluster.type)}">${escapeHtml(cluster.type)}</span>
+                            <span class="issue-badge shared">${cluster.pages.length} of ${pagesChecked} pages</span>
+                        </span>
+                        <span class="issue-code">${escapeHtml(cluster.code)} ${renderRunners(cluster.runners)}${renderViewports(cluster.viewports, cluster.mobileOnly, multipleViewports)}</span>
+                    </div>
+                    ${renderScreenshot(cluster, baseDir)}
+                    <div class="issue-message">${escapeHtml(cluster.message)}</div>
+                    ${cluster.context ? `<div class="issue-context">${escapeHtml(cluster.context)}</div>` : ''}
+                    ${cluster.selector ? `<div class="issue-selector">Selector: ${escapeHtml(cluster.selector)}</div>` : ''}
+                    ${renderDuplicates(cluster.duplicates)}
+                    <details class="affected-pages">
+                        <summary>Affected pages (${cluster.pages.length})</summary>
+                        <ul>
+                            ${cluster.pages.map(url => `<li>${escapeHtml(url)}</li>`).join('')}
+                        </ul>
+                    </details>
+                </div>
+            `).join('')}
+        </div>
+    </div>`;
+}
+
+/**
+ * Generate HTML report from results
+ *
+ * Screenshots are linked relative to `baseDir`, the folder the report is
+ * written to.
+ */
+function generateHTMLReport(audit, { baseDir = process.cwd() } = {}) {
+  const { results, site: domain, sitemapUrl, config } = audit;
+  const totalUrls = audit.urls ? audit.urls.length : results.length;
+  const timestamp = new Date(audit.finishedAt || Date.now()).toLocaleString();
+  const { totalIssues, failedChecks, successfulChecks, issuesByType, viewports: viewportTotals, mobileOnlyIssues } = summarizeResults(results);
+  const multipleViewports = Boolean(audit.viewports && audit.viewports.length > 1);
+
+  // Results from before levels were configurable always had errors and warnings
+  const levels = config.INCLUDE_LEVELS || ['error', 'warning'];
+  const ignored = config.IGNORE_CODES || [];
+
+  // Issues repeated across pages are shown once; page sections keep the rest
+  const shared = groupSharedIssues(results, { minPages: config.SHARED_ISSUE_MIN_PAGES });
+  const sharedKeys = new Set(shared.map(cluster => cluster.key));
+  const splitIssues = result => {
+    const issues = result.issues.filter(issue => !sharedKeys.has(componentKey(issue)));
+    return { result, issues, sharedCount: result.issues.length - issues.length };
+  };
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Accessibility Audit Report - ${domain || sitemapUrl}</title>
+    <style>
+        * {
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 20px;
+            background: #f5f5f5;
+        }
+        
+        .header {
+            background: #fff;
+            padding: 30px;
+            border-radius: 8px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            margin-bottom: 30px;
+        }
+        
+        h1 {
+            margin: 0 0 20px 0;
+            color: #2c3e50;
+        }
+        
+        .summary {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: 20px;
+            margin-bottom: 30px;
+        }
+        
+        .stat-card {
+            background: #fff;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            text-align: center;
+        }
+        
+        .stat-card h3 {
+            margin: 0 0 10px 0;
+            color: #666;
+            font-size: 14px;
+            text-transform: uppercase;
+        }
+        
+        .stat-card .value {
+            font-size: 36px;
+            font-weight: bold;
+            margin: 0;
+        }
+        
+        .stat-card.error .value { color: #e74c3c; }
+        .stat-card.warning .value { color: #f39c12; }
+        .stat-card.success .value { color: #27ae60; }
+        
+        .page-result {
+            background: #fff;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            margin-bottom: 20px;
+        }
+        
+        .page-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 15px;
+            padding-bottom: 15px;
+            border-bottom: 1px solid #eee;
+        }
+        
+        .page-title {
+            font-size: 18px;
+            font-weight: bold;
+            color: #2c3e50;
+            margin: 0;
+        }
+        
+        .page-url {
+            font-size: 14px;
+            color: #666;
+            word-break: break-all;
+        }
+        
+        .issue-count {
+            padding: 5px 15px;
+            border-radius: 20px;
+            font-size: 14px;
+            font-weight: bold;
+        }
+        
+        .issue-count.clean { background: #d4edda; color: #155724; }
+        .issue-count.has-issues { background: #f8d7da; color: #721c24; }
+        .issue-count.error { background: #f8d7da; color: #721c24; }
+        
+        .issues-list {
+            margin-top: 20px;
+        }
+        
+        .issue {
+            padding: 15px;
+            margin-bottom: 10px;
+            border-radius: 6px;
+            border-left: 4px solid;
+            display: flow-root;
+        }
+        
+        .issue.error {
+            background: #fee;
+            border-color: #e74c3c;
+        }
+        
+        .issue.warning {
+            background: #fff8e1;
+            border-color: #f39c12;
+        }
+        
+        .issue.notice {
+            background: #e8f5e9;
+            border-color: #4caf50;
+        }
+        
+        .issue-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: flex-start;
+            margin-bottom: 10px;
+        }
+        
+        .issue-type {
+            padding: 2px 8px;
+            border-radius: 4px;
+            font-size: 12px;
+            font-weight: bold;
+            text-transform: uppercase;
+            color: white;
+        }
+        
+        .issue-type.error { background: #e74c3c; }
+        .issue-type.warning { background: #f39c12; }
+        .issue-type.notice { background: #4caf50; }
+        
+        .issue-code {
+            font-size: 12px;
+            color: #666;
+            font-family: monospace;
+        }
+        
+        .issue-runners {
+            background: #ecf0f1;
+            color: #2c3e50;
+            padding: 2px 6px;
+            border-radius: 4px;
+            margin-left: 6px;
+        }
+        
+        .issue-message {
+            margin: 10px 0;
+            font-weight: 500;
+        }
+        
+        .issue-context {
+            background: #f8f8f8;
+            padding: 10px;
+            border-radius: 4px;
+            font-family: monospace;
+            font-size: 12px;
+            overflow-x: auto;
+            white-space: pre-wrap;
+            margin: 10px 0;
+        }
+        
+        .issue-selector {
+            font-size: 12px;
+            color: #666;
+            font-family: monospace;
+        }
+        
+        .no-issues {
+            text-align: center;
+            padding: 40px;
+            color: #666;
+        }
+        
+        .error-message {
+            background: #fee;
+            padding: 15px;
+            border-radius: 6px;
+            border-left: 4px solid #e74c3c;
+            color: #721c24;
+        }
+        
+        .retry-info {
+            font-size: 12px;
+            color: #666;
+            margin-top: 5px;
+        }
+        
+        .delta {
+            background: #fff;
+            padding: 30px;
+            border-radius: 8px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            margin-bottom: 30px;
+        }
+        
+        .delta h2 {
+            margin: 0 0 5px 0;
+            color: #2c3e50;
+        }
+        
+        .delta-meta {
+            color: #666;
+            margin: 0 0 20px 0;
+        }
+        
+        .delta .summary {
+            margin-bottom: 10px;
+        }
+        
+        .delta-list {
+            list-style: none;
+            padding: 0;
+        }
+        
+        .delta-list li {
+            padding: 10px 0;
+            border-bottom: 1px solid #eee;
+        }
+        
+        .issue-badge {
+            padding: 2px 8px;
+            border-radius: 4px;
+            font-size: 12px;
+            font-weight: bold;
+            text-transform: uppercase;
+            margin-left: 8px;
+        }
+        
+        .issue-badge.new { background: #8e44ad; color: white; }
+        .issue-badge.shared { background: #ecf0f1; color: #2c3e50; }
+        .issue-badge.mobile-only { background: #d35400; color: white; }
+        
+        .issue-viewports {
+            background: #eaf2f8;
+            color: #2c3e50;
+            padding: 2px 6px;
+            border-radius: 4px;
+            margin-left: 6px;
+        }
+        
+        .page-viewports {
+            font-size: 12px;
+            color: #666;
+            margin: 5px 0 0 0;
+        }
+        
+        .page-viewports .viewport-failed { color: #e74c3c; }
+        
+        .page-screenshots {
+            font-size: 12px;
+            margin: 5px 0 0 0;
+        }
+        
+        .issue-screenshot {
+            float: right;
+            margin: 0 0 10px 15px;
+        }
+        
+        .issue-screenshot img {
+            display: block;
+            max-width: 180px;
+            max-height: 120px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            background: white;
+        }
+        
+        .affected-pages {
+            font-size: 12px;
+            margin-top: 10px;
+        }
+        
+        .affected-pages summary {
+            cursor: pointer;
+            color: #666;
+        }
+        
+        .affected-pages ul {
+            margin: 8px 0 0 0;
+            padding-left: 20px;
+            word-break: break-all;
+        }
+        
+        .content-meta {
+            font-size: 12px;
+            color: #666;
+            margin-top: 5px;
+        }
+        
+        .content-status {
+            background: #f39c12;
+            color: white;
+            padding: 1px 6px;
+            border-radius: 4px;
+            text-transform: uppercase;
+            font-weight: bold;
+        }
+        
+        .shared-note {
+            font-size: 12px;
+            color: #666;
+            margin: 15px 0 0 0;
+        }
+        
+        .sitemaps {
+            background: #fff;
+            padding: 20px 30px;
+            border-radius: 8px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            margin-bottom: 30px;
+        }
+        
+        .sitemaps summary {
+            cursor: pointer;
+            font-weight: bold;
+            color: #2c3e50;
+        }
+        
+        .sitemaps table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 15px;
+            font-size: 14px;
+        }
+        
+        .sampling table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 14px;
+        }
+        
+        .sitemaps th,
+        .sitemaps td,
+        .sampling th,
+        .sampling td {
+            text-align: left;
+            padding: 6px 10px;
+            border-bottom: 1px solid #eee;
+            word-break: break-all;
+        }
+        
+        .header .cancelled { color: #e67e22; }
+
+        .sitemaps tr.failed td { color: #e74c3c; }
+        .sitemaps tr.skipped td { color: #999; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>Accessibility Audit Report</h1>
+        <p><strong>Site:</strong> ${domain || 'Unknown'}</p>
+        <p><strong>Generated:</strong> ${timestamp}</p>
+        <p><strong>Standard:</strong> ${describeStandard(audit.standard)}</p>
+        <p><strong>Issue levels:</strong> ${levels.map(level => `${level}s`).join(', ')}</p>
+        ${ignored.length > 0 ? `<p><strong>Ignored rules:</strong> ${ignored.map(escapeHtml).join(', ')}</p>` : ''}
+        ${multipleViewports ? `<p><strong>Viewports:</strong> ${audit.viewports.map(viewport => `${escapeHtml(viewport.name)} (${viewport.width}&times;${viewport.height})`).join(', ')}</p>` : ''}
+        ${audit.runners ? `<p><strong>Engines:</strong> ${audit.runners.map(runner => escapeHtml(RUNNER_LABELS[runner] || runner)).join(', ')}</p>` : ''}
+        <p><strong>Configuration:</strong> Max ${config.MAX_RETRIES} retries, ${config.PAGE_TIMEOUT/1000}s timeout, ${config.MAX_CONCURRENT_CHECKS} concurrent checks</p>
+        ${audit.cancelled ? `<p class="cancelled"><strong>Cancelled:</strong> ${audit.results.length} of ${(audit.urls || []).length} URLs were checked before the audit was cancelled</p>` : ''}
+    </div>
+    ${renderDelta(audit.delta)}
+    
+    <div class="summary">
+        <div class="stat-card">
+            <h3>Pages Scanned</h3>
+            <p class="value">${totalUrls}</p>
+        </div>
+        <div class="stat-card success">
+            <h3>Successful Checks</h3>
+            <p class="value">${successfulChecks}</p>
+        </div>
+        <div class="stat-card error">
+            <h3>Failed Checks</h3>
+            <p class="value">${failedChecks}</p>
+        </div>
+        <div class="stat-card">
+            <h3>Total Issues</h3>
+            <p class="value">${totalIssues}</p>
+        </div>
+        <div class="stat-card error">
+            <h3>Errors</h3>
+            <p class="value">${issuesByType.error || 0}</p>
+        </div>
+        <div class="stat-card warning">
+            <h3>Warnings</h3>
+            <p class="value">${levels.includes('warning') ? issuesByType.warning || 0 : 'n/a'}</p>
+        </div>
+        ${levels.includes('notice') ? `
+        <div class="stat-card">
+            <h3>Notices</h3>
+            <p class="value">${issuesByType.notice || 0}</p>
+        </div>` : ''}
+        ${multipleViewports ? `
+        <div class="stat-card warning">
+            <h3>Mobile-Only Issues</h3>
+            <p class="value">${mobileOnlyIssues}</p>
+        </div>` : ''}
+    </div>
+    ${renderSampling(audit.sampling)}
+    ${renderViewportSummary(audit.viewports, viewportTotals, mobileOnlyIssues)}
+    ${renderThrottling(audit.throttling)}
+    ${renderSitemaps(audit.sitemaps)}
+    ${renderExcluded(audit.excluded)}
+    ${renderSharedIssues(shared, successfulChecks, multipleViewports, baseDir)}
+    
+    ${results.map(splitIssues).map(({ result, issues, sharedCount }) => `
+        <div class="page-result">
+            <div class="page-header">
+                <div>
+                    <h2 class="page-title">${result.documentTitle}</h2>
+                    <p class="page-url">${result.url}</p>
+                    ${renderContentMeta(result.content)}
+                    ${renderPageViewports(result.viewports)}
+                    ${renderPageScreenshots(result, baseDir)}
+                    ${result.attempts > 1 ? `<p class="retry-info">Completed after ${result.attempts} attempts</p>` : ''}
+                </div>
+                ${result.status === 'error' 
+                    ? '<span class="issue-count error">Check Failed</span>'
+                    : issues.length === 0 
+                        ? `<span class="issue-count clean">${sharedCount > 0 ? 'No Page-Specific Issues' : 'No Issues'}</span>`
+                        : `<span class="issue-count has-issues">${issues.length} Issue${issues.length !== 1 ? 's' : ''}</span>`
+                }
+            </div>
+            
+            ${result.status === 'error'
+                ? `<div class="error-message">Error: ${result.error}</div>`
+                : issues.length === 0
+                    ? `<div class="no-issues">✓ No ${sharedCount > 0 ? 'page-specific ' : ''}accessibility issues found</div>`
+                    : `<div class="issues-list">
+                        ${issues.map(issue => `
+                            <div class="issue ${issue.type}">
+                                <div class="issue-header">
+                                    <span>
+                                        <span class="issue-type ${issue.type}">${issue.type}</span>
+                                        ${issue.baseline === 'new' ? '<span class="issue-badge new">New</span>' : ''}
+                                    </span>
+                                    <span class="issue-code">${issue.code} ${renderRunners(issue.runners)}${renderViewports(issue.viewports, issue.mobileOnly, multipleViewports)}</span>
+                                </div>
+                                ${renderScreenshot(issue, baseDir)}
+                                <div class="issue-message">${issue.message}</div>
+                                ${issue.context ? `<div class="issue-context">${escapeHtml(issue.context)}</div>` : ''}
+                                ${issue.selector ? `<div class="issue-selector">Selector: ${issue.selector}</div>` : ''}
+                                ${renderDuplicates(issue.duplicates)}
+                            </div>
+                        `).join('')}
+                    </div>`
+            }
+            ${sharedCount > 0 ? `<p class="shared-note">Also affected by ${sharedCount} sitewide issue${sharedCount !== 1 ? 's' : ''} listed above</p>` : ''}
+        </div>
+    `).join('')}
+</body>
+</html>`;
+  
+  return html;
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return text.replace(/[&<>"']/g, m => map[m]);
+}
+
+module.exports = { generateHTMLReport, escapeHtml };
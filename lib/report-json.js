@@ -0,0 +1,66 @@
+const { AuditError } = require('./errors');
+const { summarizeResults } = require('./summary');
+const { redactConfig } = require('./config');
+const pkg = require('../package.json');
+
+// Bump whenever the shape of the results file changes incompatibly
+const RESULTS_SCHEMA_VERSION = 1;
+
+/**
+ * Serialise an audit into the versioned, machine-readable results file
+ */
+function generateJSONReport(audit) {
+  const data = {
+    schemaVersion: RESULTS_SCHEMA_VERSION,
+    tool: { name: pkg.name, version: pkg.version },
+    generatedAt: new Date().toISOString(),
+    site: audit.site,
+    sitemapUrl: audit.sitemapUrl,
+    sitemapSource: audit.sitemapSource,
+    sitemaps: audit.sitemaps,
+    excluded: audit.excluded,
+    sampling: audit.sampling,
+    startedAt: audit.startedAt,
+    finishedAt: audit.finishedAt,
+    cancelled: audit.cancelled || false,
+    standard: audit.standard,
+    runners: audit.runners,
+    viewports: audit.viewports,
+    config: audit.config && redactConfig(audit.config),
+    summary: audit.summary || summarizeResults(audit.results),
+    delta: audit.delta,
+    gates: audit.gates,
+    throttling: audit.throttling || null,
+    artifacts: audit.artifacts || null,
+    urls: audit.urls,
+    results: audit.results,
+  };
+
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Parse a results file back into an audit object the reporters accept
+ */
+function parseJSONReport(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new AuditError('INVALID_RESULTS', `Results file is not valid JSON: ${error.message}`);
+  }
+
+  if (!data || !Array.isArray(data.results)) {
+    throw new AuditError('INVALID_RESULTS', 'Results file does not contain a results array');
+  }
+  if (data.schemaVersion !== RESULTS_SCHEMA_VERSION) {
+    throw new AuditError(
+      'UNSUPPORTED_RESULTS_VERSION',
+      `Results file has schema version ${data.schemaVersion}, expected ${RESULTS_SCHEMA_VERSION}`
+    );
+  }
+
+  return data;
+}
+
+module.exports = { RESULTS_SCHEMA_VERSION, generateJSONReport, parseJSONReport };
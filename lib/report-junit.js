@@ -0,0 +1,96 @@
+const xml2js = require('xml2js');
+
+/**
+ * Format a list of issues as plain text for a JUnit failure body
+ */
+function formatIssues(issues) {
+  return issues.map(issue => [
+    `[${issue.type}] ${issue.code}` + (issue.runners ? ` (${issue.runners.join(', ')})` : '')
+      + (issue.mobileOnly ? ' [mobile only]' : ''),
+    `  ${issue.message}`,
+    issue.selector ? `  Selector: ${issue.selector}` : null,
+    issue.context ? `  Context: ${issue.context}` : null,
+  ].filter(Boolean).join('\n')).join('\n\n');
+}
+
+/**
+ * Build a JUnit testcase for one checked URL
+ */
+function buildTestCase(result, classname) {
+  const testcase = {
+    $: {
+      name: result.url,
+      classname,
+      time: ((result.duration || 0) / 1000).toFixed(3)
+    }
+  };
+
+  if (result.status === 'error') {
+    testcase.error = {
+      $: { message: result.error, type: 'CheckFailed' },
+      _: `Check failed after ${result.attempts} attempts: ${result.error}`
+    };
+    return testcase;
+  }
+
+  const errors = result.issues.filter(issue => issue.type === 'error');
+  const others = result.issues.filter(issue => issue.type !== 'error');
+
+  if (errors.length > 0) {
+    testcase.failure = {
+      $: {
+        message: `${errors.length} accessibility error${errors.length !== 1 ? 's' : ''}`,
+        type: 'AccessibilityError'
+      },
+      _: formatIssues(errors)
+    };
+  }
+  if (others.length > 0) {
+    testcase['system-out'] = formatIssues(others);
+  }
+
+  return testcase;
+}
+
+/**
+ * Generate a JUnit XML report with one testcase per URL
+ */
+function generateJUnitReport(audit) {
+  const { results } = audit;
+  const suiteName = `Accessibility audit - ${audit.site || audit.sitemapUrl}`;
+  const failures = results.filter(r => r.status === 'success' && r.issues.some(i => i.type === 'error')).length;
+  const errors = results.filter(r => r.status === 'error').length;
+  const time = (results.reduce((sum, r) => sum + (r.duration || 0), 0) / 1000).toFixed(3);
+
+  const counts = {
+    tests: results.length,
+    failures,
+    errors,
+    time
+  };
+
+  const builder = new xml2js.Builder({ xmldec: { version: '1.0', encoding: 'UTF-8' } });
+  return builder.buildObject({
+    testsuites: {
+      $: { name: suiteName, ...counts },
+      testsuite: {
+        $: {
+          name: suiteName,
+          ...counts,
+          skipped: 0,
+          ...(audit.finishedAt ? { timestamp: audit.finishedAt } : {})
+        },
+        properties: {
+          property: [
+            { $: { name: 'site', value: audit.site || '' } },
+            { $: { name: 'sitemapUrl', value: audit.sitemapUrl || '' } },
+            { $: { name: 'standard', value: audit.standard || '' } },
+          ]
+        },
+        testcase: results.map(result => buildTestCase(result, audit.site || 'accessibility'))
+      }
+    }
+  });
+}
+
+module.exports = { generateJUnitReport };
@@ -0,0 +1,122 @@
+const { issueFingerprint } = require('./fingerprint');
+const pkg = require('../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// pa11y issue types mapped onto SARIF result levels
+const LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  notice: 'note'
+};
+
+/**
+ * Build one SARIF rule per distinct pa11y issue code
+ */
+function buildRules(results) {
+  const rules = [];
+  const ruleIndex = new Map();
+
+  results.forEach(result => {
+    result.issues.forEach(issue => {
+      if (ruleIndex.has(issue.code)) {
+        return;
+      }
+      ruleIndex.set(issue.code, rules.length);
+      rules.push({
+        id: issue.code,
+        shortDescription: { text: issue.message },
+        defaultConfiguration: { level: LEVELS[issue.type] || 'warning' },
+        properties: { tags: ['accessibility'] }
+      });
+    });
+  });
+
+  return { rules, ruleIndex };
+}
+
+/**
+ * Generate a SARIF 2.1.0 log from results
+ */
+function generateSARIFReport(audit) {
+  const { results } = audit;
+  const { rules, ruleIndex } = buildRules(results);
+
+  const sarifResults = [];
+  results.forEach(result => {
+    result.issues.forEach(issue => {
+      const physicalLocation = {
+        artifactLocation: { uri: result.url },
+        // pa11y reports no line numbers; consumers still require a text
+        // region, so every issue is anchored at the top of the page
+        region: {
+          startLine: 1,
+          ...(issue.context ? { snippet: { text: issue.context } } : {})
+        }
+      };
+
+      sarifResults.push({
+        ruleId: issue.code,
+        ruleIndex: ruleIndex.get(issue.code),
+        level: LEVELS[issue.type] || 'warning',
+        message: { text: issue.message },
+        locations: [{
+          physicalLocation,
+          ...(issue.selector
+            ? { logicalLocations: [{ fullyQualifiedName: issue.selector, kind: 'element' }] }
+            : {})
+        }],
+        partialFingerprints: { 'a11yIssue/v2': issue.fingerprint || issueFingerprint(result.url, issue) },
+        ...(issue.baseline ? { baselineState: issue.baseline === 'new' ? 'new' : 'unchanged' } : {}),
+        ...(issue.runners || issue.viewports
+          ? { properties: { runners: issue.runners, viewports: issue.viewports, mobileOnly: issue.mobileOnly } }
+          : {})
+      });
+    });
+  });
+
+  // Pages that could not be checked are reported as tool notifications
+  const notifications = results
+    .filter(result => result.status === 'error')
+    .map(result => ({
+      level: 'error',
+      message: { text: `Check failed after ${result.attempts} attempts: ${result.error}` },
+      locations: [{ physicalLocation: { artifactLocation: { uri: result.url } } }]
+    }));
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: pkg.name,
+          version: pkg.version,
+          rules
+        }
+      },
+      invocations: [{
+        executionSuccessful: results.some(result => result.status === 'success'),
+        ...(audit.startedAt ? { startTimeUtc: audit.startedAt } : {}),
+        ...(audit.finishedAt ? { endTimeUtc: audit.finishedAt } : {}),
+        toolExecutionNotifications: notifications
+      }],
+      artifacts: results.map(result => ({
+        location: { uri: result.url },
+        ...(result.documentTitle ? { description: { text: result.documentTitle } } : {})
+      })),
+      results: sarifResults,
+      properties: {
+        site: audit.site,
+        sitemapUrl: audit.sitemapUrl,
+        standard: audit.standard,
+        runners: audit.runners,
+        viewports: (audit.viewports || []).map(viewport => viewport.name)
+      }
+    }]
+  };
+
+  return JSON.stringify(log, null, 2);
+}
+
+module.exports = { generateSARIFReport };
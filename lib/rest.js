@@ -0,0 +1,178 @@
+const axios = require('axios');
+const { AuditError } = require('./errors');
+const { DESKTOP_USER_AGENT } = require('./viewports');
+
+const noop = () => {};
+
+const REST_MODES = ['off', 'merge', 'only'];
+
+// Post types that are not front-end pages
+const SKIPPED_TYPES = [
+  'attachment',
+  'nav_menu_item',
+  'wp_block',
+  'wp_template',
+  'wp_template_part',
+  'wp_navigation',
+  'wp_global_styles',
+  'wp_font_family',
+  'wp_font_face',
+];
+
+const PUBLIC_STATUSES = ['publish'];
+const ALL_STATUSES = ['publish', 'future', 'draft', 'pending', 'private'];
+
+/**
+ * Build a REST API URL for a route, e.g. `/wp/v2/pages`
+ *
+ * `apiRoot` is either `https://site/wp-json` or, on sites without pretty
+ * permalinks, `https://site/?rest_route=`.
+ */
+function restUrl(apiRoot, route, params = {}) {
+  const url = new URL(apiRoot + route);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.href;
+}
+
+/**
+ * Fetch every page of a REST collection, following `X-WP-TotalPages`
+ */
+async function fetchCollection(request, apiRoot, route, params, onPage = noop) {
+  const items = [];
+  let page = 1;
+  let pages = 1;
+
+  do {
+    const response = await request(restUrl(apiRoot, route, { ...params, per_page: 100, page }));
+    pages = parseInt(response.headers['x-wp-totalpages']) || 1;
+    items.push(...(Array.isArray(response.data) ? response.data : []));
+    onPage(page, pages);
+    page++;
+  } while (page <= pages);
+
+  return items;
+}
+
+/**
+ * Find the REST API root: `/wp-json`, or `?rest_route=` when pretty
+ * permalinks are off
+ */
+async function findApiRoot(request, siteUrl) {
+  const candidates = [`${siteUrl}/wp-json`, `${siteUrl}/?rest_route=`];
+  for (const apiRoot of candidates) {
+    try {
+      const response = await request(restUrl(apiRoot, '/wp/v2/types'));
+      if (response.data && typeof response.data === 'object' && !Array.isArray(response.data)) {
+        return { apiRoot, types: response.data };
+      }
+    } catch (error) {
+      // Try the next location
+    }
+  }
+
+  throw new AuditError('REST_UNAVAILABLE', `The WordPress REST API is not available at ${siteUrl}/wp-json`, [
+    'The REST API is disabled by a security plugin',
+    'The site is not a WordPress site',
+    'The application password is wrong',
+  ], { url: siteUrl, tried: candidates });
+}
+
+/**
+ * Enumerate pages, posts and custom post types through the WordPress REST API
+ *
+ * With `auth` (a user name and application password) drafts, scheduled,
+ * pending and private content is listed too, but only kept with `previews`:
+ * its preview links only render for a browser with a front-end session (a
+ * login or a cookie file), which an application password cannot provide.
+ * Statuses left out for that reason are reported through `rest:skipped`.
+ * Resolves to `{ urls, sources, content }`: sources maps each URL to the REST
+ * collection it came from and content holds its REST metadata (`id`, `type`,
+ * `status`, `title`, `author`, `modified`).
+ */
+async function discoverRestContent(siteUrl, { auth = null, previews = false, types: onlyTypes = [], statuses, emit = noop } = {}) {
+  const request = url => axios.get(url, {
+    headers: {
+      'User-Agent': DESKTOP_USER_AGENT,
+      'Accept': 'application/json'
+    },
+    timeout: 30000,
+    maxRedirects: 5,
+    ...(auth ? { auth } : {})
+  });
+
+  const requestedStatuses = statuses && statuses.length > 0 ? statuses : (auth ? ALL_STATUSES : PUBLIC_STATUSES);
+  const wantedStatuses = previews ? requestedStatuses : requestedStatuses.filter(status => PUBLIC_STATUSES.includes(status));
+  const skippedStatuses = requestedStatuses.filter(status => !wantedStatuses.includes(status));
+  if (skippedStatuses.length > 0) {
+    emit('rest:skipped', { statuses: skippedStatuses });
+  }
+  if (wantedStatuses.length === 0) {
+    return { urls: [], sources: {}, content: {} };
+  }
+
+  const { apiRoot, types } = await findApiRoot(request, siteUrl);
+  const collections = Object.values(types)
+    .filter(type => type.rest_base && !SKIPPED_TYPES.includes(type.slug))
+    .filter(type => onlyTypes.length === 0 || onlyTypes.includes(type.slug) || onlyTypes.includes(type.rest_base));
+  emit('rest:types', { apiRoot, types: collections.map(type => type.slug) });
+
+  // Author names, where the site exposes them
+  const authors = new Map();
+  try {
+    const users = await fetchCollection(request, apiRoot, '/wp/v2/users', { _fields: 'id,name' });
+    users.forEach(user => authors.set(user.id, user.name));
+  } catch (error) {
+    // Many sites hide the users endpoint; keep the author IDs
+  }
+
+  const urls = [];
+  const sources = {};
+  const content = {};
+
+  for (const type of collections) {
+    const route = `/${type.rest_namespace || 'wp/v2'}/${type.rest_base}`;
+    const params = { _fields: 'id,link,type,status,title,author,modified_gmt' };
+    if (auth) {
+      params.status = wantedStatuses.join(',');
+    }
+
+    let items;
+    try {
+      items = await fetchCollection(request, apiRoot, route, params, (page, pages) => {
+        emit('rest:fetch', { type: type.slug, page, pages });
+      });
+    } catch (error) {
+      emit('rest:failed', { type: type.slug, error: error.message });
+      continue;
+    }
+
+    const collectionUrl = restUrl(apiRoot, route);
+    items
+      .filter(item => item.link && wantedStatuses.includes(item.status || 'publish'))
+      .forEach(item => {
+        // Unpublished content is only reachable through its preview link
+        const url = item.status && item.status !== 'publish' && !/[?&]preview=true/.test(item.link)
+          ? item.link + (item.link.includes('?') ? '&' : '?') + 'preview=true'
+          : item.link;
+        if (content[url]) {
+          return;
+        }
+
+        urls.push(url);
+        sources[url] = collectionUrl;
+        content[url] = {
+          id: item.id,
+          type: item.type || type.slug,
+          status: item.status || 'publish',
+          title: item.title && item.title.rendered !== undefined ? item.title.rendered : null,
+          author: item.author !== undefined ? (authors.get(item.author) || item.author) : null,
+          modified: item.modified_gmt ? `${item.modified_gmt}Z` : null,
+        };
+      });
+    emit('rest:fetched', { type: type.slug, count: items.length });
+  }
+
+  return { urls, sources, content };
+}
+
+module.exports = { REST_MODES, restUrl, discoverRestContent };
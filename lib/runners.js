@@ -0,0 +1,119 @@
+
+// pa11y test runners that can be combined in one audit
+const RUNNERS = ['htmlcs', 'axe'];
+
+const TYPE_SEVERITY = { error: 0, warning: 1, notice: 2 };
+
+let axeCriteria = null;
+
+/**
+ * WCAG success criteria of every axe rule, from its `wcag111`-style tags
+ */
+function getAxeCriteria() {
+  if (!axeCriteria) {
+    axeCriteria = new Map();
+    require('axe-core').getRules().forEach(rule => {
+      const criteria = rule.tags
+        .map(tag => tag.match(/^wcag(\d)(\d)(\d+)$/))
+        .filter(Boolean)
+        .map(([, principle, guideline, criterion]) => `${principle}.${guideline}.${criterion}`);
+      axeCriteria.set(rule.ruleId, criteria);
+    });
+  }
+  return axeCriteria;
+}
+
+/**
+ * WCAG success criteria an issue relates to, e.g. `['1.1.1']`
+ *
+ * HTML_CodeSniffer codes embed the criterion
+ * (`WCAG2AA.Principle1.Guideline1_1.1_1_1.H37`); axe rules are looked up by
+ * their tags. Best-practice rules have none.
+ */
+function issueCriteria(issue) {
+  if (issue.runner === 'axe') {
+    return getAxeCriteria().get(issue.code) || [];
+  }
+  const match = String(issue.code).match(/\.Guideline\d+_\d+\.(\d+)_(\d+)_(\d+)/);
+  return match ? [match.slice(1).join('.')] : [];
+}
+
+/**
+ * Resolve issue selectors to one path per element while the page is open
+ *
+ * Runners name the same element differently (a path that stops at an `#id`,
+ * a full `html > body > ...` path, a minimal axe target), so issues are
+ * matched by the element their selector finds. Resolves to a Map of selector
+ * => `html:nth-child(1) > ...` path; selectors that find nothing in the
+ * document, such as targets inside an iframe, are left out.
+ */
+async function resolveElementPaths(page, issues) {
+  const selectors = [...new Set(issues.map(issue => issue.selector).filter(Boolean))];
+  if (selectors.length === 0) {
+    return new Map();
+  }
+
+  const paths = await page.evaluate(selectors => selectors.map(selector => {
+    let element;
+    try {
+      element = document.querySelector(selector);
+    } catch (error) {
+      return null;
+    }
+    const parts = [];
+    for (; element; element = element.parentElement) {
+      const index = element.parentElement ? Array.from(element.parentElement.children).indexOf(element) + 1 : 1;
+      parts.unshift(`${element.tagName.toLowerCase()}:nth-child(${index})`);
+    }
+    return parts.length > 0 ? parts.join(' > ') : null;
+  }), selectors);
+
+  return new Map(selectors.map((selector, index) => [selector, paths[index]]).filter(([, path]) => path));
+}
+
+/**
+ * Merge findings from several runners
+ *
+ * Issues that flag the same element for the same WCAG criterion are reported
+ * once: the first runner's issue is kept with the most severe type, and the
+ * others are listed under `duplicates`. Every issue gets a `runners` list of
+ * the engines that reported it. Elements are compared through
+ * `elementPaths` (see resolveElementPaths), else by their raw selector.
+ */
+function mergeRunnerIssues(issues, elementPaths = new Map()) {
+  const merged = [];
+  const byElement = new Map();
+
+  issues.forEach(issue => {
+    const runner = issue.runner || 'htmlcs';
+    const element = elementPaths.get(issue.selector) || issue.selector;
+    const keys = element
+      ? issueCriteria(issue).map(criterion => `${element}\n${criterion}`)
+      : [];
+    const existing = keys.map(key => byElement.get(key)).find(Boolean);
+
+    if (existing && existing.runner !== runner) {
+      if (!existing.runners.includes(runner)) {
+        existing.runners.push(runner);
+      }
+      existing.duplicates.push({ runner, code: issue.code, type: issue.type, message: issue.message });
+      if ((TYPE_SEVERITY[issue.type] ?? 3) < (TYPE_SEVERITY[existing.type] ?? 3)) {
+        existing.type = issue.type;
+        existing.typeCode = issue.typeCode;
+      }
+      return;
+    }
+
+    const entry = { ...issue, runner, runners: [runner], duplicates: [] };
+    keys.forEach(key => {
+      if (!byElement.has(key)) {
+        byElement.set(key, entry);
+      }
+    });
+    merged.push(entry);
+  });
+
+  return merged;
+}
+
+module.exports = { RUNNERS, issueCriteria, resolveElementPaths, mergeRunnerIssues };
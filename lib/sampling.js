@@ -0,0 +1,214 @@
+const axios = require('axios');
+const { AuditError } = require('./errors');
+const { ConcurrencyLimiter } = require('./limiter');
+const { sitemapName } = require('./filters');
+const { basicAuth } = require('./auth');
+const { DESKTOP_USER_AGENT } = require('./viewports');
+
+const noop = () => {};
+
+const SAMPLE_MODES = ['sitemap', 'template'];
+
+// Body class prefixes that identify a WordPress template, most specific first
+const TEMPLATE_CLASS_PATTERNS = [
+  /^page-template-(?!default$).+/,
+  /^single-(?!format-).+/,
+  /^post-type-archive-.+/,
+  /^tax-.+/,
+  /^(category|tag|author|date|search|error404)$/,
+  /^(home|blog)$/,
+  /^page$/,
+  /^archive$/,
+];
+
+/**
+ * Fail early on an unknown sampling mode
+ */
+function assertSampleMode(mode) {
+  if (mode && !SAMPLE_MODES.includes(mode)) {
+    throw new AuditError('INVALID_SAMPLE_MODE', `Unknown sampling mode: ${mode} (supported: ${SAMPLE_MODES.join(', ')})`);
+  }
+}
+
+/**
+ * Group key for a sub-sitemap, ignoring pagination (post-sitemap2.xml and
+ * post-sitemap.xml are the same group)
+ */
+function sitemapGroupKey(sitemapUrl) {
+  if (!sitemapUrl) {
+    return 'unknown';
+  }
+  return sitemapName(sitemapUrl)
+    .replace(/\.xml(\.gz)?$/i, '')
+    .replace(/-?\d+$/, '') || 'unknown';
+}
+
+/**
+ * Detect the WordPress template from the page's body classes
+ */
+function detectTemplate(html) {
+  const match = String(html).match(/<body[^>]*\sclass\s*=\s*["']([^"']*)["']/i);
+  if (!match) {
+    return 'unknown';
+  }
+
+  const classes = match[1].split(/\s+/).filter(Boolean);
+  for (const pattern of TEMPLATE_CLASS_PATTERNS) {
+    const found = classes.find(cls => pattern.test(cls));
+    if (found) {
+      return found;
+    }
+  }
+  return 'unknown';
+}
+
+/**
+ * Pick up to n items spread evenly across the list
+ */
+function pickEvenly(list, n) {
+  if (list.length <= n) {
+    return list.slice();
+  }
+  const step = list.length / n;
+  return Array.from({ length: n }, (_, i) => list[Math.floor(i * step)]);
+}
+
+/**
+ * Fetch a page and detect its template
+ */
+async function probeTemplate(url, auth = null) {
+  try {
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': DESKTOP_USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml'
+      },
+      timeout: 30000,
+      maxRedirects: 5,
+      responseType: 'text',
+      ...(auth ? { auth } : {})
+    });
+    return detectTemplate(response.data);
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+/**
+ * Choose a representative sample of URLs
+ *
+ * `sitemap` mode takes SAMPLE_SIZE URLs per sub-sitemap. `template` mode
+ * fetches up to SAMPLE_PROBE_LIMIT pages per sub-sitemap, detects each page's
+ * template from its body classes and takes SAMPLE_SIZE URLs per template;
+ * template sizes are then estimated from the share of probed pages.
+ *
+ * Resolves to `{ mode, urls, groups }`; each group has a `key`, the
+ * (estimated) `total` number of URLs it stands for and the `sampled` URLs.
+ */
+async function sampleUrls(urls, sources, config, emit = noop) {
+  const mode = config.SAMPLE_MODE;
+  const auth = basicAuth(config);
+  assertSampleMode(mode);
+
+  // URLs per sub-sitemap, in sitemap order
+  const bySitemap = new Map();
+  urls.forEach(url => {
+    const key = sitemapGroupKey(sources[url]);
+    if (!bySitemap.has(key)) {
+      bySitemap.set(key, []);
+    }
+    bySitemap.get(key).push(url);
+  });
+
+  let groups;
+  if (mode === 'sitemap') {
+    groups = Array.from(bySitemap, ([key, members]) => ({
+      key,
+      total: members.length,
+      estimated: false,
+      sampled: pickEvenly(members, config.SAMPLE_SIZE)
+    }));
+  } else {
+    const limiter = new ConcurrencyLimiter(config.SAMPLE_PROBE_CONCURRENCY);
+    const templates = new Map();
+
+    for (const [sitemapKey, members] of bySitemap) {
+      const probed = pickEvenly(members, config.SAMPLE_PROBE_LIMIT);
+      emit('sample:probe', { sitemap: sitemapKey, probing: probed.length, total: members.length });
+      const detected = await Promise.all(probed.map(url => limiter.run(() => probeTemplate(url, auth))));
+
+      // Each probed page stands for an equal share of its sub-sitemap
+      const weight = members.length / probed.length;
+      probed.forEach((url, i) => {
+        const key = detected[i];
+        if (!templates.has(key)) {
+          templates.set(key, { key, total: 0, estimated: false, candidates: [] });
+        }
+        const group = templates.get(key);
+        group.total += weight;
+        group.estimated = group.estimated || weight !== 1;
+        group.candidates.push(url);
+      });
+    }
+
+    groups = Array.from(templates.values()).map(({ candidates, total, ...group }) => ({
+      ...group,
+      total: Math.round(total),
+      sampled: pickEvenly(candidates, config.SAMPLE_SIZE)
+    }));
+  }
+
+  const sampled = new Set(groups.flatMap(group => group.sampled));
+  return {
+    mode,
+    size: config.SAMPLE_SIZE,
+    population: urls.length,
+    // Keep the original URL order
+    urls: urls.filter(url => sampled.has(url)),
+    groups
+  };
+}
+
+/**
+ * Extrapolate sampled results to the URLs each sample group stands for
+ */
+function extrapolateCoverage(sampling, results) {
+  const byUrl = new Map(results.map(result => [result.url, result]));
+
+  const groups = sampling.groups.map(group => {
+    const checked = group.sampled
+      .map(url => byUrl.get(url))
+      .filter(result => result && result.status === 'success');
+    const issues = checked.reduce((sum, result) => sum + result.issues.length, 0);
+    const errors = checked.reduce((sum, result) => sum + result.issues.filter(i => i.type === 'error').length, 0);
+    const avgIssues = checked.length > 0 ? issues / checked.length : 0;
+
+    return {
+      key: group.key,
+      total: group.total,
+      estimated: group.estimated,
+      audited: checked.length,
+      avgIssues: Math.round(avgIssues * 10) / 10,
+      estimatedIssues: Math.round(avgIssues * group.total),
+      estimatedErrors: checked.length > 0 ? Math.round((errors / checked.length) * group.total) : 0
+    };
+  });
+
+  return {
+    audited: groups.reduce((sum, group) => sum + group.audited, 0),
+    population: sampling.population,
+    estimatedIssues: groups.reduce((sum, group) => sum + group.estimatedIssues, 0),
+    estimatedErrors: groups.reduce((sum, group) => sum + group.estimatedErrors, 0),
+    groups
+  };
+}
+
+module.exports = {
+  SAMPLE_MODES,
+  assertSampleMode,
+  sitemapGroupKey,
+  detectTemplate,
+  pickEvenly,
+  sampleUrls,
+  extrapolateCoverage,
+};
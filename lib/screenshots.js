@@ -0,0 +1,151 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Space around a flagged element in its cropped screenshot, in CSS pixels
+const CROP_PADDING = 24;
+
+// Outline drawn around the flagged element while it is captured
+const HIGHLIGHT = '4px solid #e74c3c';
+
+const noop = () => {};
+
+/**
+ * Screenshot options for an audit, or null when screenshots are disabled
+ *
+ * Each run writes to its own folder in SCREENSHOT_DIR, named after the run's
+ * start time so a resumed run keeps adding to the same folder.
+ */
+function createScreenshots(config, startedAt) {
+  if (!config.SCREENSHOTS) {
+    return null;
+  }
+  return {
+    dir: path.join(config.SCREENSHOT_DIR, startedAt.replace(/[:.]/g, '-')),
+    maxPerPage: config.SCREENSHOT_MAX_PER_PAGE,
+  };
+}
+
+/**
+ * Readable, unique folder name for a page's screenshots
+ */
+function pageFolder(url) {
+  const { pathname } = new URL(url);
+  const slug = pathname.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'home';
+  const hash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 8);
+  return `${slug}-${hash}`;
+}
+
+/**
+ * Screenshot one flagged element with some context around it, outlined
+ *
+ * Resolves to false when the element cannot be found or is not rendered
+ * (e.g. hidden at this viewport).
+ */
+async function captureElement(page, selector, filePath) {
+  let element;
+  try {
+    element = await page.$(selector);
+  } catch (error) {
+    // Selectors pa11y reports are not always valid for querySelector
+    return false;
+  }
+  if (!element) {
+    return false;
+  }
+
+  try {
+    const box = await element.evaluate((node, outline) => {
+      node.scrollIntoView({ block: 'center', inline: 'center' });
+      const rect = node.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) {
+        return null;
+      }
+      node.dataset.a11yAuditOutline = node.style.outline;
+      node.style.outline = outline;
+      return {
+        x: rect.left + window.scrollX,
+        y: rect.top + window.scrollY,
+        width: rect.width,
+        height: rect.height,
+        pageWidth: document.documentElement.scrollWidth,
+        pageHeight: document.documentElement.scrollHeight,
+      };
+    }, HIGHLIGHT);
+    if (!box) {
+      return false;
+    }
+
+    const x = Math.max(0, box.x - CROP_PADDING);
+    const y = Math.max(0, box.y - CROP_PADDING);
+    await page.screenshot({
+      path: filePath,
+      clip: {
+        x,
+        y,
+        width: Math.max(1, Math.min(box.x + box.width + CROP_PADDING, box.pageWidth) - x),
+        height: Math.max(1, Math.min(box.y + box.height + CROP_PADDING, box.pageHeight) - y),
+      },
+    });
+    return true;
+  } finally {
+    await element.evaluate(node => {
+      node.style.outline = node.dataset.a11yAuditOutline || '';
+      delete node.dataset.a11yAuditOutline;
+    }).catch(() => {});
+    await element.dispose().catch(() => {});
+  }
+}
+
+/**
+ * Capture a full-page screenshot and a cropped, highlighted screenshot of
+ * each flagged element while the checked page is still open
+ *
+ * Files go to `<dir>/<page folder>/`, prefixed with the viewport name. Sets
+ * `screenshot` on the issues that could be captured (issues on the same
+ * element share one file, and at most `maxPerPage` elements are captured) and
+ * resolves to the full-page screenshot's path. Paths are relative to the
+ * working directory, like `dir`. A screenshot that cannot be taken, the
+ * full page (e.g. too tall for the browser) or an element, emits
+ * `screenshot:failed` and is skipped; the full page then resolves to null.
+ */
+async function captureScreenshots(page, url, issues, { dir, viewport = 'desktop', maxPerPage = 50, emit = noop }) {
+  const folder = path.join(dir, pageFolder(url));
+  await fs.mkdir(folder, { recursive: true });
+
+  let pagePath = path.join(folder, `${viewport}-page.png`);
+  await page.screenshot({ path: pagePath, fullPage: true }).catch(error => {
+    emit('screenshot:failed', { url, viewport, selector: null, error: error.message });
+    pagePath = null;
+  });
+
+  const bySelector = new Map();
+  let captures = 0;
+  for (const issue of issues) {
+    if (!issue.selector) {
+      continue;
+    }
+    if (!bySelector.has(issue.selector)) {
+      if (captures >= maxPerPage) {
+        continue;
+      }
+      const filePath = path.join(folder, `${viewport}-element-${captures + 1}.png`);
+      const captured = await captureElement(page, issue.selector, filePath).catch(error => {
+        emit('screenshot:failed', { url, viewport, selector: issue.selector, error: error.message });
+        return false;
+      });
+      if (captured) {
+        captures++;
+      }
+      bySelector.set(issue.selector, captured ? filePath : null);
+    }
+    const screenshot = bySelector.get(issue.selector);
+    if (screenshot) {
+      issue.screenshot = screenshot;
+    }
+  }
+
+  return pagePath;
+}
+
+module.exports = { createScreenshots, pageFolder, captureScreenshots };
@@ -0,0 +1,208 @@
+const zlib = require('zlib');
+const axios = require('axios');
+const xml2js = require('xml2js');
+const { delay } = require('./utils');
+
+const noop = () => {};
+
+// Request headers used for every sitemap and robots.txt fetch
+const XML_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  'Accept': 'application/xml, text/xml, */*',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Cache-Control': 'no-cache',
+  'Pragma': 'no-cache'
+};
+
+/**
+ * Whether a sitemap body is gzip-compressed, judged by the gzip magic bytes
+ *
+ * A `.gz` extension or a gzip content type is only a hint: a `.xml.gz` served
+ * with `Content-Encoding: gzip` arrives already inflated by axios.
+ */
+function isGzipped(buffer) {
+  return buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+/**
+ * Fetch a sitemap as text, decompressing .xml.gz files
+ *
+ * Only the file itself is handled here; gzip transfer encoding is already
+ * undone by axios.
+ */
+async function fetchSitemapText(url, { timeout = 30000, auth = null } = {}) {
+  const response = await axios.get(url, {
+    headers: XML_HEADERS,
+    timeout,
+    maxRedirects: 5,
+    responseType: 'arraybuffer',
+    ...(auth ? { auth } : {})
+  });
+
+  let buffer = Buffer.from(response.data);
+  if (isGzipped(buffer)) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+  return buffer.toString('utf8');
+}
+
+/**
+ * Fetch and parse XML content with retry
+ */
+async function fetchXML(url, retries = 2, emit = noop, auth = null) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const xml = await fetchSitemapText(url, { auth });
+      const parser = new xml2js.Parser();
+      return await parser.parseStringPromise(xml);
+    } catch (error) {
+      if (attempt < retries) {
+        const delayMs = 1000 * (attempt + 1);
+        emit('sitemap:retry', { url, attempt: attempt + 1, retries, delay: delayMs });
+        await delay(delayMs);
+      } else {
+        emit('sitemap:error', { url, error: error.message });
+        return null;
+      }
+    }
+  }
+}
+
+/**
+ * Extract all URLs from a sitemap
+ */
+function extractUrlsFromSitemap(sitemapData) {
+  const urls = [];
+
+  if (sitemapData?.urlset?.url) {
+    // Regular sitemap
+    sitemapData.urlset.url.forEach(urlItem => {
+      if (urlItem.loc && urlItem.loc[0]) {
+        urls.push(urlItem.loc[0]);
+      }
+    });
+  }
+
+  return urls;
+}
+
+/**
+ * Get all sitemaps from sitemap index
+ */
+function getSitemapsFromIndex(indexData) {
+  const sitemaps = [];
+
+  if (indexData?.sitemapindex?.sitemap) {
+    indexData.sitemapindex.sitemap.forEach(sitemapItem => {
+      if (sitemapItem.loc && sitemapItem.loc[0]) {
+        sitemaps.push(sitemapItem.loc[0]);
+      }
+    });
+  }
+
+  return sitemaps;
+}
+
+/**
+ * Walk a sitemap and every nested sitemap index below it
+ *
+ * Children are visited depth-first in document order, each sitemap at most
+ * once, and nothing deeper than `maxDepth` levels below the root is fetched.
+ * Resolves to the unique page URLs, the sitemap each URL was first found in,
+ * and one entry per sitemap with its type and URL count.
+ */
+async function crawlSitemaps(sitemapUrl, { maxDepth = 5, auth = null, emit = noop } = {}) {
+  const allUrls = new Set(); // Use Set to automatically handle duplicates
+  const sources = {};
+  const sitemaps = [];
+  const visited = new Set();
+
+  // A sitemap that cannot be read fails on its own, not the whole walk
+  const visit = async (url, depth, parent) => {
+    try {
+      await visitSitemap(url, depth, parent);
+    } catch (error) {
+      sitemaps.push({ url, parent, depth, type: 'failed', count: 0 });
+      emit(depth === 0 ? 'sitemap:index:failed' : 'sitemap:failed', { url, depth, error: error.message });
+    }
+  };
+
+  const visitSitemap = async (url, depth, parent) => {
+    const key = url.replace(/#.*$/, '');
+    if (visited.has(key)) {
+      sitemaps.push({ url, parent, depth, type: 'skipped', reason: 'duplicate', count: 0 });
+      emit('sitemap:skipped', { url, depth, reason: 'duplicate' });
+      return;
+    }
+    if (depth > maxDepth) {
+      sitemaps.push({ url, parent, depth, type: 'skipped', reason: 'depth', count: 0 });
+      emit('sitemap:skipped', { url, depth, reason: 'depth' });
+      return;
+    }
+    visited.add(key);
+
+    const isRoot = depth === 0;
+    emit(isRoot ? 'sitemap:index' : 'sitemap:fetch', { url, depth });
+    const data = await fetchXML(url, 2, emit, auth);
+    if (!data) {
+      sitemaps.push({ url, parent, depth, type: 'failed', count: 0 });
+      emit(isRoot ? 'sitemap:index:failed' : 'sitemap:failed', { url, depth });
+      return;
+    }
+
+    const children = getSitemapsFromIndex(data);
+    const urls = extractUrlsFromSitemap(data);
+    const entry = {
+      url,
+      parent,
+      depth,
+      type: children.length > 0 || data.sitemapindex ? 'index' : 'urlset',
+      count: urls.length
+    };
+    if (children.length > 0) {
+      entry.sitemaps = children.length;
+    }
+    sitemaps.push(entry);
+
+    urls.forEach(pageUrl => {
+      if (!allUrls.has(pageUrl)) {
+        allUrls.add(pageUrl);
+        sources[pageUrl] = url;
+      }
+    });
+
+    if (isRoot) {
+      emit('sitemap:index:done', { url, depth, sitemaps: children, count: urls.length });
+    } else {
+      emit('sitemap:fetched', { url, depth, type: entry.type, count: urls.length, sitemaps: children });
+    }
+
+    // Fetch each nested sitemap and extract URLs
+    for (const childUrl of children) {
+      await visit(childUrl, depth + 1, url);
+    }
+  };
+
+  await visit(sitemapUrl, 0, null);
+
+  return { urls: Array.from(allUrls), sources, sitemaps };
+}
+
+/**
+ * Fetch all URLs from the WordPress site
+ */
+async function getAllUrls(sitemapUrl, emit = noop, options = {}) {
+  const { urls } = await crawlSitemaps(sitemapUrl, { ...options, emit });
+  return urls;
+}
+
+module.exports = {
+  XML_HEADERS,
+  isGzipped,
+  fetchSitemapText,
+  fetchXML,
+  extractUrlsFromSitemap,
+  getSitemapsFromIndex,
+  crawlSitemaps,
+  getAllUrls,
+};
@@ -0,0 +1,39 @@
+
+// pa11y standards and how the report names them
+const STANDARDS = {
+  WCAG2A: 'WCAG 2.1 Level A',
+  WCAG2AA: 'WCAG 2.1 Level AA',
+  WCAG2AAA: 'WCAG 2.1 Level AAA',
+};
+
+// Issue levels pa11y reports; errors are always included
+const ISSUE_LEVELS = ['error', 'warning', 'notice'];
+
+/**
+ * Drop the standard prefix from an HTML_CodeSniffer code, so an ignore rule
+ * applies whichever standard is tested
+ */
+function stripStandard(code) {
+  return String(code).replace(/^WCAG2A{1,3}\./, '');
+}
+
+/**
+ * Whether an issue code is on the ignore list, exactly or by prefix (e.g.
+ * `WCAG2AA.Principle1.Guideline1_4.1_4_3` ignores every 1.4.3 technique)
+ */
+function isIgnored(code, ignore) {
+  const target = stripStandard(code);
+  return (ignore || []).some(rule => {
+    const prefix = stripStandard(rule);
+    return target === prefix || target.startsWith(prefix + '.');
+  });
+}
+
+/**
+ * Describe what an audit tested, for report headers
+ */
+function describeStandard(standard) {
+  return STANDARDS[standard] ? `${STANDARDS[standard]} (${standard})` : (standard || STANDARDS.WCAG2AA);
+}
+
+module.exports = { STANDARDS, ISSUE_LEVELS, isIgnored, describeStandard };
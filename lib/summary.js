@@ -0,0 +1,55 @@
+/**
+ * Count issues by type (error, warning, notice)
+ */
+function countIssuesByType(results) {
+  const issuesByType = {
+    error: 0,
+    warning: 0,
+    notice: 0
+  };
+
+  results.forEach(result => {
+    result.issues.forEach(issue => {
+      issuesByType[issue.type] = (issuesByType[issue.type] || 0) + 1;
+    });
+  });
+
+  return issuesByType;
+}
+
+/**
+ * Totals per viewport profile: pages checked and failed, and issues found
+ */
+function summarizeViewports(results) {
+  const viewports = {};
+  results.forEach(result => {
+    (result.viewports || []).forEach(viewport => {
+      const totals = viewports[viewport.name] || (viewports[viewport.name] = { checked: 0, failed: 0, issues: 0 });
+      if (viewport.status === 'success') {
+        totals.checked++;
+        totals.issues += viewport.issues;
+      } else {
+        totals.failed++;
+      }
+    });
+  });
+  return viewports;
+}
+
+/**
+ * Build the aggregate statistics shown in the report and console summary
+ */
+function summarizeResults(results) {
+  return {
+    pagesScanned: results.length,
+    successfulChecks: results.filter(r => r.status === 'success').length,
+    failedChecks: results.filter(r => r.status === 'error').length,
+    retriedChecks: results.filter(r => r.attempts > 1).length,
+    totalIssues: results.reduce((sum, r) => sum + r.issues.length, 0),
+    issuesByType: countIssuesByType(results),
+    viewports: summarizeViewports(results),
+    mobileOnlyIssues: results.reduce((sum, r) => sum + r.issues.filter(issue => issue.mobileOnly).length, 0),
+  };
+}
+
+module.exports = { countIssuesByType, summarizeViewports, summarizeResults };
@@ -0,0 +1,199 @@
+const { delay } = require('./utils');
+
+const noop = () => {};
+
+// Statuses that mean the host wants us to slow down
+const THROTTLE_STATUSES = [429, 503];
+
+// First delay between page loads once a host pushes back
+const INITIAL_BACKOFF = 1000;
+
+// Healthy page loads in a row before the delay is halved again
+const RECOVERY_STREAK = 3;
+
+/**
+ * Parse a `Retry-After` header (seconds, or an HTTP date) into milliseconds
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Error for a page that answered with a throttling status instead of content
+ */
+function throttledError(url, status) {
+  const error = new Error(`HTTP ${status} ${status === 429 ? 'Too Many Requests' : 'Service Unavailable'} from ${url}`);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Track the status of a page's main document while it loads, so a throttled
+ * or refused page is not audited as if it were the real content
+ *
+ * `onResponse(response, isDocument)` sees every response. Returns
+ * `{ status(), stop() }`; redirects are skipped, so `status()` is the status
+ * of the page finally shown.
+ */
+function watchDocument(page, onResponse = noop) {
+  let documentStatus = null;
+  const listener = response => {
+    const request = response.request();
+    const status = response.status();
+    const isDocument = request.isNavigationRequest() && request.frame() === page.mainFrame();
+    if (isDocument && (status < 300 || status >= 400)) {
+      documentStatus = status;
+    }
+    onResponse(response, isDocument);
+  };
+
+  page.on('response', listener);
+  return {
+    status: () => documentStatus,
+    stop: () => page.removeListener('response', listener),
+  };
+}
+
+/**
+ * Adaptive per-host rate limiting for page loads
+ *
+ * The main document of every page load is reported to `observe()`. A 429
+ * or 503 doubles the delay between page loads on that host (starting at one
+ * second, up to `maxDelay`) and a `Retry-After` header holds the host for
+ * that long (up to `maxRetryAfter`). After a few healthy page loads in a row
+ * the delay is halved again, until it is gone. `wait(url)` is called before
+ * each page load.
+ *
+ * Emits `throttle:slowdown` and `throttle:recovered` through `emit`.
+ */
+class HostThrottle {
+  constructor({ maxDelay = 60000, maxRetryAfter = 300000, emit = noop } = {}) {
+    this.maxDelay = maxDelay;
+    this.maxRetryAfter = maxRetryAfter;
+    this.emit = emit;
+    this.hosts = new Map();
+  }
+
+  host(url) {
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      host = String(url);
+    }
+
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        host,
+        delay: 0,
+        until: 0,
+        nextStart: 0,
+        streak: 0,
+        slowdowns: 0,
+        statuses: {},
+        retryAfter: 0,
+        maxDelay: 0,
+        waited: 0,
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Wait until the URL's host may be loaded again
+   */
+  async wait(url) {
+    const state = this.host(url);
+    let now = Date.now();
+    const start = Math.max(now, state.until, state.nextStart);
+    state.nextStart = start + state.delay;
+
+    let waitFor = start - now;
+    while (waitFor > 0) {
+      state.waited += waitFor;
+      await delay(waitFor);
+      // A Retry-After that arrived meanwhile holds this load too
+      now = Date.now();
+      waitFor = state.until - now;
+    }
+  }
+
+  /**
+   * Record a response status (and its Retry-After header) for a host
+   */
+  observe(url, status, retryAfter) {
+    const state = this.host(url);
+
+    if (THROTTLE_STATUSES.includes(status)) {
+      state.streak = 0;
+      state.slowdowns++;
+      state.statuses[status] = (state.statuses[status] || 0) + 1;
+      state.delay = Math.min(this.maxDelay, Math.max(INITIAL_BACKOFF, state.delay * 2));
+      state.maxDelay = Math.max(state.maxDelay, state.delay);
+
+      const hold = parseRetryAfter(retryAfter);
+      if (hold !== null) {
+        state.retryAfter++;
+        state.until = Math.max(state.until, Date.now() + Math.min(hold, this.maxRetryAfter));
+      }
+      this.emit('throttle:slowdown', { host: state.host, status, delay: state.delay, retryAfter: hold });
+      return;
+    }
+
+    if (status < 400 && state.delay > 0 && ++state.streak >= RECOVERY_STREAK) {
+      state.streak = 0;
+      state.delay = state.delay / 2 < INITIAL_BACKOFF ? 0 : Math.round(state.delay / 2);
+      if (state.delay === 0) {
+        this.emit('throttle:recovered', { host: state.host });
+      }
+    }
+  }
+
+  /**
+   * Watch a page while it loads and report its main document, after any
+   * redirects, to `observe()` once
+   *
+   * Assets are left out: a page with many images behind a rate-limited CDN
+   * would otherwise count as many slowdowns, and its healthy assets as a
+   * recovery of the host.
+   */
+  watch(page) {
+    let observed = false;
+    return watchDocument(page, (response, isDocument) => {
+      const status = response.status();
+      if (!isDocument || observed || (status >= 300 && status < 400)) {
+        return;
+      }
+      observed = true;
+      this.observe(response.url(), status, response.headers()['retry-after']);
+    });
+  }
+
+  /**
+   * How often each host pushed back, for the report
+   */
+  summary() {
+    const hosts = [...this.hosts.values()]
+      .filter(state => state.slowdowns > 0)
+      .map(({ host, slowdowns, statuses, retryAfter, maxDelay, waited }) => ({
+        host, slowdowns, statuses, retryAfter, maxDelay, waited,
+      }));
+
+    return {
+      slowdowns: hosts.reduce((sum, state) => sum + state.slowdowns, 0),
+      waited: hosts.reduce((sum, state) => sum + state.waited, 0),
+      hosts,
+    };
+  }
+}
+
+module.exports = { THROTTLE_STATUSES, HostThrottle, parseRetryAfter, throttledError, watchDocument };
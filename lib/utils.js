@@ -0,0 +1,19 @@
+/**
+ * Delay helper function
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Extract the hostname from a URL, falling back to the input itself
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return url;
+  }
+}
+
+module.exports = { delay, getDomain };
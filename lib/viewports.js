@@ -0,0 +1,169 @@
+const { AuditError } = require('./errors');
+const { issueFingerprint } = require('./fingerprint');
+
+const DESKTOP_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Built-in viewport profiles; the config file can add more or override these
+const VIEWPORT_PROFILES = {
+  mobile: {
+    width: 375,
+    height: 812,
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    isLandscape: false,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.1 Mobile/15E148 Safari/604.1',
+  },
+  tablet: {
+    width: 768,
+    height: 1024,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    isLandscape: false,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 14_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.1 Mobile/15E148 Safari/604.1',
+  },
+  desktop: {
+    width: 1280,
+    height: 1024,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    isLandscape: false,
+    userAgent: DESKTOP_USER_AGENT,
+  },
+};
+
+/**
+ * Check a custom viewport profile from the config file, filling in the
+ * optional fields
+ */
+function normalizeProfile(name, profile) {
+  const problem = message => new AuditError('INVALID_VIEWPORT', `Viewport profile ${name} ${message}`);
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw problem('must be an object');
+  }
+  ['width', 'height'].forEach(key => {
+    if (!Number.isInteger(profile[key]) || profile[key] < 1) {
+      throw problem(`needs a ${key} in pixels, got ${JSON.stringify(profile[key])}`);
+    }
+  });
+  const { deviceScaleFactor = 1, isMobile = false, hasTouch = isMobile, isLandscape = false, userAgent } = profile;
+  if (typeof deviceScaleFactor !== 'number' || deviceScaleFactor <= 0) {
+    throw problem(`deviceScaleFactor must be a number > 0, got ${JSON.stringify(deviceScaleFactor)}`);
+  }
+  [['isMobile', isMobile], ['hasTouch', hasTouch], ['isLandscape', isLandscape]].forEach(([key, value]) => {
+    if (typeof value !== 'boolean') {
+      throw problem(`${key} must be true or false, got ${JSON.stringify(value)}`);
+    }
+  });
+  if (userAgent !== undefined && typeof userAgent !== 'string') {
+    throw problem(`userAgent must be a string, got ${JSON.stringify(userAgent)}`);
+  }
+
+  return {
+    width: profile.width,
+    height: profile.height,
+    deviceScaleFactor,
+    isMobile,
+    hasTouch,
+    isLandscape,
+    userAgent: userAgent || (isMobile ? VIEWPORT_PROFILES.mobile.userAgent : DESKTOP_USER_AGENT),
+  };
+}
+
+/**
+ * The viewport profiles an audit checks each URL under, in order, as
+ * `{ name, width, height, deviceScaleFactor, isMobile, hasTouch,
+ * isLandscape, userAgent }`. Fails early on unknown or invalid profiles.
+ */
+function resolveViewports(config) {
+  const custom = {};
+  Object.entries(config.VIEWPORT_PROFILES || {}).forEach(([name, profile]) => {
+    custom[name] = normalizeProfile(name, profile);
+  });
+  const profiles = { ...VIEWPORT_PROFILES, ...custom };
+
+  const names = config.VIEWPORTS || [];
+  const unknown = names.filter(name => !profiles[name]);
+  if (names.length === 0 || unknown.length > 0) {
+    throw new AuditError(
+      'INVALID_VIEWPORT',
+      `Unknown viewport profile: ${unknown.join(', ') || '(none)'} (available: ${Object.keys(profiles).join(', ')})`
+    );
+  }
+  return [...new Set(names)].map(name => ({ name, ...profiles[name] }));
+}
+
+/**
+ * Combine the checks of one URL under several viewports into one result
+ *
+ * Issues found under more than one viewport (same code, element and context)
+ * are reported once; every issue gets a `viewports` list of the profiles it
+ * was found under, and `mobileOnly` when it was found under mobile viewports
+ * only while a desktop viewport was checked too. The result is a success when
+ * any viewport could be checked; `viewports` holds the outcome per profile,
+ * and `screenshot` is the full-page screenshot of the first profile checked.
+ */
+function mergeViewportResults(url, checks) {
+  const succeeded = checks.filter(({ result }) => result.status === 'success');
+  const mobile = new Set(checks.filter(({ viewport }) => viewport.isMobile).map(({ viewport }) => viewport.name));
+  const desktopChecked = succeeded.some(({ viewport }) => !viewport.isMobile);
+
+  const issues = [];
+  const byKey = new Map();
+  succeeded.forEach(({ viewport, result }) => {
+    // Identical issues on one page are kept apart by their occurrence
+    const occurrences = new Map();
+    result.issues.forEach(issue => {
+      const fingerprint = issueFingerprint(url, issue);
+      const occurrence = (occurrences.get(fingerprint) || 0) + 1;
+      occurrences.set(fingerprint, occurrence);
+      const key = `${fingerprint}#${occurrence}`;
+
+      const existing = byKey.get(key);
+      if (existing) {
+        existing.viewports.push(viewport.name);
+        existing.screenshot = existing.screenshot || issue.screenshot;
+        return;
+      }
+      const entry = { ...issue, viewports: [viewport.name] };
+      byKey.set(key, entry);
+      issues.push(entry);
+    });
+  });
+  issues.forEach(issue => {
+    issue.mobileOnly = desktopChecked && issue.viewports.every(name => mobile.has(name));
+  });
+
+  const failed = checks.filter(({ result }) => result.status !== 'success');
+  const merged = {
+    url,
+    issues,
+    status: succeeded.length > 0 ? 'success' : 'error',
+    documentTitle: succeeded.length > 0 ? succeeded[0].result.documentTitle : url,
+    screenshot: succeeded.length > 0 ? succeeded[0].result.screenshot || null : null,
+    attempts: Math.max(...checks.map(({ result }) => result.attempts)),
+    viewports: checks.map(({ viewport, result }) => ({
+      name: viewport.name,
+      width: viewport.width,
+      height: viewport.height,
+      isMobile: viewport.isMobile,
+      status: result.status,
+      issues: result.issues.length,
+      attempts: result.attempts,
+      screenshot: result.screenshot || null,
+      ...(result.status === 'success' ? {} : { error: result.error }),
+    })),
+  };
+  if (succeeded.length === 0) {
+    merged.error = checks.length === 1
+      ? failed[0].result.error
+      : failed.map(({ viewport, result }) => `${viewport.name}: ${result.error}`).join('; ');
+    merged.isRetryable = failed.some(({ result }) => result.isRetryable);
+  }
+  return merged;
+}
+
+module.exports = { VIEWPORT_PROFILES, DESKTOP_USER_AGENT, resolveViewports, mergeViewportResults };
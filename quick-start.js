@@ -15,25 +15,32 @@ console.log(chalk.gray('  node audit.js example.com'));
 console.log(chalk.gray('  node audit.js https://example.com\n'));
 
 console.log(chalk.white('Run and open report:'));
-console.log(chalk.gray('  node audit-and-open.js example.com\n'));
+console.log(chalk.gray('  node audit.js example.com --open\n'));
 
 console.log(chalk.white('Maximum reliability mode (slower but more stable):'));
-console.log(chalk.gray('  node run-reliable-audit.js example.com\n'));
+console.log(chalk.gray('  npm run audit:reliable -- example.com\n'));
 
 console.log(chalk.white('With custom settings:'));
-console.log(chalk.gray('  PA11Y_MAX_CONCURRENT=5 PA11Y_PAGE_TIMEOUT=90000 node audit.js example.com\n'));
+console.log(chalk.gray('  node audit.js example.com --max-concurrent=5 --page-timeout=90000\n'));
+
+console.log(chalk.white('Other commands:'));
+console.log(chalk.gray('  node audit.js discover example.com        List the URLs without checking them'));
+console.log(chalk.gray('  node audit.js report report.json          Re-render the reports from saved results'));
+console.log(chalk.gray('  node audit.js diff old.json report.json   Compare two runs'));
+console.log(chalk.gray('  node audit.js open                        Open report.html in the browser'));
+console.log(chalk.gray('  node audit.js --help                      All commands and options\n'));
 
 console.log(chalk.green('The tool will automatically:'));
 console.log(chalk.gray('  ✓ Add https:// if not provided'));
-console.log(chalk.gray('  ✓ Find the sitemap at /sitemap_index.xml'));
+console.log(chalk.gray('  ✓ Find the sitemap via robots.txt or the standard WordPress locations'));
 console.log(chalk.gray('  ✓ Scan all pages in the sitemap'));
 console.log(chalk.gray('  ✓ Generate an HTML report (report.html)\n'));
 
-console.log(chalk.yellow('Common WordPress sitemap locations:'));
-console.log(chalk.gray('  • /sitemap_index.xml (default)'));
-console.log(chalk.gray('  • /sitemap.xml'));
+console.log(chalk.yellow('Sitemap locations tried automatically (in order):'));
+console.log(chalk.gray('  • Sitemap: entries in /robots.txt'));
 console.log(chalk.gray('  • /wp-sitemap.xml (WordPress 5.5+)'));
-console.log(chalk.gray('  • /sitemap_index.xml (Yoast SEO)\n'));
+console.log(chalk.gray('  • /sitemap_index.xml (Yoast SEO, Rank Math)'));
+console.log(chalk.gray('  • /sitemap.xml (All in One SEO)\n'));
 
 console.log(chalk.white('If the sitemap is in a non-standard location:'));
 console.log(chalk.gray('  node audit.js https://example.com/custom-sitemap.xml\n'));
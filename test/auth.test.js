@@ -0,0 +1,132 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { basicAuth, loginUrl, isLoginPage, parseCookieFile, loadCookieJar, sessionHeaders } = require('../lib/auth');
+
+const FUTURE = Math.floor(Date.now() / 1000) + 86400;
+const PAST = Math.floor(Date.now() / 1000) - 86400;
+
+describe('basicAuth and loginUrl', () => {
+  it('needs both a user name and a password for basic auth', () => {
+    assert.deepStrictEqual(basicAuth({ BASIC_AUTH_USER: 'u', BASIC_AUTH_PASSWORD: 'p' }), { username: 'u', password: 'p' });
+    assert.strictEqual(basicAuth({ BASIC_AUTH_USER: 'u', BASIC_AUTH_PASSWORD: null }), null);
+  });
+
+  it('resolves the login page against the site and its install path', () => {
+    assert.strictEqual(loginUrl({ LOGIN_URL: null }, 'https://a.test'), 'https://a.test/wp-login.php');
+    assert.strictEqual(loginUrl({ LOGIN_URL: null }, 'https://a.test/blog'), 'https://a.test/blog/wp-login.php');
+    assert.strictEqual(loginUrl({ LOGIN_URL: null }, 'https://a.test/blog/'), 'https://a.test/blog/wp-login.php');
+    assert.strictEqual(loginUrl({ LOGIN_URL: null }, 'https://a.test/blog/sitemap_index.xml'), 'https://a.test/blog/wp-login.php');
+    assert.strictEqual(loginUrl({ LOGIN_URL: '/members/login/' }, 'https://a.test/blog'), 'https://a.test/members/login/');
+    assert.strictEqual(loginUrl({ LOGIN_URL: 'https://sso.test/login' }, 'https://a.test/'), 'https://sso.test/login');
+  });
+});
+
+describe('isLoginPage', () => {
+  it('recognises wp-login.php with any query', () => {
+    assert.ok(isLoginPage('https://a.test/wp-login.php?redirect_to=%2Fshop%2F'));
+    assert.ok(isLoginPage('https://a.test/blog/wp-login.php'));
+    assert.ok(!isLoginPage('https://a.test/wp-login.php.html'));
+  });
+
+  it('recognises a moved login page by its path', () => {
+    assert.ok(isLoginPage('https://a.test/members/login/?next=1', 'https://a.test/members/login/'));
+    assert.ok(!isLoginPage('https://a.test/members/', 'https://a.test/members/login/'));
+  });
+
+  it('is false for unparseable URLs', () => {
+    assert.strictEqual(isLoginPage('not a url'), false);
+  });
+});
+
+describe('parseCookieFile', () => {
+  it('normalises a JSON export', () => {
+    const content = JSON.stringify({
+      cookies: [{ name: 'sid', value: 42, domain: '.a.test', expirationDate: FUTURE, sameSite: 'no_restriction' }],
+    });
+    assert.deepStrictEqual(parseCookieFile(content, 'cookies.json'), [{
+      name: 'sid', value: '42', path: '/', expires: FUTURE, httpOnly: false, secure: false, domain: '.a.test',
+    }]);
+  });
+
+  it('reads a Netscape cookies.txt file, including #HttpOnly_ lines', () => {
+    const content = [
+      '# Netscape HTTP Cookie File',
+      '',
+      `.a.test\tTRUE\t/\tTRUE\t${FUTURE}\twordpress_logged_in_abc\tadmin%7C123`,
+      '#HttpOnly_a.test\tFALSE\t/wp-admin\tFALSE\t0\twordpress_sec_abc\tsecret',
+    ].join('\r\n');
+    assert.deepStrictEqual(parseCookieFile(content, 'cookies.txt'), [
+      { name: 'wordpress_logged_in_abc', value: 'admin%7C123', domain: '.a.test', path: '/', expires: FUTURE, httpOnly: false, secure: true },
+      { name: 'wordpress_sec_abc', value: 'secret', domain: 'a.test', path: '/wp-admin', expires: -1, httpOnly: true, secure: false },
+    ]);
+  });
+
+  it('rejects files that are neither format', () => {
+    assert.throws(() => parseCookieFile('{"cookies": 1}', 'c.json'), { code: 'INVALID_COOKIES' });
+    assert.throws(() => parseCookieFile('[{"value": "x"}]', 'c.json'), { code: 'INVALID_COOKIES' });
+    assert.throws(() => parseCookieFile('[not json', 'c.json'), { code: 'INVALID_COOKIES' });
+    assert.throws(() => parseCookieFile('sid=abc; path=/', 'c.txt'), { code: 'INVALID_COOKIES' });
+  });
+});
+
+describe('loadCookieJar', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-cookies-'));
+  });
+
+  afterEach(() => {
+    (fs.rmSync || fs.rmdirSync)(dir, { recursive: true });
+  });
+
+  const write = cookies => {
+    const filePath = path.join(dir, 'cookies.json');
+    fs.writeFileSync(filePath, JSON.stringify(cookies));
+    return filePath;
+  };
+
+  it('drops expired cookies and binds cookies without a domain to the site', async () => {
+    const filePath = write([
+      { name: 'old', value: '1', domain: 'a.test', expires: PAST },
+      { name: 'sid', value: '2', expires: FUTURE },
+      { name: 'session', value: '3', domain: 'a.test' },
+    ]);
+    const cookies = await loadCookieJar(filePath, 'https://a.test/');
+    assert.deepStrictEqual(cookies.map(cookie => [cookie.name, cookie.url || cookie.domain]), [
+      ['sid', 'https://a.test/'],
+      ['session', 'a.test'],
+    ]);
+  });
+
+  it('tells an empty jar from an expired one', async () => {
+    await assert.rejects(loadCookieJar(write([]), 'https://a.test/'), { code: 'INVALID_COOKIES' });
+    await assert.rejects(loadCookieJar(write([{ name: 'old', value: '1', expires: PAST }]), 'https://a.test/'), { code: 'COOKIES_EXPIRED' });
+    await assert.rejects(loadCookieJar(path.join(dir, 'missing.json'), 'https://a.test/'), { code: 'COOKIES_UNREADABLE' });
+  });
+});
+
+describe('sessionHeaders', () => {
+  const session = {
+    basic: { username: 'staging', password: 'pass' },
+    cookies: [
+      { name: 'sub', value: '1', domain: '.a.test' },
+      { name: 'host', value: '2', url: 'https://a.test/' },
+      { name: 'other', value: '3', domain: 'b.test' },
+    ],
+  };
+
+  it('sends basic auth and the cookies of the page host', () => {
+    assert.deepStrictEqual(sessionHeaders(session, 'https://a.test/shop/'), {
+      Authorization: `Basic ${Buffer.from('staging:pass').toString('base64')}`,
+      Cookie: 'sub=1; host=2',
+    });
+  });
+
+  it('matches subdomains of a cookie domain only', () => {
+    assert.deepStrictEqual(sessionHeaders({ basic: null, cookies: session.cookies }, 'https://www.a.test/'), { Cookie: 'sub=1' });
+    assert.deepStrictEqual(sessionHeaders({ basic: null, cookies: session.cookies }, 'https://nota.test/'), {});
+  });
+});
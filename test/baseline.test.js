@@ -0,0 +1,54 @@
+const assert = require('assert');
+const { normalizeContext, issueFingerprint } = require('../lib/fingerprint');
+const { compareWithBaseline, onlyNewIssues } = require('../lib/baseline');
+const { issue, page, failed } = require('./helpers');
+
+describe('issueFingerprint', () => {
+  it('ignores whitespace, case and asset versions in the context', () => {
+    assert.strictEqual(
+      normalizeContext('<link  href="style.css?ver=6.4.1" >\n'),
+      normalizeContext('<LINK href="style.css?ver=6.5">')
+    );
+    assert.strictEqual(
+      issueFingerprint('https://a.test/', issue('X', { context: '<script src="a.js?v=1&_wpnonce=abc">' })),
+      issueFingerprint('https://a.test/', issue('X', { context: '<script src="a.js?v=2&_wpnonce=def">' }))
+    );
+  });
+
+  it('tells apart issues on different pages, codes and elements', () => {
+    const base = issueFingerprint('https://a.test/', issue('X'));
+    assert.notStrictEqual(issueFingerprint('https://a.test/b/', issue('X')), base);
+    assert.notStrictEqual(issueFingerprint('https://a.test/', issue('Y')), base);
+    assert.notStrictEqual(issueFingerprint('https://a.test/', issue('X', { selector: 'header p' })), base);
+  });
+});
+
+describe('compareWithBaseline', () => {
+  it('sorts issues into new, fixed, persisting and unverified', () => {
+    const baseline = {
+      site: 'a.test',
+      results: [
+        page('https://a.test/', [issue('KEPT'), issue('FIXED')]),
+        page('https://a.test/down/', [issue('UNKNOWN')]),
+      ],
+    };
+    const results = [
+      page('https://a.test/', [issue('KEPT'), issue('ADDED')]),
+      failed('https://a.test/down/'),
+    ];
+
+    const delta = compareWithBaseline(results, baseline);
+    assert.deepStrictEqual(delta.counts, { new: 1, fixed: 1, persisting: 1, unverified: 1 });
+    assert.strictEqual(delta.new[0].issue.code, 'ADDED');
+    assert.strictEqual(delta.fixed[0].issue.code, 'FIXED');
+    assert.strictEqual(delta.unverified[0].url, 'https://a.test/down/');
+    assert.deepStrictEqual(results[0].issues.map(i => i.baseline), ['persisting', 'new']);
+  });
+
+  it('counts repeated identical issues one by one', () => {
+    const baseline = { results: [page('https://a.test/', [issue('X')])] };
+    const results = [page('https://a.test/', [issue('X'), issue('X')])];
+    assert.deepStrictEqual(compareWithBaseline(results, baseline).counts, { new: 1, fixed: 0, persisting: 1, unverified: 0 });
+    assert.deepStrictEqual(onlyNewIssues(results)[0].issues.map(i => i.baseline), ['new']);
+  });
+});
@@ -0,0 +1,128 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const puppeteer = require('puppeteer');
+const { BrowserPool, isBrowserCrash } = require('../lib/browser-pool');
+
+/**
+ * A browser that opens pages until it is closed
+ */
+function fakeBrowser() {
+  const browser = new EventEmitter();
+  browser.closed = false;
+  browser.isConnected = () => !browser.closed;
+  browser.process = () => null;
+  browser.close = async () => {
+    browser.closed = true;
+  };
+  browser.newPage = async () => {
+    if (browser.closed) {
+      throw new Error('Protocol error (Target.createTarget): Target closed.');
+    }
+    let closed = false;
+    return { isClosed: () => closed, close: async () => { closed = true; } };
+  };
+  return browser;
+}
+
+describe('BrowserPool', () => {
+  let launch;
+  let launched;
+  let events;
+
+  const pool = options => new BrowserPool({ ...options, emit: (event, data) => events.push([event, data]) });
+  const recycled = () => events.filter(([event]) => event === 'browser:recycle').map(([, { reason }]) => reason);
+
+  beforeEach(() => {
+    launch = puppeteer.launch;
+    launched = [];
+    events = [];
+    puppeteer.launch = async () => {
+      const browser = fakeBrowser();
+      launched.push(browser);
+      return browser;
+    };
+  });
+
+  afterEach(() => {
+    puppeteer.launch = launch;
+  });
+
+  it('recognises a crashed browser by its error', () => {
+    assert.strictEqual(isBrowserCrash(new Error('Protocol error (Runtime.callFunctionOn): Target closed.')), true);
+    assert.strictEqual(isBrowserCrash(new Error('Navigation timeout of 30000 ms exceeded')), false);
+    assert.strictEqual(isBrowserCrash(undefined), false);
+  });
+
+  it('reuses a browser until it has served its maximum of pages', async () => {
+    const browsers = pool({ size: 1, maxPagesPerBrowser: 2 });
+    const used = [];
+    for (let i = 0; i < 3; i++) {
+      await browsers.withPage(async browser => used.push(browser));
+    }
+    await browsers.close();
+
+    assert.strictEqual(launched.length, 2);
+    assert.deepStrictEqual(used, [launched[0], launched[0], launched[1]]);
+    assert.deepStrictEqual(recycled(), ['max pages']);
+    assert.ok(launched.every(browser => browser.closed));
+  });
+
+  it('replaces a browser that crashed or disconnected', async () => {
+    const browsers = pool({ size: 1 });
+    await assert.rejects(browsers.withPage(async () => {
+      throw new Error('Protocol error (Page.navigate): Session closed. Most likely the page has been closed.');
+    }), /Session closed/);
+    assert.strictEqual(launched[0].closed, true);
+
+    await browsers.withPage(async () => {});
+    launched[1].emit('disconnected');
+    await browsers.withPage(async () => {});
+    await browsers.close();
+
+    assert.strictEqual(launched.length, 3);
+    assert.deepStrictEqual(recycled(), ['crashed', 'disconnected']);
+  });
+
+  it('keeps a check failure that is not a crash from retiring the browser', async () => {
+    const browsers = pool({ size: 1 });
+    await assert.rejects(browsers.withPage(async () => {
+      throw new Error('Navigation timeout of 30000 ms exceeded');
+    }));
+    await browsers.withPage(async () => {});
+    await browsers.close();
+
+    assert.strictEqual(launched.length, 1);
+    assert.deepStrictEqual(recycled(), []);
+  });
+
+  it('closes every browser, including one still launching', async () => {
+    let finishLaunch;
+    const slow = new Promise(resolve => {
+      finishLaunch = resolve;
+    });
+    const browsers = pool({ size: 2 });
+    let release;
+    const busy = browsers.withPage(() => new Promise(resolve => {
+      release = resolve;
+    }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    puppeteer.launch = async () => {
+      await slow;
+      const browser = fakeBrowser();
+      launched.push(browser);
+      return browser;
+    };
+    const launching = browsers.withPage(async () => {}).catch(() => {});
+
+    const closing = browsers.close();
+    finishLaunch();
+    await closing;
+    release();
+    await Promise.all([busy, launching]);
+
+    assert.strictEqual(launched.length, 2);
+    assert.ok(launched.every(browser => browser.closed));
+    await assert.rejects(browsers.withPage(async () => {}), /The browser pool is closed/);
+  });
+});
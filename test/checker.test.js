@@ -0,0 +1,99 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const puppeteer = require('puppeteer');
+const { resolveConfig } = require('../lib/config');
+
+const checkerPath = require.resolve('../lib/checker');
+const pa11yPath = require.resolve('pa11y');
+
+/**
+ * A browser whose pages answer every load with `status`
+ */
+function fakeBrowser(status) {
+  const browser = { closed: false, close: async () => { browser.closed = true; } };
+  browser.newPage = async () => {
+    const page = new EventEmitter();
+    const mainFrame = {};
+    page.mainFrame = () => mainFrame;
+    page.url = () => page.loaded;
+    page.load = url => {
+      page.loaded = url;
+      page.emit('response', {
+        url: () => url,
+        status: () => status,
+        headers: () => ({}),
+        request: () => ({ isNavigationRequest: () => true, frame: () => mainFrame }),
+      });
+    };
+    return page;
+  };
+  return browser;
+}
+
+describe('runAccessibilityCheck', () => {
+  const config = resolveConfig({ MAX_RETRIES: 1 }, { env: {}, cwd: __dirname });
+  let runAccessibilityCheck;
+  let launch;
+  let pa11yCache;
+  let browsers;
+
+  before(() => {
+    // Load the checker against a stub pa11y that "loads" the page it is given
+    pa11yCache = require.cache[pa11yPath];
+    require.cache[pa11yPath] = {
+      id: pa11yPath,
+      filename: pa11yPath,
+      loaded: true,
+      exports: async (url, { page }) => {
+        page.load(url);
+        return { documentTitle: 'Page', issues: [] };
+      },
+    };
+    delete require.cache[checkerPath];
+    ({ runAccessibilityCheck } = require('../lib/checker'));
+    launch = puppeteer.launch;
+  });
+
+  beforeEach(() => {
+    browsers = [];
+  });
+
+  afterEach(() => {
+    puppeteer.launch = launch;
+  });
+
+  after(() => {
+    require.cache[pa11yPath] = pa11yCache;
+    delete require.cache[checkerPath];
+  });
+
+  const serve = status => {
+    puppeteer.launch = async () => {
+      const browser = fakeBrowser(status);
+      browsers.push(browser);
+      return browser;
+    };
+  };
+
+  it('audits a page without a pool in a browser of its own', async () => {
+    serve(200);
+    const result = await runAccessibilityCheck('https://a.test/', { config });
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.documentTitle, 'Page');
+    assert.deepStrictEqual(browsers.map(browser => browser.closed), [true]);
+  });
+
+  it('fails an error page instead of auditing it, with or without a pool', async () => {
+    serve(404);
+    const result = await runAccessibilityCheck('https://a.test/gone/', { config });
+    assert.strictEqual(result.status, 'error');
+    assert.strictEqual(result.error, 'HTTP 404 from https://a.test/gone/: the server answered with an error page');
+    assert.strictEqual(browsers[0].closed, true);
+
+    const browser = fakeBrowser(500);
+    const pool = { withPage: async fn => fn(browser, await browser.newPage()) };
+    const pooled = await runAccessibilityCheck('https://a.test/broken/', { config, pool });
+    assert.strictEqual(pooled.status, 'error');
+    assert.ok(pooled.error.startsWith('HTTP 500'));
+  });
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Checkpoint, checkSettings, changedSettings } = require('../lib/checkpoint');
+const { createAudit } = require('../lib/auditor');
+const { resolveConfig } = require('../lib/config');
+
+describe('Checkpoint', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-checkpoint-'));
+    filePath = path.join(dir, 'report.checkpoint.jsonl');
+  });
+
+  afterEach(() => {
+    // fs.rmSync needs Node 14.14
+    (fs.rmSync || fs.rmdirSync)(dir, { recursive: true });
+  });
+
+  it('loads completed results by position, skipping a truncated last line', async () => {
+    const checkpoint = new Checkpoint(filePath);
+    await checkpoint.start({ siteUrl: 'https://a.test/', startedAt: '2024-01-01T00:00:00.000Z', urls: ['https://a.test/', 'https://a.test/b/'] });
+    await checkpoint.record(1, { url: 'https://a.test/b/', status: 'success', issues: [] });
+    fs.appendFileSync(filePath, '{"type":"result","index":0,"res');
+
+    const loaded = await new Checkpoint(filePath).load();
+    assert.strictEqual(loaded.siteUrl, 'https://a.test/');
+    assert.deepStrictEqual([...loaded.completed.keys()], [1]);
+  });
+
+  it('resolves to null when there is no checkpoint', async () => {
+    assert.strictEqual(await new Checkpoint(filePath).load(), null);
+  });
+
+  it('rejects a file that is not a checkpoint', async () => {
+    fs.writeFileSync(filePath, '{"hello":"world"}\n');
+    await assert.rejects(new Checkpoint(filePath).load(), { code: 'INVALID_CHECKPOINT' });
+  });
+
+  it('removes the file, and tolerates it being gone already', async () => {
+    const checkpoint = new Checkpoint(filePath);
+    await checkpoint.start({ siteUrl: 'https://a.test/', urls: [] });
+    await checkpoint.remove();
+    assert.strictEqual(fs.existsSync(filePath), false);
+    await checkpoint.remove();
+  });
+
+  it('saves the check settings and names the ones that changed since', async () => {
+    const config = resolveConfig({}, { env: {}, cwd: __dirname });
+    const checkpoint = new Checkpoint(filePath);
+    await checkpoint.start({ siteUrl: 'https://a.test/', settings: checkSettings(config), urls: [] });
+    const { settings } = await checkpoint.load();
+
+    assert.deepStrictEqual(changedSettings(settings, config), []);
+    assert.deepStrictEqual(changedSettings(settings, { ...config, STANDARD: 'WCAG2A', IGNORE_CODES: ['color-contrast'] }), [
+      'STANDARD', 'IGNORE_CODES',
+    ]);
+    assert.deepStrictEqual(changedSettings(undefined, config), []);
+  });
+
+  it('refuses to resume a run with different check settings', async () => {
+    const options = { url: 'https://a.test', checkpoint: filePath, resume: true };
+    const started = createAudit(options);
+    await new Checkpoint(filePath).start({ siteUrl: 'https://a.test', settings: checkSettings(started.config), urls: [] });
+
+    const audit = createAudit({ ...options, config: { VIEWPORTS: ['desktop', 'mobile'], RUNNERS: ['axe'] } });
+    await assert.rejects(audit.run(), { code: 'CHECKPOINT_MISMATCH', changed: ['VIEWPORTS', 'RUNNERS'] });
+  });
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { parseArgs, attachConsoleReporter } = require('../audit');
+
+/**
+ * Run `fn` with console output (and the spinners on stderr) captured instead
+ * of printed
+ */
+function quietly(fn) {
+  const { log, warn } = console;
+  const { write } = process.stderr;
+  const lines = [];
+  console.log = (...args) => lines.push(args.join(' '));
+  console.warn = (...args) => lines.push(args.join(' '));
+  process.stderr.write = chunk => lines.push(String(chunk).trim()) > 0;
+  try {
+    fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    process.stderr.write = write;
+  }
+  return lines;
+}
+
+describe('parseArgs', () => {
+  it('runs an audit when no command is given', () => {
+    assert.deepStrictEqual(parseArgs(['example.com', '--resume']), {
+      command: 'audit',
+      positional: ['example.com'],
+      options: { resume: true },
+      flags: {},
+      helpTopic: null,
+    });
+  });
+
+  it('tells options from setting flags, with and without a value', () => {
+    const parsed = parseArgs(['discover', 'example.com', '--output=urls.txt', '--max-concurrent=2', '--gate-new-only', '--exclude=/a=b/']);
+    assert.strictEqual(parsed.command, 'discover');
+    assert.deepStrictEqual(parsed.options, { output: 'urls.txt' });
+    assert.deepStrictEqual(parsed.flags, { 'max-concurrent': '2', 'gate-new-only': true, exclude: '/a=b/' });
+  });
+
+  it('rejects an option without its value', () => {
+    assert.throws(() => parseArgs(['discover', '--output']), { code: 'INVALID_ARGUMENTS', message: /--output=<file>/ });
+  });
+
+  it('shows help for the command before or after --help', () => {
+    assert.strictEqual(parseArgs(['help', 'diff']).helpTopic, 'diff');
+    assert.strictEqual(parseArgs(['report', '--help']).helpTopic, 'report');
+    assert.strictEqual(parseArgs(['--help', 'open']).helpTopic, 'open');
+    assert.strictEqual(parseArgs(['-h']).helpTopic, null);
+    assert.strictEqual(parseArgs(['example.com', '--help']).options.help, true);
+    assert.strictEqual(parseArgs(['help', 'nonsense']).helpTopic, null);
+  });
+
+  it('rejects setting flags for commands without settings', () => {
+    assert.throws(() => parseArgs(['diff', 'old.json', '--max-concurrent=2']), {
+      code: 'INVALID_ARGUMENTS',
+      message: 'Unknown option for diff: --max-concurrent',
+    });
+    assert.throws(() => parseArgs(['open', '--standard=WCAG2A']), { code: 'INVALID_ARGUMENTS' });
+    assert.deepStrictEqual(parseArgs(['diff', 'old.json', '--limit=5']).options, { limit: '5' });
+  });
+});
+
+describe('attachConsoleReporter', () => {
+  it('reports REST discovery that skipped every status before reading any post type', () => {
+    const audit = attachConsoleReporter(new EventEmitter());
+    const lines = quietly(() => {
+      audit.emit('rest:skipped', { statuses: ['draft'] });
+      audit.emit('rest:fetch', { type: 'page', page: 1, pages: 1 });
+      audit.emit('rest:done', { count: 0, added: 0 });
+    });
+    assert.ok(lines.some(line => line.includes('Leaving out draft content')));
+  });
+
+  it('stops the REST spinner when the API is unavailable', () => {
+    const audit = attachConsoleReporter(new EventEmitter());
+    quietly(() => {
+      audit.emit('rest:types', { types: ['page'] });
+      audit.emit('rest:unavailable', { error: 'The WordPress REST API is not available' });
+      audit.emit('rest:done', { count: 0, added: 0 });
+    });
+  });
+});
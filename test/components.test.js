@@ -0,0 +1,36 @@
+const assert = require('assert');
+const { componentKey, groupSharedIssues } = require('../lib/components');
+const { issue, page, failed } = require('./helpers');
+
+describe('groupSharedIssues', () => {
+  it('clusters issues repeated on enough pages, most widespread first', () => {
+    const results = [
+      page('https://a.test/1/', [issue('HEADER'), issue('FOOTER', { type: 'warning' }), issue('ONCE')]),
+      page('https://a.test/2/', [issue('HEADER', { context: '<p >' }), issue('FOOTER', { type: 'warning' })]),
+      page('https://a.test/3/', [issue('HEADER'), issue('FOOTER', { type: 'warning' })]),
+      page('https://a.test/4/', [issue('HEADER')]),
+      failed('https://a.test/5/'),
+    ];
+
+    const shared = groupSharedIssues(results, { minPages: 3 });
+    assert.deepStrictEqual(shared.map(cluster => [cluster.code, cluster.pages.length]), [['HEADER', 4], ['FOOTER', 3]]);
+    assert.strictEqual(shared[0].key, componentKey(issue('HEADER')));
+  });
+
+  it('counts a page once however often the issue repeats on it', () => {
+    const results = [
+      page('https://a.test/1/', [issue('X'), issue('X')]),
+      page('https://a.test/2/', [issue('X')]),
+    ];
+    assert.strictEqual(groupSharedIssues(results, { minPages: 3 }).length, 0);
+    assert.deepStrictEqual(groupSharedIssues(results, { minPages: 2 })[0].pages, ['https://a.test/1/', 'https://a.test/2/']);
+  });
+
+  it('only marks a cluster mobile-only when it is mobile-only on every page', () => {
+    const mobile = { ...issue('X'), viewports: ['mobile'], mobileOnly: true };
+    const both = { ...issue('X'), viewports: ['mobile', 'desktop'], mobileOnly: false };
+    const [cluster] = groupSharedIssues([page('https://a.test/1/', [mobile]), page('https://a.test/2/', [both])], { minPages: 2 });
+    assert.strictEqual(cluster.mobileOnly, false);
+    assert.deepStrictEqual(cluster.viewports, ['mobile', 'desktop']);
+  });
+});
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveConfig, redactConfig } = require('../lib/config');
+
+describe('resolveConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-config-'));
+  });
+
+  afterEach(() => {
+    (fs.rmSync || fs.rmdirSync)(dir, { recursive: true });
+  });
+
+  it('layers the config file, environment, flags and overrides', () => {
+    fs.writeFileSync(path.join(dir, '.a11yaudit.json'), JSON.stringify({ concurrency: { maxConcurrent: 2 }, retry: { maxRetries: 1 } }));
+    const config = resolveConfig({ PAGE_TIMEOUT: 5000 }, {
+      env: { PA11Y_MAX_CONCURRENT: '3' },
+      flags: { 'max-retries': '4' },
+      cwd: dir,
+    });
+    assert.strictEqual(config.MAX_CONCURRENT_CHECKS, 3);
+    assert.strictEqual(config.MAX_RETRIES, 4);
+    assert.strictEqual(config.PAGE_TIMEOUT, 5000);
+  });
+
+  it('reports every problem in one INVALID_CONFIG error', () => {
+    assert.throws(
+      () => resolveConfig({}, { env: { PA11Y_MAX_CONCURENT: '2', PA11Y_PAGE_TIMEOUT: 'soon' }, cwd: dir }),
+      error => error.code === 'INVALID_CONFIG'
+        && error.problems.length === 2
+        && /did you mean PA11Y_MAX_CONCURRENT\?/.test(error.message)
+    );
+  });
+
+  it('ignores the old batch size with a warning wherever it is set', () => {
+    fs.writeFileSync(path.join(dir, '.a11yaudit.json'), JSON.stringify({ concurrency: { batchSize: 10 } }));
+    const warnings = [];
+    const config = resolveConfig({}, {
+      env: { PA11Y_BATCH_SIZE: '5' },
+      flags: { 'batch-size': '5' },
+      cwd: dir,
+      warnings,
+    });
+    assert.deepStrictEqual(warnings.map(warning => warning.split(':')[0]), [
+      'concurrency.batchSize is ignored',
+      'PA11Y_BATCH_SIZE is ignored',
+      '--batch-size is ignored',
+    ]);
+    assert.ok(!('BATCH_SIZE' in config));
+  });
+
+  it('does not need a warnings array', () => {
+    assert.doesNotThrow(() => resolveConfig({}, { env: { PA11Y_BATCH_SIZE: '5' }, cwd: dir }));
+  });
+});
+
+describe('redactConfig', () => {
+  it('masks secret settings that are set and keeps the original intact', () => {
+    const config = resolveConfig({}, { env: { PA11Y_LOGIN_USER: 'editor', PA11Y_LOGIN_PASSWORD: 'hunter2' }, cwd: __dirname });
+    const redacted = redactConfig(config);
+    assert.strictEqual(redacted.LOGIN_USER, 'editor');
+    assert.strictEqual(redacted.LOGIN_PASSWORD, '********');
+    assert.strictEqual(redacted.REST_PASSWORD, null);
+    assert.strictEqual(config.LOGIN_PASSWORD, 'hunter2');
+  });
+});
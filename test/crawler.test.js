@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { extractLinks, toPageUrl, crawlLinks } = require('../lib/crawler');
+const { serve } = require('./helpers');
+
+const html = (...links) => () => ({
+  headers: { 'Content-Type': 'text/html; charset=utf-8' },
+  body: `<html><body>${links.map(link => `<a href="${link}">${link}</a>`).join('')}</body></html>`,
+});
+
+describe('extractLinks', () => {
+  it('resolves every kind of href against the page or its <base>', () => {
+    const page = `
+      <a href="/a/">A</a> <a class="x" href='b/'>B</a> <A HREF=c/?x=1&amp;y=2>C</A>
+      <a href="http://[broken">Broken</a> <a name="top">Anchor</a>`;
+    assert.deepStrictEqual(extractLinks(page, 'https://a.test/blog/'), [
+      'https://a.test/a/', 'https://a.test/blog/b/', 'https://a.test/blog/c/?x=1&y=2',
+    ]);
+    assert.deepStrictEqual(extractLinks(`<base href="/docs/">${page}`, 'https://a.test/blog/').slice(1, 2), [
+      'https://a.test/docs/b/',
+    ]);
+  });
+});
+
+describe('toPageUrl', () => {
+  const origin = 'https://a.test';
+
+  it('keeps pages on the origin, without their fragment', () => {
+    assert.strictEqual(toPageUrl('https://a.test/about/#team', origin), 'https://a.test/about/');
+    assert.strictEqual(toPageUrl('https://a.test/?p=12', origin), 'https://a.test/?p=12');
+  });
+
+  it('skips other origins, assets and WordPress endpoints', () => {
+    [
+      'https://b.test/',
+      'http://a.test/',
+      'https://a.test/wp-content/uploads/logo.PNG',
+      'https://a.test/files/report.pdf',
+      'https://a.test/wp-admin/',
+      'https://a.test/wp-admin/post.php',
+      'https://a.test/wp-login.php?action=lostpassword',
+      'https://a.test/wp-json/wp/v2/pages',
+      'https://a.test/feed/',
+      'https://a.test/post/?replytocom=4',
+      'mailto:hello@a.test',
+    ].forEach(link => assert.strictEqual(toPageUrl(link, origin), null, link));
+  });
+});
+
+describe('crawlLinks', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    ({ server, base } = await serve({
+      '/': html('/a/', '/a/#comments', '/b/', '/logo.png', '/wp-admin/', '/wp-login.php', '/feed/', 'https://b.test/', '/plain/', '/gone/'),
+      '/a/': html('/', '/deep/'),
+      '/b/': html('/a/'),
+      '/plain/': () => ({ headers: { 'Content-Type': 'text/plain' }, body: 'Not a page' }),
+      '/deep/': html('/deeper/'),
+      '/deeper/': html(),
+    }));
+  });
+
+  after(() => server.close());
+
+  it('follows internal page links breadth-first up to the maximum depth', async () => {
+    const events = [];
+    const { urls, visited } = await crawlLinks(`${base}/`, { maxDepth: 1, emit: (event, data) => events.push([event, data]) });
+    assert.deepStrictEqual(urls, [`${base}/`, `${base}/a/`, `${base}/b/`]);
+    // The homepage, /a/, /b/, /plain/ and /gone/
+    assert.strictEqual(visited, 5);
+    assert.deepStrictEqual(events.filter(([event]) => event === 'crawl:failed').map(([, { url }]) => url), [`${base}/gone/`]);
+    assert.deepStrictEqual(events.find(([event]) => event === 'crawl:page')[1], { url: `${base}/`, depth: 0, found: 4, total: 1 });
+  });
+
+  it('goes deeper with a larger depth', async () => {
+    const { urls } = await crawlLinks(`${base}/`, { maxDepth: 3 });
+    assert.deepStrictEqual(urls, [`${base}/`, `${base}/a/`, `${base}/b/`, `${base}/deep/`, `${base}/deeper/`]);
+  });
+
+  it('stops at the page limit', async () => {
+    const { urls, visited } = await crawlLinks(`${base}/`, { maxPages: 2 });
+    assert.deepStrictEqual(urls, [`${base}/`, `${base}/a/`]);
+    assert.strictEqual(visited, 2);
+  });
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { normalizeInputUrl, discoverSitemap } = require('../lib/discovery');
+const { serve } = require('./helpers');
+
+const sitemap = () => ({
+  headers: { 'Content-Type': 'application/xml' },
+  body: '<?xml version="1.0"?><urlset><url><loc>https://a.test/</loc></url></urlset>',
+});
+
+describe('normalizeInputUrl', () => {
+  it('adds https and drops the trailing slash of a site, but keeps sitemaps as given', () => {
+    assert.deepStrictEqual(normalizeInputUrl(' a.test/blog/ '), { url: 'https://a.test/blog', isSitemap: false });
+    assert.deepStrictEqual(normalizeInputUrl('http://a.test/sitemap.xml.gz'), { url: 'http://a.test/sitemap.xml.gz', isSitemap: true });
+    assert.throws(() => normalizeInputUrl(''), { code: 'MISSING_URL' });
+  });
+});
+
+describe('discoverSitemap', () => {
+  const servers = [];
+
+  const site = async routes => {
+    const { server, base } = await serve(routes);
+    servers.push(server);
+    return base;
+  };
+
+  after(() => servers.forEach(server => server.close()));
+
+  it('tries the robots.txt sitemaps before the known locations', async () => {
+    const base = await site({
+      '/robots.txt': () => ({ body: 'User-agent: *\nDisallow: /wp-admin/\nSitemap: /moved.xml\nsitemap: /seo/pages.xml\n' }),
+      '/seo/pages.xml': sitemap,
+      '/sitemap_index.xml': sitemap,
+    });
+    const events = [];
+    const discovered = await discoverSitemap(base, (event, data) => events.push([event, data.url]));
+
+    assert.deepStrictEqual(discovered, {
+      sitemapUrl: `${base}/seo/pages.xml`,
+      source: 'robots.txt',
+      tried: [`${base}/moved.xml`, `${base}/seo/pages.xml`],
+    });
+    assert.deepStrictEqual(events.map(([event]) => event), ['sitemap:probe', 'sitemap:probe', 'sitemap:discovered']);
+  });
+
+  it('falls back to the known locations without robots.txt', async () => {
+    const base = await site({ '/sitemap.xml': sitemap });
+    const discovered = await discoverSitemap(`${base}/`);
+
+    assert.strictEqual(discovered.sitemapUrl, `${base}/sitemap.xml`);
+    assert.strictEqual(discovered.source, 'All in One SEO');
+    assert.deepStrictEqual(discovered.tried, [`${base}/wp-sitemap.xml`, `${base}/sitemap_index.xml`, `${base}/sitemap.xml`]);
+  });
+
+  it('lists the locations tried when there is no sitemap', async () => {
+    const base = await site({
+      '/robots.txt': () => ({ body: 'Sitemap: /sitemap.xml\n' }),
+      // An HTML page is not a sitemap
+      '/sitemap.xml': () => ({ headers: { 'Content-Type': 'text/html' }, body: '<html><body>Not found</body></html>' }),
+    });
+    await assert.rejects(discoverSitemap(base), {
+      code: 'SITEMAP_NOT_FOUND',
+      tried: [`${base}/sitemap.xml`, `${base}/wp-sitemap.xml`, `${base}/sitemap_index.xml`],
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const assert = require('assert');
+const { globToRegExp, compilePattern, sitemapName, createUrlFilter, describeRule } = require('../lib/filters');
+
+const filter = overrides => createUrlFilter({
+  INCLUDE_URLS: [],
+  EXCLUDE_URLS: [],
+  INCLUDE_SITEMAPS: [],
+  EXCLUDE_SITEMAPS: [],
+  ...overrides,
+});
+
+describe('globToRegExp', () => {
+  it('matches * within a path segment and ** across segments', () => {
+    assert.ok(globToRegExp('/tag/*').test('/tag/news'));
+    assert.ok(!globToRegExp('/tag/*').test('/tag/news/page/2'));
+    assert.ok(globToRegExp('/tag/**').test('/tag/news/page/2'));
+    assert.ok(globToRegExp('/p?ge').test('/PAGE'));
+  });
+
+  it('treats other regular expression characters literally', () => {
+    assert.ok(globToRegExp('/a.b(1)').test('/a.b(1)'));
+    assert.ok(!globToRegExp('/a.b').test('/axb'));
+  });
+});
+
+describe('compilePattern', () => {
+  it('matches URL globs against the path and query', () => {
+    const test = compilePattern('/shop/**', { pathOnly: true });
+    assert.ok(test('https://a.test/shop/shirt/'));
+    assert.ok(!test('https://a.test/blog/shop/'));
+    assert.ok(compilePattern('https://a.test/**', { pathOnly: true })('https://a.test/x/'));
+  });
+
+  it('supports regular expressions', () => {
+    assert.ok(compilePattern('regex:/\\d{4}/\\d{2}/')('https://a.test/2024/01/post/'));
+  });
+});
+
+describe('sitemapName', () => {
+  it('returns the file name of a sitemap URL', () => {
+    assert.strictEqual(sitemapName('https://a.test/post_tag-sitemap2.xml?x=1'), 'post_tag-sitemap2.xml');
+    assert.strictEqual(sitemapName(null), '');
+  });
+});
+
+describe('createUrlFilter', () => {
+  const urls = ['https://a.test/', 'https://a.test/author/admin/', 'https://a.test/tag/x/', 'https://a.test/shop/'];
+  const sources = {
+    'https://a.test/': 'https://a.test/page-sitemap.xml',
+    'https://a.test/author/admin/': 'https://a.test/author-sitemap.xml',
+    'https://a.test/tag/x/': 'https://a.test/post_tag-sitemap.xml',
+    'https://a.test/shop/': 'https://a.test/page-sitemap.xml',
+  };
+
+  it('is inactive and keeps everything without rules', () => {
+    const urlFilter = filter();
+    assert.strictEqual(urlFilter.active, false);
+    assert.deepStrictEqual(urlFilter.apply(urls, sources), { kept: urls, excluded: [] });
+  });
+
+  it('excludes by URL and by sub-sitemap, recording the rule', () => {
+    const { kept, excluded } = filter({ EXCLUDE_URLS: ['/author/**'], EXCLUDE_SITEMAPS: ['post_tag-sitemap*.xml'] }).apply(urls, sources);
+    assert.deepStrictEqual(kept, ['https://a.test/', 'https://a.test/shop/']);
+    assert.deepStrictEqual(excluded.map(({ rule }) => describeRule(rule)), [
+      'URL matches /author/**',
+      'sitemap matches post_tag-sitemap*.xml',
+    ]);
+  });
+
+  it('keeps only included URLs, then applies the excludes', () => {
+    const { kept, excluded } = filter({ INCLUDE_SITEMAPS: ['page-sitemap.xml'], EXCLUDE_URLS: ['/shop/'] }).apply(urls, sources);
+    assert.deepStrictEqual(kept, ['https://a.test/']);
+    assert.strictEqual(excluded.filter(({ rule }) => rule.type === 'include').length, 2);
+  });
+
+  it('rejects invalid regular expressions', () => {
+    assert.throws(() => filter({ EXCLUDE_URLS: ['regex:('] }), { code: 'INVALID_FILTER' });
+  });
+});
@@ -0,0 +1,81 @@
+const assert = require('assert');
+const { EXIT_CODES, evaluateGates, auditExitCode } = require('../lib/gates');
+const { resolveConfig } = require('../lib/config');
+const { issue, page, failed } = require('./helpers');
+
+const gates = overrides => ({
+  GATE_MAX_ERRORS: null,
+  GATE_MAX_WARNINGS: null,
+  GATE_MAX_FAILED_CHECKS: null,
+  GATE_MAX_ISSUES_PER_PAGE: null,
+  GATE_FORBIDDEN_CODES: [],
+  ...overrides,
+});
+
+describe('evaluateGates', () => {
+  it('passes when every gate is disabled', () => {
+    const results = [page('https://a.test/', [issue('X'), issue('Y', { type: 'warning' })]), failed('https://a.test/b/')];
+    assert.deepStrictEqual(evaluateGates(results, gates()), { passed: true, failures: [] });
+  });
+
+  it('treats 0 as a limit rather than disabled', () => {
+    const { passed, failures } = evaluateGates([page('https://a.test/', [issue('X')])], gates({ GATE_MAX_ERRORS: 0 }));
+    assert.strictEqual(passed, false);
+    assert.deepStrictEqual(failures.map(failure => [failure.gate, failure.limit, failure.actual]), [['maxErrors', 0, 1]]);
+  });
+
+  it('lists the pages over the per-page limit', () => {
+    const results = [
+      page('https://a.test/', [issue('X'), issue('Y'), issue('Z')]),
+      page('https://a.test/b/', [issue('X')]),
+    ];
+    const [failure] = evaluateGates(results, gates({ GATE_MAX_ISSUES_PER_PAGE: 2 })).failures;
+    assert.strictEqual(failure.gate, 'maxIssuesPerPage');
+    assert.deepStrictEqual(failure.pages, [{ url: 'https://a.test/', count: 3 }]);
+  });
+
+  it('matches forbidden codes exactly or as a prefix', () => {
+    const results = [page('https://a.test/', [
+      issue('WCAG2AA.Principle1.Guideline1_1.1_1_1.H37'),
+      issue('WCAG2AA.Principle1.Guideline1_10.X'),
+    ])];
+    const { failures } = evaluateGates(results, gates({ GATE_FORBIDDEN_CODES: ['WCAG2AA.Principle1.Guideline1_1'] }));
+    assert.strictEqual(failures.length, 1);
+    assert.strictEqual(failures[0].actual, 1);
+  });
+
+  it('leaves every gate off with the default config', () => {
+    const config = resolveConfig({}, { env: {}, cwd: __dirname });
+    const results = [page('https://a.test/', [issue('X')]), failed('https://a.test/b/')];
+    assert.deepStrictEqual(evaluateGates(results, config), { passed: true, failures: [] });
+  });
+
+  it('fails on failed checks over the limit', () => {
+    const results = [page('https://a.test/'), failed('https://a.test/b/')];
+    const { passed, failures } = evaluateGates(results, gates({ GATE_MAX_FAILED_CHECKS: 0 }));
+    assert.strictEqual(passed, false);
+    assert.strictEqual(failures[0].gate, 'maxFailedChecks');
+  });
+});
+
+describe('auditExitCode', () => {
+  const audit = (results, passed = true, cancelled = false) => ({ results, gates: { passed }, cancelled });
+
+  it('succeeds when the gates pass', () => {
+    assert.strictEqual(auditExitCode(audit([page('https://a.test/')])), EXIT_CODES.SUCCESS);
+  });
+
+  it('reports a tripped gate', () => {
+    assert.strictEqual(auditExitCode(audit([page('https://a.test/')], false)), EXIT_CODES.GATE_FAILED);
+  });
+
+  it('fails the audit when no check succeeded, whatever the gates say', () => {
+    const results = [failed('https://a.test/'), failed('https://a.test/b/')];
+    assert.strictEqual(auditExitCode(audit(results, true)), EXIT_CODES.AUDIT_FAILED);
+    assert.strictEqual(auditExitCode(audit(results, false)), EXIT_CODES.AUDIT_FAILED);
+  });
+
+  it('fails a cancelled audit', () => {
+    assert.strictEqual(auditExitCode(audit([page('https://a.test/')], true, true)), EXIT_CODES.AUDIT_FAILED);
+  });
+});
@@ -0,0 +1,39 @@
+const http = require('http');
+
+/**
+ * A pa11y issue; `extra` overrides any field (type, selector, context, ...)
+ */
+const issue = (code, extra = {}) => ({ code, type: 'error', message: code, selector: 'p', context: '<p>', ...extra });
+
+/**
+ * The result of a page that was checked
+ */
+const page = (url, issues = [], extra = {}) => ({ url, status: 'success', issues, attempts: 1, ...extra });
+
+/**
+ * The result of a page that could not be checked
+ */
+const failed = (url, error = 'net::ERR_CONNECTION_REFUSED', extra = {}) => ({ url, status: 'error', issues: [], error, attempts: 3, ...extra });
+
+/**
+ * Serve fixed responses from a local server: `routes` maps a path to a
+ * function (base URL, request) => { status, headers, body }; other paths
+ * answer 404
+ */
+function serve(routes) {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      const route = routes[req.url];
+      const { status = 200, headers = {}, body = '' } = route ? route(base, req) : { status: 404 };
+      res.writeHead(status, headers);
+      res.end(body);
+    });
+    let base;
+    server.listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, base });
+    });
+  });
+}
+
+module.exports = { issue, page, failed, serve };
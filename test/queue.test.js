@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { WorkQueue } = require('../lib/queue');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('WorkQueue', () => {
+  it('keeps every slot busy instead of waiting for a batch', async () => {
+    const queue = new WorkQueue({ concurrency: 2 });
+    const order = [];
+    const slow = new Promise(resolve => setTimeout(resolve, 30));
+    await queue.run(['slow', 'a', 'b', 'c'], async item => {
+      if (item === 'slow') {
+        await slow;
+      }
+      order.push(item);
+    });
+    assert.deepStrictEqual(order, ['a', 'b', 'c', 'slow']);
+  });
+
+  it('reports each finished item with its result and the progress', async () => {
+    const queue = new WorkQueue({ concurrency: 1 });
+    const done = [];
+    const result = await queue.run([1, 2, 3], async item => item * 10, (item, value) => {
+      done.push([item, value, queue.progress().remaining]);
+    });
+    assert.deepStrictEqual(done, [[1, 10, 2], [2, 20, 1], [3, 30, 0]]);
+    assert.deepStrictEqual(result, { completed: 3, skipped: 0, cancelled: false });
+  });
+
+  it('starts nothing new while paused and skips the rest when cancelled', async () => {
+    const events = [];
+    const queue = new WorkQueue({ concurrency: 1, emit: name => events.push(name) });
+    const started = [];
+    const running = queue.run(['a', 'b', 'c'], async item => {
+      started.push(item);
+      if (item === 'a') {
+        queue.pause();
+      }
+    });
+
+    await tick();
+    assert.deepStrictEqual(started, ['a']);
+    assert.strictEqual(queue.progress().paused, true);
+
+    queue.cancel();
+    assert.deepStrictEqual(await running, { completed: 1, skipped: 2, cancelled: true });
+    assert.deepStrictEqual(started, ['a']);
+    assert.deepStrictEqual(events, ['queue:paused', 'queue:cancelled']);
+  });
+
+  it('resumes after a pause', async () => {
+    const queue = new WorkQueue({ concurrency: 1 });
+    const started = [];
+    const running = queue.run(['a', 'b'], async item => {
+      started.push(item);
+      if (item === 'a') {
+        queue.pause();
+      }
+    });
+
+    await tick();
+    queue.resume();
+    assert.deepStrictEqual(await running, { completed: 2, skipped: 0, cancelled: false });
+    assert.deepStrictEqual(started, ['a', 'b']);
+  });
+
+  it('has no estimate before the first item finishes', () => {
+    const queue = new WorkQueue();
+    assert.strictEqual(queue.progress().eta, null);
+  });
+});
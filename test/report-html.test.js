@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { generateHTMLReport } = require('../lib/report-html');
+
+const SCRIPT = '<script>alert(1)</script>';
+
+const audit = overrides => ({
+  site: 'a.test',
+  sitemapUrl: 'https://a.test/sitemap.xml',
+  finishedAt: '2024-01-01T00:00:00.000Z',
+  config: { INCLUDE_LEVELS: ['error', 'warning'], IGNORE_CODES: [], SHARED_ISSUE_MIN_PAGES: 3 },
+  urls: [],
+  results: [],
+  ...overrides,
+});
+
+describe('generateHTMLReport', () => {
+  it('escapes baseline delta entries', () => {
+    const html = generateHTMLReport(audit({
+      delta: {
+        baseline: { finishedAt: null },
+        counts: { new: 0, fixed: 1, persisting: 0, unverified: 0 },
+        new: [],
+        fixed: [{ url: `https://a.test/?q=${SCRIPT}`, issue: { code: SCRIPT, type: 'error', message: 'm', selector: 'p' } }],
+      },
+    }));
+    assert.ok(!html.includes(SCRIPT));
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+  });
+
+  it('escapes sitewide issues', () => {
+    const issue = { code: `X${SCRIPT}`, type: 'error', message: `Fix ${SCRIPT}`, selector: `div[title="${SCRIPT}"]`, context: '<p>' };
+    const results = ['1', '2', '3'].map(n => ({ url: `https://a.test/${n}/`, status: 'success', issues: [{ ...issue }], attempts: 1 }));
+    const html = generateHTMLReport(audit({ results }));
+    assert.ok(html.includes('Sitewide / Template Issues (1)'));
+    assert.ok(!html.includes(SCRIPT));
+  });
+
+  it('escapes the REST metadata of a page', () => {
+    const url = 'https://a.test/?p=1&preview=true';
+    const html = generateHTMLReport(audit({
+      results: [{
+        url,
+        status: 'success',
+        issues: [],
+        attempts: 1,
+        content: { id: 1, type: `page${SCRIPT}`, status: `draft${SCRIPT}`, title: 'T', author: `Ed${SCRIPT}`, modified: null },
+      }],
+    }));
+    assert.ok(html.includes('draft&lt;script&gt;'));
+    assert.ok(!html.includes(SCRIPT));
+  });
+
+  it('escapes runner names and the codes an issue was also reported as', () => {
+    const issue = {
+      code: 'image-alt',
+      type: 'error',
+      message: 'm',
+      selector: 'img',
+      context: '<img>',
+      runner: 'axe',
+      runners: ['axe', `other${SCRIPT}`],
+      duplicates: [{ runner: `other${SCRIPT}`, code: `X${SCRIPT}`, type: 'error', message: 'm' }],
+    };
+    const html = generateHTMLReport(audit({
+      runners: ['axe', `other${SCRIPT}`],
+      results: [{ url: 'https://a.test/', status: 'success', issues: [issue], attempts: 1 }],
+    }));
+    assert.ok(html.includes('Also reported as: X&lt;script&gt;'));
+    assert.ok(!html.includes(SCRIPT));
+  });
+});
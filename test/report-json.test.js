@@ -0,0 +1,29 @@
+const assert = require('assert');
+const { generateJSONReport, parseJSONReport } = require('../lib/report-json');
+const { resolveConfig } = require('../lib/config');
+
+const PASSWORD = 'abcd efgh ijkl mnop qrst uvwx';
+
+const audit = config => ({
+  site: 'a.test',
+  sitemapUrl: 'https://a.test/sitemap.xml',
+  finishedAt: '2024-01-01T00:00:00.000Z',
+  config,
+  urls: ['https://a.test/'],
+  results: [{ url: 'https://a.test/', status: 'success', issues: [], attempts: 1 }],
+});
+
+describe('generateJSONReport', () => {
+  it('never writes the REST application password', () => {
+    const config = resolveConfig({}, {
+      env: { PA11Y_REST: 'only', PA11Y_REST_USER: 'editor', PA11Y_REST_PASSWORD: PASSWORD },
+      cwd: __dirname,
+    });
+    const json = generateJSONReport(audit(config));
+    assert.ok(!json.includes(PASSWORD));
+    const { config: written } = parseJSONReport(json);
+    assert.strictEqual(written.REST_USER, 'editor');
+    assert.strictEqual(written.REST_PASSWORD, '********');
+    assert.strictEqual(config.REST_PASSWORD, PASSWORD);
+  });
+});
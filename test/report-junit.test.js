@@ -0,0 +1,53 @@
+const assert = require('assert');
+const xml2js = require('xml2js');
+const { generateJUnitReport } = require('../lib/report-junit');
+const { issue, page, failed } = require('./helpers');
+
+const audit = results => ({
+  site: 'a.test',
+  sitemapUrl: 'https://a.test/sitemap.xml',
+  finishedAt: '2024-01-01T00:05:00.000Z',
+  standard: 'WCAG2AA',
+  results,
+});
+
+const junit = async results => (await xml2js.parseStringPromise(generateJUnitReport(audit(results)))).testsuites;
+
+describe('generateJUnitReport', () => {
+  it('has one testcase per URL: errors fail it, other issues go to its output', async () => {
+    const testsuites = await junit([
+      page('https://a.test/', [issue('A'), issue('A'), issue('N', { type: 'notice' })], { duration: 1500 }),
+      page('https://a.test/clean/', [issue('W', { type: 'warning' })], { duration: 500 }),
+      failed('https://a.test/slow/', 'Navigation timeout'),
+    ]);
+    const [suite] = testsuites.testsuite;
+    assert.deepStrictEqual(testsuites.$, { name: 'Accessibility audit - a.test', tests: '3', failures: '1', errors: '1', time: '2.000' });
+    assert.strictEqual(suite.$.skipped, '0');
+    assert.strictEqual(suite.$.timestamp, '2024-01-01T00:05:00.000Z');
+
+    const [flagged, clean, broken] = suite.testcase;
+    assert.deepStrictEqual(flagged.$, { name: 'https://a.test/', classname: 'a.test', time: '1.500' });
+    assert.deepStrictEqual(flagged.failure[0].$, { message: '2 accessibility errors', type: 'AccessibilityError' });
+    assert.ok(flagged.failure[0]._.startsWith('[error] A\n  A\n  Selector: p\n  Context: <p>'));
+    assert.strictEqual(flagged['system-out'][0], '[notice] N\n  N\n  Selector: p\n  Context: <p>');
+
+    assert.strictEqual(clean.failure, undefined);
+    assert.ok(clean['system-out'][0].startsWith('[warning] W'));
+
+    assert.deepStrictEqual(broken.error[0].$, { message: 'Navigation timeout', type: 'CheckFailed' });
+    assert.strictEqual(broken.error[0]._, 'Check failed after 3 attempts: Navigation timeout');
+  });
+
+  it('escapes markup in issues and URLs', async () => {
+    const context = '<a href="/?a=1&b=2">Read more</a>';
+    const xml = generateJUnitReport(audit([
+      page('https://a.test/?q=<script>&x="1"', [issue('A', { context })]),
+    ]));
+    assert.ok(!xml.includes('<script>'));
+    assert.ok(!xml.includes(context));
+
+    const [testcase] = (await xml2js.parseStringPromise(xml)).testsuites.testsuite[0].testcase;
+    assert.strictEqual(testcase.$.name, 'https://a.test/?q=<script>&x="1"');
+    assert.ok(testcase.failure[0]._.includes(`Context: ${context}`));
+  });
+});
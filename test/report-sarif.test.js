@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { generateSARIFReport } = require('../lib/report-sarif');
+const { issue, page, failed } = require('./helpers');
+
+const audit = results => ({
+  site: 'a.test',
+  sitemapUrl: 'https://a.test/sitemap.xml',
+  startedAt: '2024-01-01T00:00:00.000Z',
+  finishedAt: '2024-01-01T00:05:00.000Z',
+  standard: 'WCAG2AA',
+  runners: ['htmlcs'],
+  viewports: [{ name: 'desktop' }],
+  results,
+});
+
+const sarif = results => JSON.parse(generateSARIFReport(audit(results))).runs[0];
+
+describe('generateSARIFReport', () => {
+  it('declares each issue code once and points results at their rule', () => {
+    const run = sarif([
+      page('https://a.test/', [issue('A'), issue('B', { type: 'notice' })]),
+      page('https://a.test/b/', [issue('B', { type: 'notice' }), issue('A')]),
+    ]);
+    assert.deepStrictEqual(run.tool.driver.rules.map(({ id, defaultConfiguration }) => [id, defaultConfiguration.level]), [
+      ['A', 'error'],
+      ['B', 'note'],
+    ]);
+    assert.deepStrictEqual(run.results.map(({ ruleId, ruleIndex, level }) => [ruleId, ruleIndex, level]), [
+      ['A', 0, 'error'],
+      ['B', 1, 'note'],
+      ['B', 1, 'note'],
+      ['A', 0, 'error'],
+    ]);
+    assert.deepStrictEqual(run.results[0].locations[0].logicalLocations, [{ fullyQualifiedName: 'p', kind: 'element' }]);
+    assert.strictEqual(run.results[2].locations[0].physicalLocation.artifactLocation.uri, 'https://a.test/b/');
+  });
+
+  it('marks issues new or unchanged against the baseline', () => {
+    const run = sarif([
+      page('https://a.test/', [issue('A', { baseline: 'new' }), issue('B', { baseline: 'existing' }), issue('C')]),
+    ]);
+    assert.deepStrictEqual(run.results.map(({ baselineState }) => baselineState), ['new', 'unchanged', undefined]);
+  });
+
+  it('reports failed checks as notifications, not results', () => {
+    const run = sarif([
+      page('https://a.test/'),
+      failed('https://a.test/slow/', 'Navigation timeout'),
+    ]);
+    const [invocation] = run.invocations;
+    assert.strictEqual(run.results.length, 0);
+    assert.strictEqual(invocation.executionSuccessful, true);
+    assert.deepStrictEqual(invocation.toolExecutionNotifications, [{
+      level: 'error',
+      message: { text: 'Check failed after 3 attempts: Navigation timeout' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'https://a.test/slow/' } } }],
+    }]);
+  });
+
+  it('reports an unsuccessful run when no page could be checked', () => {
+    const run = sarif([failed('https://a.test/')]);
+    assert.strictEqual(run.invocations[0].executionSuccessful, false);
+  });
+});
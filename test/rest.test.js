@@ -0,0 +1,114 @@
+const assert = require('assert');
+const http = require('http');
+const { restUrl, discoverRestContent } = require('../lib/rest');
+
+const PAGES = [
+  { id: 1, link: '/about/', type: 'page', status: 'publish', title: { rendered: 'About' }, author: 1, modified_gmt: '2024-05-01T10:00:00' },
+  { id: 2, link: '/?page_id=2', type: 'page', status: 'draft', title: { rendered: 'Draft' }, author: 2, modified_gmt: '2024-05-02T10:00:00' },
+  { id: 3, link: '/private/', type: 'page', status: 'private', title: { rendered: 'Private' }, author: 1, modified_gmt: '2024-05-03T10:00:00' },
+];
+
+/**
+ * A minimal WordPress REST API with one `pages` collection that honours the
+ * `status` filter, like WordPress does for authenticated requests
+ */
+function serveWordPress() {
+  return new Promise(resolve => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, base);
+      requests.push(url);
+      const json = data => {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'X-WP-TotalPages': '1' });
+        res.end(JSON.stringify(data));
+      };
+      if (url.pathname === '/wp-json/wp/v2/types') {
+        return json({
+          page: { slug: 'page', rest_base: 'pages', rest_namespace: 'wp/v2' },
+          attachment: { slug: 'attachment', rest_base: 'media', rest_namespace: 'wp/v2' },
+        });
+      }
+      if (url.pathname === '/wp-json/wp/v2/users') {
+        return json([{ id: 1, name: 'Editor' }]);
+      }
+      if (url.pathname === '/wp-json/wp/v2/pages') {
+        const statuses = (url.searchParams.get('status') || 'publish').split(',');
+        return json(PAGES
+          .filter(page => statuses.includes(page.status))
+          .map(page => ({ ...page, link: base + page.link })));
+      }
+      res.writeHead(404);
+      res.end();
+    });
+    let base;
+    server.listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, base, requests });
+    });
+  });
+}
+
+describe('restUrl', () => {
+  it('appends the route to a /wp-json root', () => {
+    assert.strictEqual(restUrl('https://a.test/wp-json', '/wp/v2/pages', { page: 2 }), 'https://a.test/wp-json/wp/v2/pages?page=2');
+  });
+
+  it('keeps the route inside ?rest_route=', () => {
+    assert.strictEqual(restUrl('https://a.test/?rest_route=', '/wp/v2/pages', { page: 2 }), 'https://a.test/?rest_route=%2Fwp%2Fv2%2Fpages&page=2');
+  });
+});
+
+describe('discoverRestContent', () => {
+  let server;
+  let base;
+  let requests;
+  const auth = { username: 'editor', password: 'abcd efgh' };
+
+  before(async () => {
+    ({ server, base, requests } = await serveWordPress());
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+  });
+
+  after(() => server.close());
+
+  it('lists published content with its metadata, skipping media', async () => {
+    const { urls, sources, content } = await discoverRestContent(base);
+    assert.deepStrictEqual(urls, [`${base}/about/`]);
+    assert.strictEqual(sources[`${base}/about/`], `${base}/wp-json/wp/v2/pages`);
+    assert.deepStrictEqual(content[`${base}/about/`], {
+      id: 1, type: 'page', status: 'publish', title: 'About', author: 'Editor', modified: '2024-05-01T10:00:00Z',
+    });
+    assert.ok(!requests.some(url => url.pathname.endsWith('/media')));
+  });
+
+  it('leaves out unpublished content when the browser has no session to preview it', async () => {
+    const events = [];
+    const { urls } = await discoverRestContent(base, { auth, emit: (name, data) => events.push([name, data]) });
+    assert.deepStrictEqual(urls, [`${base}/about/`]);
+    assert.deepStrictEqual(events.find(([name]) => name === 'rest:skipped'), [
+      'rest:skipped', { statuses: ['future', 'draft', 'pending', 'private'] },
+    ]);
+    const pages = requests.find(url => url.pathname.endsWith('/pages'));
+    assert.strictEqual(pages.searchParams.get('status'), 'publish');
+  });
+
+  it('does not query the API when only unpublished statuses were asked for and none can be previewed', async () => {
+    const events = [];
+    const result = await discoverRestContent(base, { auth, statuses: ['draft'], emit: (name, data) => events.push([name, data]) });
+    assert.deepStrictEqual(result, { urls: [], sources: {}, content: {} });
+    assert.strictEqual(requests.length, 0);
+    assert.deepStrictEqual(events, [['rest:skipped', { statuses: ['draft'] }]]);
+  });
+
+  it('audits unpublished content through its preview link with a session', async () => {
+    const events = [];
+    const { urls, content } = await discoverRestContent(base, { auth, previews: true, emit: name => events.push(name) });
+    assert.deepStrictEqual(urls, [`${base}/about/`, `${base}/?page_id=2&preview=true`, `${base}/private/?preview=true`]);
+    assert.strictEqual(content[`${base}/private/?preview=true`].status, 'private');
+    assert.strictEqual(content[`${base}/?page_id=2&preview=true`].author, 2);
+    assert.ok(!events.includes('rest:skipped'));
+  });
+});
@@ -0,0 +1,122 @@
+const assert = require('assert');
+const { issueCriteria, resolveElementPaths, mergeRunnerIssues } = require('../lib/runners');
+
+const htmlcs = (selector, type = 'error') => ({
+  code: 'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37',
+  type,
+  message: 'Img element missing an alt attribute.',
+  selector,
+  runner: 'htmlcs',
+});
+const axe = (selector, type = 'error') => ({
+  code: 'image-alt',
+  type,
+  message: 'Images must have alternate text',
+  selector,
+  runner: 'axe',
+});
+
+/**
+ * A stand-in for a browser page over a tiny document:
+ * html > (head, body > (div, div#main > img))
+ */
+function fakePage() {
+  const node = (tagName, children = []) => {
+    const element = { tagName, children, parentElement: null };
+    children.forEach(child => {
+      child.parentElement = element;
+    });
+    return element;
+  };
+  const img = node('IMG');
+  const html = node('HTML', [node('HEAD'), node('BODY', [node('DIV'), node('DIV', [img])])]);
+  const found = {
+    'html > body > #main > img': img,
+    '#main > img': img,
+    'img': img,
+    'html': html,
+  };
+  const document = {
+    querySelector: selector => {
+      if (selector.startsWith('[')) {
+        throw new Error(`'${selector}' is not a valid selector`);
+      }
+      return found[selector] || null;
+    },
+  };
+
+  return {
+    evaluate: async (fn, ...args) => {
+      global.document = document;
+      try {
+        return fn(...args);
+      } finally {
+        delete global.document;
+      }
+    },
+  };
+}
+
+describe('issueCriteria', () => {
+  it('reads HTML_CodeSniffer criteria from the code and axe criteria from the rule tags', () => {
+    assert.deepStrictEqual(issueCriteria(htmlcs('img')), ['1.1.1']);
+    assert.deepStrictEqual(issueCriteria(axe('img')), ['1.1.1']);
+    assert.deepStrictEqual(issueCriteria({ code: 'region', runner: 'axe' }), []);
+  });
+});
+
+describe('resolveElementPaths', () => {
+  it('maps every selector of an element to the same path', async () => {
+    const paths = await resolveElementPaths(fakePage(), [
+      htmlcs('html > body > #main > img'),
+      axe('#main > img'),
+      axe('img'),
+      axe('html'),
+    ]);
+    const path = 'html:nth-child(1) > body:nth-child(2) > div:nth-child(2) > img:nth-child(1)';
+    assert.deepStrictEqual([...paths], [
+      ['html > body > #main > img', path],
+      ['#main > img', path],
+      ['img', path],
+      ['html', 'html:nth-child(1)'],
+    ]);
+  });
+
+  it('leaves out selectors that find nothing or do not parse', async () => {
+    const paths = await resolveElementPaths(fakePage(), [axe('iframe img'), axe('[broken'), htmlcs('')]);
+    assert.strictEqual(paths.size, 0);
+  });
+});
+
+describe('mergeRunnerIssues', () => {
+  it('keeps issues of one runner apart', () => {
+    const merged = mergeRunnerIssues([htmlcs('img'), htmlcs('img')]);
+    assert.strictEqual(merged.length, 2);
+    assert.deepStrictEqual(merged[0].runners, ['htmlcs']);
+  });
+
+  it('merges runners flagging the same selector for the same criterion, keeping the most severe type', () => {
+    const merged = mergeRunnerIssues([htmlcs('img', 'warning'), axe('img', 'error')]);
+    assert.strictEqual(merged.length, 1);
+    assert.strictEqual(merged[0].runner, 'htmlcs');
+    assert.strictEqual(merged[0].type, 'error');
+    assert.deepStrictEqual(merged[0].runners, ['htmlcs', 'axe']);
+    assert.deepStrictEqual(merged[0].duplicates.map(duplicate => duplicate.code), ['image-alt']);
+  });
+
+  it('merges differently written selectors of one element through its resolved path', () => {
+    const issues = [htmlcs('html > body > #main > img'), axe('#main > img')];
+    assert.strictEqual(mergeRunnerIssues(issues).length, 2);
+    const elementPaths = new Map([
+      ['html > body > #main > img', 'html:nth-child(1) > img:nth-child(1)'],
+      ['#main > img', 'html:nth-child(1) > img:nth-child(1)'],
+    ]);
+    const merged = mergeRunnerIssues(issues, elementPaths);
+    assert.strictEqual(merged.length, 1);
+    assert.strictEqual(merged[0].selector, 'html > body > #main > img');
+  });
+
+  it('never merges issues without a selector', () => {
+    assert.strictEqual(mergeRunnerIssues([htmlcs(''), axe('')]).length, 2);
+  });
+});
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const { assertSampleMode, sitemapGroupKey, detectTemplate, pickEvenly, sampleUrls, extrapolateCoverage } = require('../lib/sampling');
+
+describe('sitemapGroupKey', () => {
+  it('groups paginated and compressed sub-sitemaps together', () => {
+    assert.strictEqual(sitemapGroupKey('https://a.test/post-sitemap.xml'), 'post-sitemap');
+    assert.strictEqual(sitemapGroupKey('https://a.test/post-sitemap2.xml.gz'), 'post-sitemap');
+    assert.strictEqual(sitemapGroupKey('https://a.test/wp-sitemap-posts-post-3.xml'), 'wp-sitemap-posts-post');
+    assert.strictEqual(sitemapGroupKey(null), 'unknown');
+  });
+});
+
+describe('detectTemplate', () => {
+  it('picks the most specific WordPress body class', () => {
+    assert.strictEqual(detectTemplate('<body class="page page-template-landing page-id-4">'), 'page-template-landing');
+    assert.strictEqual(detectTemplate('<body class="post-template-default single single-post single-format-standard">'), 'single-post');
+    assert.strictEqual(detectTemplate('<body class="archive category category-news">'), 'category');
+    assert.strictEqual(detectTemplate('<body class="page page-template-default">'), 'page');
+  });
+
+  it('falls back to unknown', () => {
+    assert.strictEqual(detectTemplate('<body>'), 'unknown');
+    assert.strictEqual(detectTemplate('<body class="custom-theme">'), 'unknown');
+  });
+});
+
+describe('pickEvenly', () => {
+  it('spreads the picks across the list', () => {
+    assert.deepStrictEqual(pickEvenly([1, 2, 3, 4, 5, 6], 3), [1, 3, 5]);
+    assert.deepStrictEqual(pickEvenly([1, 2], 3), [1, 2]);
+  });
+});
+
+describe('assertSampleMode', () => {
+  it('rejects unknown modes', () => {
+    assert.throws(() => assertSampleMode('random'), { code: 'INVALID_SAMPLE_MODE' });
+    assertSampleMode(null);
+    assertSampleMode('template');
+  });
+});
+
+describe('sampleUrls in sitemap mode', () => {
+  it('takes SAMPLE_SIZE URLs per sub-sitemap, in the original order', async () => {
+    const posts = Array.from({ length: 6 }, (_, i) => `https://a.test/post-${i + 1}/`);
+    const urls = ['https://a.test/', ...posts];
+    const sources = { 'https://a.test/': 'https://a.test/page-sitemap.xml' };
+    posts.forEach((url, i) => {
+      sources[url] = `https://a.test/post-sitemap${i < 3 ? '' : '2'}.xml`;
+    });
+
+    const sampling = await sampleUrls(urls, sources, { SAMPLE_MODE: 'sitemap', SAMPLE_SIZE: 2 });
+    assert.deepStrictEqual(sampling.urls, ['https://a.test/', 'https://a.test/post-1/', 'https://a.test/post-4/']);
+    assert.deepStrictEqual(sampling.groups.map(({ key, total }) => [key, total]), [['page-sitemap', 1], ['post-sitemap', 6]]);
+  });
+});
+
+describe('extrapolateCoverage', () => {
+  it('scales the average issues of the checked sample to the group size', () => {
+    const issue = type => ({ type });
+    const sampling = {
+      population: 10,
+      groups: [{ key: 'post-sitemap', total: 10, estimated: false, sampled: ['https://a.test/1/', 'https://a.test/2/', 'https://a.test/3/'] }],
+    };
+    const results = [
+      { url: 'https://a.test/1/', status: 'success', issues: [issue('error'), issue('warning')] },
+      { url: 'https://a.test/2/', status: 'success', issues: [issue('error')] },
+      { url: 'https://a.test/3/', status: 'error', issues: [] },
+    ];
+
+    const coverage = extrapolateCoverage(sampling, results);
+    assert.strictEqual(coverage.audited, 2);
+    assert.strictEqual(coverage.groups[0].avgIssues, 1.5);
+    assert.strictEqual(coverage.estimatedIssues, 15);
+    assert.strictEqual(coverage.estimatedErrors, 10);
+  });
+});
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScreenshots, pageFolder, captureScreenshots } = require('../lib/screenshots');
+const { issue } = require('./helpers');
+
+const URL = 'https://a.test/about/team/';
+const BOX = { x: 100, y: 200, width: 50, height: 20, pageWidth: 1280, pageHeight: 2000 };
+
+/**
+ * A page whose elements are listed by selector: a box for a rendered
+ * element, null for a hidden one. Records the screenshots it is asked for.
+ */
+function fakePage(elements, { failFullPage = false, failClip = [] } = {}) {
+  const page = { shots: [] };
+  page.$ = async selector => {
+    // The element being captured, so its crop can be made to fail
+    page.current = selector;
+    if (selector.startsWith('::')) {
+      throw new Error(`'${selector}' is not a valid selector`);
+    }
+    if (!(selector in elements)) {
+      return null;
+    }
+    let outlined = false;
+    return {
+      selector,
+      evaluate: async () => {
+        // The first call measures and outlines the element, the second restores it
+        if (outlined) {
+          return undefined;
+        }
+        outlined = true;
+        return elements[selector];
+      },
+      dispose: async () => {},
+    };
+  };
+  page.screenshot = async options => {
+    if (options.fullPage ? failFullPage : failClip.includes(page.current)) {
+      throw new Error('Protocol error (Page.captureScreenshot): Unable to capture screenshot');
+    }
+    page.shots.push(options);
+  };
+  return page;
+}
+
+const flagged = selector => issue('A', { selector });
+
+describe('createScreenshots', () => {
+  it('is off unless SCREENSHOTS is set', () => {
+    assert.strictEqual(createScreenshots({ SCREENSHOTS: false }, '2024-05-01T10:00:00.000Z'), null);
+  });
+
+  it('gives each run a folder named after its start time', () => {
+    const screenshots = createScreenshots(
+      { SCREENSHOTS: true, SCREENSHOT_DIR: 'report-artifacts', SCREENSHOT_MAX_PER_PAGE: 20 },
+      '2024-05-01T10:00:00.000Z'
+    );
+    assert.deepStrictEqual(screenshots, {
+      dir: path.join('report-artifacts', '2024-05-01T10-00-00-000Z'),
+      maxPerPage: 20,
+    });
+  });
+});
+
+describe('pageFolder', () => {
+  it('names the folder after the path, with a hash of the URL', () => {
+    assert.match(pageFolder(URL), /^about-team-[0-9a-f]{8}$/);
+    assert.match(pageFolder('https://a.test/'), /^home-[0-9a-f]{8}$/);
+  });
+
+  it('keeps pages with the same path apart', () => {
+    assert.notStrictEqual(pageFolder('https://a.test/?p=1'), pageFolder('https://a.test/?p=2'));
+    assert.ok(pageFolder(`https://a.test/${'long-slug/'.repeat(20)}`).length <= 60 + 9);
+  });
+});
+
+describe('captureScreenshots', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-screenshots-'));
+  });
+
+  afterEach(() => {
+    (fs.rmSync || fs.rmdirSync)(dir, { recursive: true });
+  });
+
+  it('screenshots the page and each flagged element once', async () => {
+    const page = fakePage({ '#a': BOX, '#b': BOX });
+    const issues = [flagged('#a'), flagged('#b'), flagged('#a'), flagged(undefined)];
+    const pagePath = await captureScreenshots(page, URL, issues, { dir, viewport: 'mobile' });
+
+    const folder = path.join(dir, pageFolder(URL));
+    assert.ok(fs.statSync(folder).isDirectory());
+    assert.strictEqual(pagePath, path.join(folder, 'mobile-page.png'));
+    assert.deepStrictEqual(issues.map(({ screenshot }) => screenshot && path.basename(screenshot)), [
+      'mobile-element-1.png', 'mobile-element-2.png', 'mobile-element-1.png', undefined,
+    ]);
+    assert.strictEqual(page.shots.length, 3);
+    assert.deepStrictEqual(page.shots[1].clip, { x: 76, y: 176, width: 98, height: 68 });
+  });
+
+  it('still crops the elements when the full-page screenshot fails', async () => {
+    const events = [];
+    const page = fakePage({ '#a': BOX }, { failFullPage: true });
+    const issues = [flagged('#a')];
+    const pagePath = await captureScreenshots(page, URL, issues, { dir, emit: (...event) => events.push(event) });
+
+    assert.strictEqual(pagePath, null);
+    assert.strictEqual(path.basename(issues[0].screenshot), 'desktop-element-1.png');
+    assert.deepStrictEqual(events.map(([name, { viewport, selector }]) => [name, viewport, selector]), [
+      ['screenshot:failed', 'desktop', null],
+    ]);
+  });
+
+  it('only counts captured elements towards maxPerPage', async () => {
+    const events = [];
+    const page = fakePage({ '#hidden': null, '#broken': BOX, '#a': BOX, '#b': BOX, '#c': BOX }, { failClip: ['#broken'] });
+    const issues = ['#missing', '::invalid', '#hidden', '#broken', '#a', '#b', '#c'].map(flagged);
+    await captureScreenshots(page, URL, issues, { dir, maxPerPage: 2, emit: (...event) => events.push(event) });
+
+    assert.deepStrictEqual(issues.map(({ screenshot }) => screenshot && path.basename(screenshot)), [
+      undefined, undefined, undefined, undefined, 'desktop-element-1.png', 'desktop-element-2.png', undefined,
+    ]);
+    assert.deepStrictEqual(events.map(([name, { selector }]) => [name, selector]), [['screenshot:failed', '#broken']]);
+  });
+});
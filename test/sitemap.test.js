@@ -0,0 +1,82 @@
+const assert = require('assert');
+const zlib = require('zlib');
+const { isGzipped, fetchSitemapText, crawlSitemaps } = require('../lib/sitemap');
+const { serve } = require('./helpers');
+
+const urlset = urls => `<?xml version="1.0"?><urlset>${urls.map(url => `<url><loc>${url}</loc></url>`).join('')}</urlset>`;
+const index = sitemaps => `<?xml version="1.0"?><sitemapindex>${sitemaps.map(url => `<sitemap><loc>${url}</loc></sitemap>`).join('')}</sitemapindex>`;
+
+describe('crawlSitemaps', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    ({ server, base } = await serve({
+      '/sitemap_index.xml': root => ({ body: index([`${root}/nested.xml`, `${root}/pages.xml`, `${root}/pages.xml`]) }),
+      '/nested.xml': root => ({ body: index([`${root}/posts.xml`, `${root}/sitemap_index.xml`]) }),
+      '/posts.xml': root => ({ body: urlset([`${root}/a/`, `${root}/b/`]) }),
+      '/pages.xml': root => ({ body: urlset([`${root}/b/`, `${root}/c/`]) }),
+    }));
+  });
+
+  after(() => server.close());
+
+  it('walks nested indexes once each, keeping the first source of a URL', async () => {
+    const { urls, sources, sitemaps } = await crawlSitemaps(`${base}/sitemap_index.xml`);
+    assert.deepStrictEqual(urls, [`${base}/a/`, `${base}/b/`, `${base}/c/`]);
+    assert.strictEqual(sources[`${base}/b/`], `${base}/posts.xml`);
+    assert.deepStrictEqual(sitemaps.map(({ type, depth }) => `${type}@${depth}`), [
+      'index@0', 'index@1', 'urlset@2', 'skipped@2', 'urlset@1', 'skipped@1',
+    ]);
+  });
+
+  it('stops at the maximum depth', async () => {
+    const { urls, sitemaps } = await crawlSitemaps(`${base}/sitemap_index.xml`, { maxDepth: 1 });
+    assert.deepStrictEqual(urls, [`${base}/b/`, `${base}/c/`]);
+    assert.strictEqual(sitemaps.find(sitemap => sitemap.url === `${base}/posts.xml`).reason, 'depth');
+  });
+
+  it('reports an error in a nested sitemap against that sitemap, not the root', async () => {
+    const events = [];
+    const emit = (event, data) => {
+      events.push([event, data.url]);
+      if (event === 'sitemap:fetched' && data.url === `${base}/posts.xml`) {
+        throw new Error('listener failed');
+      }
+    };
+    const { urls } = await crawlSitemaps(`${base}/sitemap_index.xml`, { emit });
+
+    assert.deepStrictEqual(urls, [`${base}/a/`, `${base}/b/`, `${base}/c/`]);
+    assert.deepStrictEqual(events.filter(([event]) => event.endsWith('failed')), [['sitemap:failed', `${base}/posts.xml`]]);
+  });
+});
+
+describe('fetchSitemapText', () => {
+  const xml = urlset(['https://a.test/']);
+  let server;
+  let base;
+
+  before(async () => {
+    ({ server, base } = await serve({
+      '/plain.xml': () => ({ headers: { 'Content-Type': 'application/xml' }, body: xml }),
+      '/file.xml.gz': () => ({ headers: { 'Content-Type': 'application/x-gzip' }, body: zlib.gzipSync(xml) }),
+      // The file is sent with gzip transfer encoding, which axios undoes
+      '/encoded.xml.gz': () => ({ headers: { 'Content-Type': 'application/x-gzip', 'Content-Encoding': 'gzip' }, body: zlib.gzipSync(xml) }),
+      '/misnamed.xml': () => ({ headers: { 'Content-Type': 'text/xml' }, body: zlib.gzipSync(xml) }),
+    }));
+  });
+
+  after(() => server.close());
+
+  it('detects gzip by the magic bytes only', () => {
+    assert.strictEqual(isGzipped(zlib.gzipSync('x')), true);
+    assert.strictEqual(isGzipped(Buffer.from(xml)), false);
+    assert.strictEqual(isGzipped(Buffer.alloc(0)), false);
+  });
+
+  for (const file of ['plain.xml', 'file.xml.gz', 'encoded.xml.gz', 'misnamed.xml']) {
+    it(`reads ${file}`, async () => {
+      assert.strictEqual(await fetchSitemapText(`${base}/${file}`), xml);
+    });
+  }
+});
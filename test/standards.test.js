@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { isIgnored, describeStandard } = require('../lib/standards');
+
+const CONTRAST = 'WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail';
+
+describe('isIgnored', () => {
+  it('matches exact codes and whole segments of a prefix', () => {
+    assert.strictEqual(isIgnored(CONTRAST, [CONTRAST]), true);
+    assert.strictEqual(isIgnored(CONTRAST, ['WCAG2AA.Principle1.Guideline1_4.1_4_3']), true);
+    assert.strictEqual(isIgnored(CONTRAST, ['WCAG2AA.Principle1.Guideline1_4.1_4_3.G18']), true);
+    // 1_4_3 is not a prefix of 1_4_3_5, only of its own techniques
+    assert.strictEqual(isIgnored('WCAG2AA.Principle1.Guideline1_4.1_4_3_5.F24', ['WCAG2AA.Principle1.Guideline1_4.1_4_3']), false);
+    assert.strictEqual(isIgnored(CONTRAST, ['WCAG2AA.Principle1.Guideline1_4.1_4_3.G1']), false);
+  });
+
+  it('matches whichever standard the rule and the code were written for', () => {
+    assert.strictEqual(isIgnored(CONTRAST, ['WCAG2A.Principle1.Guideline1_4.1_4_3']), true);
+    assert.strictEqual(isIgnored('WCAG2AAA.Principle1.Guideline1_4.1_4_3.G18.Fail', ['WCAG2AA.Principle1.Guideline1_4']), true);
+    assert.strictEqual(isIgnored(CONTRAST, ['Principle1.Guideline1_4']), true);
+  });
+
+  it('matches axe rule ids as they are', () => {
+    assert.strictEqual(isIgnored('color-contrast', ['color-contrast']), true);
+    assert.strictEqual(isIgnored('color-contrast-enhanced', ['color-contrast']), false);
+  });
+
+  it('ignores nothing without rules', () => {
+    assert.strictEqual(isIgnored(CONTRAST, []), false);
+    assert.strictEqual(isIgnored(CONTRAST, undefined), false);
+  });
+});
+
+describe('describeStandard', () => {
+  it('names the known standards and passes others through', () => {
+    assert.strictEqual(describeStandard('WCAG2AA'), 'WCAG 2.1 Level AA (WCAG2AA)');
+    assert.strictEqual(describeStandard('Section508'), 'Section508');
+    assert.strictEqual(describeStandard(undefined), 'WCAG 2.1 Level AA');
+  });
+});
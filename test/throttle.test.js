@@ -0,0 +1,115 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { HostThrottle, parseRetryAfter, throttledError, watchDocument } = require('../lib/throttle');
+
+/**
+ * A stand-in for a browser page: `load(responses)` replays responses, each
+ * `{ url, status, headers, document }`, where document marks main-frame
+ * navigations
+ */
+function fakePage() {
+  const page = new EventEmitter();
+  const mainFrame = {};
+  page.mainFrame = () => mainFrame;
+  page.load = responses => responses.forEach(({ url, status, headers = {}, document = false }) => {
+    page.emit('response', {
+      url: () => url,
+      status: () => status,
+      headers: () => headers,
+      request: () => ({ isNavigationRequest: () => document, frame: () => (document ? mainFrame : {}) }),
+    });
+  });
+  return page;
+}
+
+const load = (throttle, responses) => {
+  const page = fakePage();
+  const watcher = throttle.watch(page);
+  page.load(responses);
+  watcher.stop();
+  return watcher.status();
+};
+
+const document = (status, headers) => ({ url: 'https://a.test/page/', status, headers, document: true });
+const asset = status => ({ url: 'https://a.test/image.png', status, headers: { 'retry-after': '120' } });
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    assert.strictEqual(parseRetryAfter('30', now), 30000);
+    assert.strictEqual(parseRetryAfter('Mon, 01 Jan 2024 00:01:00 GMT', now), 60000);
+    assert.strictEqual(parseRetryAfter('Sun, 31 Dec 2023 00:00:00 GMT', now), 0);
+    assert.strictEqual(parseRetryAfter('soon', now), null);
+    assert.strictEqual(parseRetryAfter(undefined, now), null);
+  });
+});
+
+describe('throttledError', () => {
+  it('carries the status', () => {
+    const error = throttledError('https://a.test/', 429);
+    assert.strictEqual(error.status, 429);
+    assert.ok(error.message.includes('Too Many Requests'));
+  });
+});
+
+describe('watchDocument', () => {
+  it('reports the final status of the main document, past redirects', () => {
+    const page = fakePage();
+    const watcher = watchDocument(page);
+    page.load([document(301), document(404), asset(200)]);
+    assert.strictEqual(watcher.status(), 404);
+    watcher.stop();
+    assert.strictEqual(page.listenerCount('response'), 0);
+  });
+});
+
+describe('HostThrottle', () => {
+  it('backs off once per page load, whatever its assets answer', () => {
+    const events = [];
+    const throttle = new HostThrottle({ emit: (name, data) => events.push([name, data]) });
+    assert.strictEqual(load(throttle, [document(429), asset(429), asset(503), asset(429)]), 429);
+
+    const state = throttle.host('https://a.test/');
+    assert.strictEqual(state.slowdowns, 1);
+    assert.strictEqual(state.delay, 1000);
+    assert.deepStrictEqual(events, [['throttle:slowdown', { host: 'a.test', status: 429, delay: 1000, retryAfter: null }]]);
+  });
+
+  it('takes Retry-After from the page only', () => {
+    const throttle = new HostThrottle();
+    load(throttle, [document(503, { 'retry-after': '2' }), asset(429)]);
+    const state = throttle.host('https://a.test/');
+    assert.strictEqual(state.retryAfter, 1);
+    assert.ok(state.until - Date.now() <= 2000);
+  });
+
+  it('ignores throttled assets of a healthy page', () => {
+    const throttle = new HostThrottle();
+    load(throttle, [document(200), asset(429), asset(429)]);
+    assert.strictEqual(throttle.summary().slowdowns, 0);
+  });
+
+  it('recovers after a streak of healthy page loads, not healthy assets', () => {
+    const events = [];
+    const throttle = new HostThrottle({ emit: name => events.push(name) });
+    load(throttle, [document(429)]);
+    load(throttle, [document(200), asset(200), asset(200), asset(200)]);
+    assert.strictEqual(throttle.host('https://a.test/').delay, 1000);
+
+    load(throttle, [document(302), document(200)]);
+    load(throttle, [document(200)]);
+    assert.strictEqual(throttle.host('https://a.test/').delay, 0);
+    assert.deepStrictEqual(events, ['throttle:slowdown', 'throttle:recovered']);
+  });
+
+  it('doubles the delay up to the maximum and summarises per host', () => {
+    const throttle = new HostThrottle({ maxDelay: 3000 });
+    [429, 429, 503].forEach(status => load(throttle, [document(status)]));
+    assert.strictEqual(throttle.host('https://a.test/').delay, 3000);
+    assert.deepStrictEqual(throttle.summary(), {
+      slowdowns: 3,
+      waited: 0,
+      hosts: [{ host: 'a.test', slowdowns: 3, statuses: { 429: 2, 503: 1 }, retryAfter: 0, maxDelay: 3000, waited: 0 }],
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { VIEWPORT_PROFILES, resolveViewports, mergeViewportResults } = require('../lib/viewports');
+const { issue, page, failed } = require('./helpers');
+
+const URL = 'https://a.test/';
+const viewport = name => ({ name, ...VIEWPORT_PROFILES[name] });
+const success = issues => page(URL, issues, { documentTitle: 'Home' });
+const failure = error => failed(URL, error, { isRetryable: true });
+
+describe('resolveViewports', () => {
+  it('resolves built-in and custom profiles in order, once each', () => {
+    const viewports = resolveViewports({
+      VIEWPORTS: ['desktop', 'phone', 'desktop'],
+      VIEWPORT_PROFILES: { phone: { width: 360, height: 740, isMobile: true } },
+    });
+    assert.deepStrictEqual(viewports.map(({ name, width, hasTouch }) => [name, width, hasTouch]), [
+      ['desktop', 1280, false],
+      ['phone', 360, true],
+    ]);
+    assert.strictEqual(viewports[1].userAgent, VIEWPORT_PROFILES.mobile.userAgent);
+  });
+
+  it('rejects unknown and invalid profiles', () => {
+    assert.throws(() => resolveViewports({ VIEWPORTS: ['watch'] }), { code: 'INVALID_VIEWPORT' });
+    assert.throws(() => resolveViewports({ VIEWPORTS: [] }), { code: 'INVALID_VIEWPORT' });
+    assert.throws(
+      () => resolveViewports({ VIEWPORTS: ['tv'], VIEWPORT_PROFILES: { tv: { width: 1920, height: '1080' } } }),
+      /tv needs a height in pixels/
+    );
+  });
+});
+
+describe('mergeViewportResults', () => {
+  it('reports an issue found under several viewports once', () => {
+    const merged = mergeViewportResults(URL, [
+      { viewport: viewport('desktop'), result: success([issue('A')]) },
+      { viewport: viewport('mobile'), result: success([issue('A'), issue('B')]) },
+    ]);
+    assert.deepStrictEqual(merged.issues.map(({ code, viewports, mobileOnly }) => [code, viewports, mobileOnly]), [
+      ['A', ['desktop', 'mobile'], false],
+      ['B', ['mobile'], true],
+    ]);
+    assert.deepStrictEqual(merged.viewports.map(({ name, issues }) => [name, issues]), [['desktop', 1], ['mobile', 2]]);
+  });
+
+  it('keeps repeated identical issues on a page apart', () => {
+    const merged = mergeViewportResults(URL, [
+      { viewport: viewport('desktop'), result: success([issue('A'), issue('A')]) },
+      { viewport: viewport('mobile'), result: success([issue('A')]) },
+    ]);
+    assert.deepStrictEqual(merged.issues.map(({ viewports }) => viewports), [['desktop', 'mobile'], ['desktop']]);
+  });
+
+  it('only marks issues mobile-only when a desktop viewport was checked', () => {
+    const merged = mergeViewportResults(URL, [
+      { viewport: viewport('desktop'), result: failure('timeout') },
+      { viewport: viewport('mobile'), result: success([issue('A')]) },
+    ]);
+    assert.strictEqual(merged.status, 'success');
+    assert.strictEqual(merged.issues[0].mobileOnly, false);
+    assert.strictEqual(merged.viewports[0].error, 'timeout');
+  });
+
+  it('fails when no viewport could be checked', () => {
+    const merged = mergeViewportResults(URL, [
+      { viewport: viewport('desktop'), result: failure('timeout') },
+      { viewport: viewport('mobile'), result: failure('net::ERR_FAILED') },
+    ]);
+    assert.strictEqual(merged.status, 'error');
+    assert.strictEqual(merged.error, 'desktop: timeout; mobile: net::ERR_FAILED');
+    assert.strictEqual(merged.isRetryable, true);
+    assert.strictEqual(merged.attempts, 3);
+  });
+});